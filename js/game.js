@@ -9,6 +9,7 @@
 // PHYSICS ENGINE INSTANCE
 // =====================================================
 let physicsEngine = null;
+let tyreCatalog = null;   // TyreCatalog of real products, loaded in the background
 
 // =====================================================
 // GAME CONFIGURATION
@@ -28,7 +29,7 @@ const GAME_CONFIG = {
         surfaceType: 'ASPHALT_STD',
         weatherPreset: 'RAIN',  // Wet grip test = rain
         hasABS: true,
-        reactionTimeSeconds: 0,  // We measure this separately in game
+        reactionTimeSeconds: 0,  // Measured in game from the hazard stimulus (see startBraking)
         slopeDegrees: 0
     },
 
@@ -217,52 +218,10 @@ const GAME_CONFIG = {
     },
 
     // ═══════════════════════════════════════════════════════════════════════
-    // SURFACES - Comprehensive list with rolling resistance factors
+    // SURFACES - shared registry (js/surfaces.js), same physics as the engine
+    // Keyed by registry key and alias: { label, icon, desc, group, peak, rolling }
     // ═══════════════════════════════════════════════════════════════════════
-    surfaces: {
-        // Paved surfaces
-        'ASPHALT_NEW': { label: 'New Asphalt', icon: '🛣️', baseMu: 0.85, wetMu: 0.60, rollingFactor: 1.0, desc: 'Fresh, smooth asphalt' },
-        'ASPHALT_STD': { label: 'Asphalt', icon: '🛣️', baseMu: 0.80, wetMu: 0.55, rollingFactor: 1.0, desc: 'Standard road surface' },
-        'ASPHALT_OLD': { label: 'Worn Asphalt', icon: '🛣️', baseMu: 0.70, wetMu: 0.45, rollingFactor: 1.1, desc: 'Aged, polished surface' },
-        'CONCRETE': { label: 'Concrete', icon: '🏗️', baseMu: 0.75, wetMu: 0.50, rollingFactor: 1.0, desc: 'Highway/bridge surface' },
-        'CONCRETE_GROOVED': { label: 'Grooved Concrete', icon: '🏗️', baseMu: 0.80, wetMu: 0.60, rollingFactor: 1.05, desc: 'Rain-channeling grooves' },
-        'COBBLESTONE': { label: 'Cobblestone', icon: '🧱', baseMu: 0.55, wetMu: 0.40, rollingFactor: 1.4, desc: 'Historic paving' },
-        'BRICK': { label: 'Brick Paving', icon: '🧱', baseMu: 0.60, wetMu: 0.45, rollingFactor: 1.3, desc: 'Decorative paving' },
-
-        // Unpaved surfaces
-        'GRAVEL_COMPACT': { label: 'Compact Gravel', icon: '🪨', baseMu: 0.50, wetMu: 0.40, rollingFactor: 1.5, desc: 'Well-maintained gravel' },
-        'GRAVEL': { label: 'Loose Gravel', icon: '🪨', baseMu: 0.40, wetMu: 0.35, rollingFactor: 1.8, desc: 'Typical gravel road' },
-        'DIRT_HARD': { label: 'Hard-Packed Dirt', icon: '🌍', baseMu: 0.45, wetMu: 0.30, rollingFactor: 1.4, desc: 'Dry, compacted earth' },
-        'DIRT': { label: 'Dirt Road', icon: '🌍', baseMu: 0.35, wetMu: 0.25, rollingFactor: 2.0, desc: 'Standard dirt track' },
-        'DIRT_LOOSE': { label: 'Loose Dirt', icon: '🌍', baseMu: 0.30, wetMu: 0.20, rollingFactor: 2.5, desc: 'Soft, loose earth' },
-        'MUD_LIGHT': { label: 'Light Mud', icon: '🟤', baseMu: 0.25, wetMu: 0.20, rollingFactor: 2.5, desc: 'Shallow mud' },
-        'MUD': { label: 'Mud', icon: '🟤', baseMu: 0.20, wetMu: 0.15, rollingFactor: 3.0, desc: 'Standard mud' },
-        'MUD_DEEP': { label: 'Deep Mud', icon: '🟤', baseMu: 0.15, wetMu: 0.10, rollingFactor: 4.0, desc: 'Wheel-sucking mud' },
-
-        // Natural surfaces
-        'GRASS_DRY': { label: 'Dry Grass', icon: '🌿', baseMu: 0.40, wetMu: 0.25, rollingFactor: 2.0, desc: 'Short, dry grass' },
-        'GRASS': { label: 'Grass', icon: '🌿', baseMu: 0.35, wetMu: 0.20, rollingFactor: 2.2, desc: 'Standard lawn' },
-        'GRASS_WET': { label: 'Wet Grass', icon: '🌿', baseMu: 0.25, wetMu: 0.15, rollingFactor: 2.5, desc: 'Dew/rain soaked' },
-        'SAND_HARD': { label: 'Hard Sand', icon: '🏖️', baseMu: 0.40, wetMu: 0.35, rollingFactor: 2.0, desc: 'Wet beach sand' },
-        'SAND': { label: 'Sand', icon: '🏖️', baseMu: 0.30, wetMu: 0.25, rollingFactor: 3.0, desc: 'Loose beach sand' },
-        'SAND_SOFT': { label: 'Soft Sand', icon: '🏖️', baseMu: 0.20, wetMu: 0.18, rollingFactor: 4.0, desc: 'Deep, dry sand' },
-
-        // Winter surfaces
-        'SNOW_PACKED': { label: 'Packed Snow', icon: '🌨️', baseMu: 0.30, wetMu: 0.25, rollingFactor: 1.8, desc: 'Compressed snow' },
-        'SNOW': { label: 'Snow', icon: '🌨️', baseMu: 0.25, wetMu: 0.20, rollingFactor: 2.0, desc: 'Fresh snow' },
-        'SNOW_DEEP': { label: 'Deep Snow', icon: '❄️', baseMu: 0.20, wetMu: 0.15, rollingFactor: 3.5, desc: 'Unplowed snow' },
-        'SLUSH': { label: 'Slush', icon: '🌊', baseMu: 0.20, wetMu: 0.15, rollingFactor: 2.5, desc: 'Melting snow/water' },
-        'ICE': { label: 'Ice', icon: '🧊', baseMu: 0.10, wetMu: 0.08, rollingFactor: 0.3, desc: 'Sheet ice' },
-        'BLACK_ICE': { label: 'Black Ice', icon: '🖤', baseMu: 0.05, wetMu: 0.05, rollingFactor: 0.2, desc: 'Invisible ice layer' },
-
-        // Special surfaces
-        'METAL_DRY': { label: 'Metal Grate', icon: '🔩', baseMu: 0.45, wetMu: 0.30, rollingFactor: 1.2, desc: 'Bridge grating' },
-        'METAL_WET': { label: 'Wet Metal', icon: '🔩', baseMu: 0.25, wetMu: 0.15, rollingFactor: 1.2, desc: 'Slippery when wet' },
-        'PAINTED_LINES': { label: 'Road Markings', icon: '🎨', baseMu: 0.50, wetMu: 0.30, rollingFactor: 1.0, desc: 'Paint on asphalt' },
-        'MANHOLE': { label: 'Manhole Cover', icon: '⚫', baseMu: 0.40, wetMu: 0.20, rollingFactor: 1.0, desc: 'Metal cover' },
-        'OIL_SPILL': { label: 'Oil/Diesel Spill', icon: '🛢️', baseMu: 0.15, wetMu: 0.10, rollingFactor: 1.0, desc: 'Extremely slippery' },
-        'LEAVES_WET': { label: 'Wet Leaves', icon: '🍂', baseMu: 0.30, wetMu: 0.20, rollingFactor: 1.5, desc: 'Autumn hazard' }
-    },
+    surfaces: SurfaceRegistry.getUiTable(),
 
     // ═══════════════════════════════════════════════════════════════════════
     // VEHICLES - 12 options with varied drivetrains
@@ -529,6 +488,8 @@ const GAME_CONFIG = {
         // Legal limits (NZ)
         maxUnbrakedKg: 750,
         maxBrakedKg: 3500,
+        // Share of the trailer's mass carried on the towbar (typical 7-10% nose weight)
+        noseWeightRatio: 0.07,
         // Load states
         loadStates: {
             'empty': { factor: 0.3, label: 'Empty' },
@@ -537,6 +498,61 @@ const GAME_CONFIG = {
             'full': { factor: 1.0, label: 'Full Load' },
             'overloaded': { factor: 1.2, label: 'Overloaded (Dangerous!)' }
         }
+    },
+
+    // Reaction test: a hazard appears at a random moment after the player lifts off
+    reactionTest: {
+        armAboveKmh: 20,         // Lift off above this speed to arm the hazard
+        minDelayMs: 800,
+        maxDelayMs: 2500
+    },
+
+    // Obstacle that appears with the hazard warning - placed where new A-grade
+    // tyres and an average driver would stop just short of it
+    obstacle: {
+        label: 'stalled car',
+        marginM: 5,
+        lengthM: 4.5,
+        color: '#64748b'
+    },
+
+    // Following scenario: a lead car ahead at the chosen time headway brakes hard
+    // when the hazard appears (replaces the stalled car)
+    following: {
+        headways: {
+            'off': { label: 'No Lead Car', icon: '🛣️', headwayS: null },
+            '1s': { label: '1 Second', icon: '⚠️', headwayS: 1 },
+            '2s': { label: '2 Seconds', icon: '🚗', headwayS: 2 },
+            '3s': { label: '3 Seconds', icon: '✅', headwayS: 3 }
+        },
+        minGapM: 5,              // Gap held at walking pace
+        lead: { euGrade: 'A', treadDepthMm: 8, tyreAgeYears: 0, color: '#3b82f6' }
+    },
+
+    // Road hazards: short surface patches placed along the test road
+    // The stop is integrated across any patches it crosses (surfaceSegments)
+    roadHazards: {
+        'none': { label: 'Clear Road', icon: '🛣️', desc: 'No patches' },
+        'painted_lines': {
+            label: 'Road Markings', icon: '🎨', desc: 'Crossings & give-way bars',
+            surfaceType: 'PAINTED_LINES', lengthM: 3, spacingM: 35, color: 'rgba(255, 255, 255, 0.85)'
+        },
+        'manholes': {
+            label: 'Manhole Covers', icon: '⚫', desc: 'Metal covers',
+            surfaceType: 'METAL_PLATE', lengthM: 1, spacingM: 25, color: 'rgba(70, 70, 80, 0.95)'
+        },
+        'puddles': {
+            label: 'Puddles', icon: '💧', desc: 'Standing water',
+            waterDepthMm: 5, lengthM: 6, spacingM: 45, color: 'rgba(59, 130, 246, 0.45)'
+        },
+        'ice_patches': {
+            label: 'Ice Patches', icon: '🧊', desc: 'Shaded black ice',
+            surfaceType: 'ICE_SMOOTH', lengthM: 8, spacingM: 60, color: 'rgba(186, 230, 253, 0.6)'
+        },
+        'oil_spill': {
+            label: 'Oil Spill', icon: '🛢️', desc: 'Diesel on the road',
+            surfaceType: 'OIL_SPILL', lengthM: 12, spacingM: 90, color: 'rgba(30, 20, 40, 0.7)'
+        }
     }
 };
 
@@ -565,6 +581,7 @@ class GradeTestRenderer {
         this.groundY = this.roadY + this.roadHeight / 2;
 
         this.vehicleScreenX = this.width * 0.18; // Car slightly more centered
+        this.vehicleNoseOffsetPx = 110;          // Drawn rear → nose; the player's position is the nose
 
         this.frameCount = 0;
         this.wheelRotation = 0;
@@ -730,13 +747,14 @@ class GradeTestRenderer {
         this.vehicleScreenX = this.width * 0.18;
     }
 
+    // World positions are measured at the nose, which sits ahead of the drawn car's rear
     worldToScreen(worldDistance, playerDistance) {
         const relativeDistance = worldDistance - playerDistance;
-        return this.vehicleScreenX + (relativeDistance * this.pixelsPerMeter);
+        return this.vehicleScreenX + this.vehicleNoseOffsetPx + (relativeDistance * this.pixelsPerMeter);
     }
 
     render(gameState) {
-        const { position, speed, isBraking, markers, brakePosition, weatherPreset, surfaceType } = gameState;
+        const { position, speed, isBraking, markers, brakePosition, weatherPreset, surfaceType, hazardPatches, showStimulus, stopTrace, traceDecelScale, obstacle, leadVehicle } = gameState;
 
         // Update terrain based on surface type
         if (surfaceType && surfaceType !== this.currentTerrain) {
@@ -758,6 +776,9 @@ class GradeTestRenderer {
         this.drawGround(isWet, terrain);
         this.drawRoad(position, isWet, terrain);
         this.drawRoadMarkings(position, terrain);
+        if (hazardPatches && hazardPatches.length > 0) {
+            this.drawSurfacePatches(hazardPatches, position);
+        }
 
         // Draw terrain-specific effects
         if (terrain.hasSnowEffect) {
@@ -771,6 +792,15 @@ class GradeTestRenderer {
         // The marker data is still calculated for the comparison panel
 
         this.drawDistanceMarkers(position, brakePosition, isBraking);
+        if (isBraking && stopTrace) {
+            this.drawTraceStopPoint(stopTrace, position, brakePosition, traceDecelScale || 1);
+        }
+        if (obstacle) {
+            this.drawObstacle(obstacle, position);
+        }
+        if (leadVehicle) {
+            this.drawLeadVehicle(leadVehicle, position);
+        }
         this.drawVehicle(speed, isBraking);
 
         if (isWet) {
@@ -778,6 +808,10 @@ class GradeTestRenderer {
         }
 
         this.drawSpeedEffects(speed, position);
+
+        if (showStimulus) {
+            this.drawReactionStimulus();
+        }
     }
 
     drawSky(isWet, terrain) {
@@ -1078,6 +1112,127 @@ class GradeTestRenderer {
         }
     }
 
+    /**
+     * Hazard patches (painted lines, manholes, puddles, ice, oil) on the road
+     */
+    drawSurfacePatches(patches, playerDistance) {
+        const ctx = this.ctx;
+        const roadTop = this.roadY - this.roadHeight / 2;
+
+        patches.forEach(patch => {
+            const startX = this.worldToScreen(patch.startM, playerDistance);
+            const endX = this.worldToScreen(patch.startM + patch.lengthM, playerDistance);
+            if (endX < 0 || startX > this.width) return;
+
+            ctx.fillStyle = patch.color || 'rgba(255, 255, 255, 0.5)';
+            ctx.fillRect(startX, roadTop + 8, Math.max(3, endX - startX), this.roadHeight - 16);
+        });
+    }
+
+    /**
+     * Predicted stop position from the physics engine's time-stepped trace
+     * Decel scale shortens/lengthens the stop (d ∝ 1/a for the same speed curve)
+     */
+    drawTraceStopPoint(stopTrace, playerDistance, brakePosition, decelScale) {
+        if (!stopTrace.stopped) return;
+
+        const ctx = this.ctx;
+        const stopX = this.worldToScreen(brakePosition + stopTrace.brakingDistanceM / decelScale, playerDistance);
+        if (stopX < -50 || stopX > this.width + 50) return;
+
+        const roadTop = this.roadY - this.roadHeight / 2;
+        const roadBottom = this.roadY + this.roadHeight / 2;
+
+        ctx.strokeStyle = 'rgba(250, 204, 21, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 6]);
+        ctx.beginPath();
+        ctx.moveTo(stopX, roadTop - 10);
+        ctx.lineTo(stopX, roadBottom + 10);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = 'rgba(250, 204, 21, 0.9)';
+        ctx.font = 'bold 11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('PHYSICS STOP', stopX, roadTop - 14);
+    }
+
+    /**
+     * Stalled car blocking the lane - turns red once it has been hit
+     */
+    drawObstacle(obstacle, playerDistance) {
+        const config = GAME_CONFIG.obstacle;
+        const startX = this.worldToScreen(obstacle.positionM, playerDistance);
+        const endX = this.worldToScreen(obstacle.positionM + config.lengthM, playerDistance);
+        if (endX < -50 || startX > this.width + 50) return;
+
+        const ctx = this.ctx;
+        const width = Math.max(24, endX - startX);
+        const height = 26;
+        const y = this.roadY + 8 - height;
+
+        ctx.fillStyle = obstacle.impact ? '#dc2626' : config.color;
+        ctx.fillRect(startX, y, width, height);
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.6)';
+        ctx.fillRect(startX + width * 0.2, y - 10, width * 0.6, 10);
+
+        // Hazard lights
+        if (Math.floor(performance.now() / 400) % 2 === 0) {
+            ctx.fillStyle = '#f59e0b';
+            ctx.fillRect(startX, y + 4, 4, 6);
+            ctx.fillRect(startX + width - 4, y + 4, 4, 6);
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(obstacle.impact ? `HIT AT ${Math.round(obstacle.impact.impactSpeedKmh)} KM/H` : 'STALLED CAR',
+            startX + width / 2, y - 16);
+    }
+
+    /**
+     * Lead car for the following scenario, with the live bumper-to-bumper gap
+     */
+    drawLeadVehicle(lead, playerDistance) {
+        const x = this.worldToScreen(lead.positionM, playerDistance);
+        if (x < -150 || x > this.width + 50) return;
+
+        const ctx = this.ctx;
+        this._drawSedan(ctx, x, this.roadY + 8, GAME_CONFIG.following.lead.color, lead.braking);
+
+        const gapM = Math.max(0, lead.positionM - playerDistance);
+        ctx.fillStyle = lead.impact ? '#ef4444' : '#fff';
+        ctx.font = 'bold 11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(lead.impact ? `HIT AT ${Math.round(lead.impact.impactSpeedKmh)} KM/H` : `GAP ${gapM.toFixed(0)}m`,
+            x + 55, this.roadY - 36);
+    }
+
+    /**
+     * Hazard warning for the reaction test - flashes until the player brakes
+     */
+    drawReactionStimulus() {
+        const ctx = this.ctx;
+        const flash = Math.floor(performance.now() / 150) % 2 === 0;
+        const boxWidth = Math.min(320, this.width - 40);
+        const x = (this.width - boxWidth) / 2;
+        const y = this.height * 0.12;
+
+        ctx.fillStyle = flash ? 'rgba(220, 38, 38, 0.95)' : 'rgba(153, 27, 27, 0.95)';
+        ctx.fillRect(x, y, boxWidth, 56);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(x, y, boxWidth, 56);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 26px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('⚠ HAZARD - BRAKE!', this.width / 2, y + 28);
+        ctx.textBaseline = 'alphabetic';
+    }
+
     drawGradeMarkers(markers, playerDistance, brakePosition) {
         const ctx = this.ctx;
         const roadTop = this.roadY - this.roadHeight / 2;
@@ -1665,15 +1820,24 @@ const GameState = {
     // New: Width display unit
     widthUnit: 'metric',    // metric or imperial
 
+    // Display units for speeds, distances, tread and temperature (engine always runs metric)
+    units: 'metric',        // metric or imperial
+
     // New: Advanced physics factors (from UltimateBrakingPhysics)
     slopeDegrees: 0,        // Road gradient: positive = uphill, negative = downhill
-    brakeFadeLevel: 0,      // 0-10: brake fade from repeated braking
+    brakeFadeLevel: 0,      // 0-10: brake fade from repeated braking (derived from brakeTempC)
+    brakeTempC: null,       // Front disc temperature - heats with each stop, cools between runs
+    brakeTempUpdatedAt: 0,  // performance.now() of the last brake temperature update
     tyreCompound: 'touring', // economy, touring, performance, uhp, track
+    roadHazard: 'none',      // Key into GAME_CONFIG.roadHazards
+    hazardPatches: [],       // World-positioned patches [{ startM, lengthM, surfaceType, waterDepthMm, color }]
+    surfaceSegments: null,   // Patches converted to engine segments at brake point
 
     // New: Terrain Category and Pattern Direction (from TyreCategoriesSourced)
     // These affect grip based on tyre design vs surface conditions
     selectedTerrainCategory: 'PC',           // PC, HT, AT, MT, RT, WINTER, ALLSEASON, ALLWEATHER, HP, UHP
     selectedPatternDirection: 'SYMMETRICAL', // SYMMETRICAL, DIRECTIONAL, ASYMMETRICAL, ASYMMETRICAL_DIRECTIONAL
+    winterCertification: null,               // MS, 3PMSF, ICE_GRIP - set from the catalog tyre
 
     // Custom water depth (when weather is set to CUSTOM)
     customWaterDepthMm: null, // null = use preset, otherwise 0-5mm
@@ -1716,6 +1880,12 @@ const GameState = {
     physicsResult: null,
     simulatedDecelMs2: 0,     // Deceleration used in simulation (from physics engine)
     canStopWithBrakes: true,  // Whether brakes can overcome slope
+    reactionStimulus: null,   // { showAt, shownAt, position } - hazard shown to measure reaction
+    obstacle: null,           // { positionM, distanceM, impact } - placed ahead when the hazard appears
+    followHeadway: 'off',     // Key into GAME_CONFIG.following.headways
+    leadVehicle: null,        // { positionM, speedKmh, braking, decelMs2, minGapM, impact } - rear bumper position
+    stopTrace: null,          // Time-stepped stop from physicsEngine.simulateStop()
+    traceDecelScale: 1,       // Wind/trailer adjustment applied on top of the trace
 
     // Stats tracking
     stats: {
@@ -1788,7 +1958,7 @@ function calculateRealisticAcceleration() {
     const waterMm = waterDepths[GameState.selectedWeather] || 0;
     const isDry = waterMm <= 0;
 
-    let surfaceMu = isDry ? surfaceData.baseMu : surfaceData.wetMu;
+    let surfaceMu = surfaceData.peak;  // Dry peak - wet roads handled by the weather factor below
 
     // Weather reduces grip
     let weatherFactor = 1.0;
@@ -1877,26 +2047,14 @@ function calculateRealisticAcceleration() {
     // 9. Terrain Category and Pattern Direction modifiers (from TyreCategoriesSourced)
     // These affect traction based on tyre design vs current surface/conditions
     if (typeof TyreCategoriesSourced !== 'undefined') {
-        // Map surface to physics engine format
-        const surfaceMap = {
-            'ASPHALT_STD': 'ASPHALT_STD',
-            'CONCRETE': 'CONCRETE_STD',
-            'GRAVEL': 'GRAVEL_LOOSE',
-            'DIRT': 'DIRT_LOOSE',
-            'MUD': 'MUD',
-            'GRASS': 'GRASS_DRY',
-            'SAND': 'SAND',
-            'SNOW': 'SNOW_PACKED',
-            'ICE': 'ICE_SMOOTH'
-        };
-        const mappedSurface = surfaceMap[GameState.selectedSurface] || 'ASPHALT_STD';
 
         // Get combined modifier from terrain category + pattern direction
         const modifiers = TyreCategoriesSourced.getCombinedModifier(
             GameState.selectedTerrainCategory,
             GameState.selectedPatternDirection,
-            mappedSurface,
-            !isDry  // isWet
+            GameState.selectedSurface,  // Registry key/alias - see js/surfaces.js
+            !isDry,  // isWet
+            GameState.winterCertification
         );
 
         // Acceleration is proportional to available traction
@@ -1992,9 +2150,9 @@ function calculateCoastingDeceleration() {
     const engineBraking = engineBrakingBase * Math.max(0.3, 1 - speed / 200);
 
     // Rolling resistance - fairly constant, slight increase with speed
-    // Affected by surface type - now uses rollingFactor from GAME_CONFIG
+    // Affected by surface type - rolling multiplier from the surface registry
     const surfaceData = GAME_CONFIG.surfaces[GameState.selectedSurface] || GAME_CONFIG.surfaces['ASPHALT_STD'];
-    const rollingFactor = surfaceData.rollingFactor || 1.0;
+    const rollingFactor = surfaceData.rolling || 1.0;
     const rollingResistance = 0.4 * rollingFactor;
 
     // Aerodynamic drag - proportional to v^2
@@ -2064,9 +2222,9 @@ function calculateBrakeReleaseDeceleration() {
     // No engine braking when brake released (coasting in neutral effectively)
     const engineBraking = 0.3; // Minimal - just transmission drag
 
-    // Rolling resistance - uses rollingFactor from GAME_CONFIG
+    // Rolling resistance - rolling multiplier from the surface registry
     const surfaceData = GAME_CONFIG.surfaces[GameState.selectedSurface] || GAME_CONFIG.surfaces['ASPHALT_STD'];
-    const rollingFactor = surfaceData.rollingFactor || 1.0;
+    const rollingFactor = surfaceData.rolling || 1.0;
     const rollingResistance = 0.4 * rollingFactor;
 
     // Aerodynamic drag - varies by vehicle type
@@ -2146,24 +2304,11 @@ function calculateBrakingDistance(speedKmh, grade, treadMm, weatherPreset, ageYe
             totalMass += trailerWeight;
         }
 
-        // Map simplified surface names to full physics engine surface types
-        const surfaceMap = {
-            'ASPHALT_STD': 'ASPHALT_STD',
-            'CONCRETE': 'CONCRETE_STD',
-            'GRAVEL': 'GRAVEL_LOOSE',
-            'DIRT': 'DIRT_LOOSE',
-            'MUD': 'MUD',
-            'GRASS': 'GRASS_DRY',
-            'SAND': 'SAND',
-            'SNOW': 'SNOW_PACKED',
-            'ICE': 'ICE_SMOOTH'
-        };
-        const mappedSurface = surfaceMap[surface] || 'ASPHALT_STD';
 
         // Build physics params
         const physicsParams = {
             speedKmh: speedKmh,
-            surfaceType: mappedSurface,
+            surfaceType: surface,
             euGrade: grade,
             tyreAgeYears: ageYears,
             treadDepthMm: treadMm,
@@ -2179,7 +2324,7 @@ function calculateBrakingDistance(speedKmh, grade, treadMm, weatherPreset, ageYe
             brakeFadeLevel: brakeFadeLevel,
             tyreCompound: tyreCompound,
             fuelGrade: fuelGrade,
-            reactionTimeSeconds: 0  // We track reaction separately in the game
+            reactionTimeSeconds: 0  // Measured in game from the hazard stimulus (see startBraking)
         };
 
         // Use custom water depth if set, otherwise use weather preset
@@ -2226,7 +2371,7 @@ function calculateBrakingDistance(speedKmh, grade, treadMm, weatherPreset, ageYe
             const modifiers = TyreCategoriesSourced.getCombinedModifier(
                 GameState.selectedTerrainCategory,
                 GameState.selectedPatternDirection,
-                mappedSurface,
+                surface,
                 isWet
             );
 
@@ -2252,31 +2397,72 @@ function calculateBrakingDistance(speedKmh, grade, treadMm, weatherPreset, ageYe
 function getFullPhysicsResult(speedKmh, grade, treadMm, weatherPreset, ageYears, options = {}) {
     if (!physicsEngine) return null;
 
+    return physicsEngine.calculate(buildPhysicsParams(speedKmh, grade, treadMm, weatherPreset, ageYears, options));
+}
+
+/**
+ * Time-stepped stop trace for the current configuration
+ * Replayed by the braking phase of update() and drawn on the speed graph
+ */
+function getStopTrace(speedKmh, grade, treadMm, weatherPreset, ageYears, options = {}) {
+    if (!physicsEngine || typeof physicsEngine.simulateStop !== 'function') return null;
+
+    return physicsEngine.simulateStop(
+        buildPhysicsParams(speedKmh, grade, treadMm, weatherPreset, ageYears, options),
+        { dt: 0.01 }
+    );
+}
+
+/**
+ * Monte Carlo spread of braking distance for the current configuration
+ * Scaled by the wind/trailer adjustment so it compares with the game's stop
+ */
+function getStopDistribution(speedKmh, grade, treadMm, weatherPreset, ageYears, options = {}) {
+    if (!physicsEngine || typeof physicsEngine.calculateDistribution !== 'function') return null;
+
+    const distribution = physicsEngine.calculateDistribution(
+        buildPhysicsParams(speedKmh, grade, treadMm, weatherPreset, ageYears, options),
+        { samples: 1000, seed: 42 }
+    );
+    const scale = GameState.traceDecelScale || 1;
+    const braking = distribution.brakingDistanceM;
+    return {
+        samples: distribution.samples,
+        p5: braking.p5 / scale,
+        p50: braking.p50 / scale,
+        p95: braking.p95 / scale,
+        sortedM: braking.sortedM.map(d => d / scale)
+    };
+}
+
+// Typical static front axle weight share by drivetrain layout
+const STATIC_FRONT_WEIGHT = {
+    'FWD': 0.62,
+    'RWD': 0.52,
+    'AWD': 0.58
+};
+
+/**
+ * Build physics engine params from the game state (options override GameState)
+ */
+function buildPhysicsParams(speedKmh, grade, treadMm, weatherPreset, ageYears, options = {}) {
     // Get vehicle weight
     const vehicleData = GAME_CONFIG.vehicles[options.vehicle || GameState.selectedVehicle] || GAME_CONFIG.vehicles['sedan'];
     const effectiveWeight = options.vehicleWeight || GameState.vehicleWeight || vehicleData.weight;
 
     // Calculate total mass including trailer
     let totalMass = effectiveWeight;
+    let tyreMass = effectiveWeight;
     const trailerType = options.trailerType || GameState.trailerType || 'none';
     const trailerWeight = options.trailerWeight || GameState.trailerWeight || 0;
     if (trailerType !== 'none' && trailerWeight > 0) {
         totalMass += trailerWeight;
+        // The car's own tyres only carry the trailer's nose weight
+        tyreMass += trailerWeight * GAME_CONFIG.trailer.noseWeightRatio;
     }
 
-    // Map surface to physics engine format
+    // Game surface keys are registry keys or aliases - the engine reads them directly
     const surface = options.surface || GameState.selectedSurface || 'ASPHALT_STD';
-    const surfaceMap = {
-        'ASPHALT_STD': 'ASPHALT_STD',
-        'CONCRETE': 'CONCRETE_STD',
-        'GRAVEL': 'GRAVEL_LOOSE',
-        'DIRT': 'DIRT_LOOSE',
-        'MUD': 'MUD',
-        'GRASS': 'GRASS_DRY',
-        'SAND': 'SAND',
-        'SNOW': 'SNOW_PACKED',
-        'ICE': 'ICE_SMOOTH'
-    };
 
     // Handle custom water depth
     const physicsParams = {
@@ -2284,7 +2470,7 @@ function getFullPhysicsResult(speedKmh, grade, treadMm, weatherPreset, ageYears,
         euGrade: grade,
         treadDepthMm: treadMm,
         tyreAgeYears: ageYears,
-        surfaceType: surfaceMap[surface] || 'ASPHALT_STD',
+        surfaceType: surface,
         tyreWidthMm: options.width || GameState.selectedWidth || 205,
         tyreType: options.tyreType || GameState.selectedTyreType || 'summer',
         actualPsi: options.pressure || GameState.selectedPressure || 32,
@@ -2292,13 +2478,30 @@ function getFullPhysicsResult(speedKmh, grade, treadMm, weatherPreset, ageYears,
         ambientTempC: options.temp || GameState.selectedTemp || 20,
         vehicleMassKg: effectiveWeight,
         loadedMassKg: totalMass,
+        tyreMassKg: tyreMass,
         hasABS: options.hasABS !== undefined ? options.hasABS : GameState.hasABS,
         reactionTimeSeconds: 1.5,  // Include for comparison stats
         slopeDegrees: options.slopeDegrees || GameState.slopeDegrees || 0,
         brakeFadeLevel: options.brakeFadeLevel || GameState.brakeFadeLevel || 0,
-        tyreCompound: options.tyreCompound || GameState.tyreCompound || 'touring'
+        brakeTempC: options.brakeFadeLevel !== undefined ? null : GameState.brakeTempC,
+        tyreCompound: options.tyreCompound || GameState.tyreCompound || 'touring',
+
+        surfaceSegments: options.surfaceSegments || GameState.surfaceSegments || null,
+
+        // Axle model - load transfer from the vehicle's geometry
+        wheelbaseM: vehicleData.wheelbase,
+        cgHeightM: vehicleData.cgHeight,
+        frontWeightRatio: STATIC_FRONT_WEIGHT[vehicleData.drivetrain] || 0.6
     };
 
+    // Sidewall ratings from the entered tyre size (e.g. '205/55R16 91V')
+    const sizeInfo = GameState.tyreSizeInfo;
+    if (sizeInfo && sizeInfo.loadIndex) physicsParams.loadIndex = sizeInfo.loadIndex;
+    if (sizeInfo && sizeInfo.speedSymbol) physicsParams.speedSymbol = sizeInfo.speedSymbol;
+
+    // M+S / 3PMSF marking of the catalog tyre
+    if (GameState.winterCertification) physicsParams.winterCertification = GameState.winterCertification;
+
     // Use custom water depth if set, otherwise use weather preset
     if (weatherPreset === 'CUSTOM' && GameState.customWaterDepthMm !== null) {
         physicsParams.waterDepthMm = GameState.customWaterDepthMm;
@@ -2306,7 +2509,47 @@ function getFullPhysicsResult(speedKmh, grade, treadMm, weatherPreset, ageYears,
         physicsParams.weatherPreset = weatherPreset;
     }
 
-    return physicsEngine.calculate(physicsParams);
+    return physicsParams;
+}
+
+// =====================================================
+// UNIT DISPLAY (metric / imperial)
+// =====================================================
+
+const METRIC_UNIT_LABELS = { speed: 'km/h', distance: 'm', temperature: '°C', tread: 'mm', width: 'mm', mass: 'kg', water: 'mm' };
+
+/**
+ * Format a metric value in the player's display units: formatUnit(52.3, 'distance') → '171.6 ft'
+ */
+function formatUnit(value, quantity, decimals = null) {
+    if (physicsEngine && typeof physicsEngine.formatUnit === 'function') {
+        return physicsEngine.formatUnit(value, quantity, GameState.units, decimals);
+    }
+    const places = decimals !== null ? decimals : (quantity === 'speed' || quantity === 'temperature' || quantity === 'mass' ? 0 : 1);
+    return `${value.toFixed(places)} ${METRIC_UNIT_LABELS[quantity]}`;
+}
+
+/**
+ * Speed in the player's display units, as a bare number for the HUD
+ */
+function displaySpeed(speedKmh) {
+    if (GameState.units === 'imperial' && physicsEngine && typeof physicsEngine.convertUnit === 'function') {
+        return Math.round(physicsEngine.convertUnit(speedKmh, 'speed', 'imperial'));
+    }
+    return Math.round(speedKmh);
+}
+
+function setUnits(system) {
+    GameState.units = system === 'imperial' ? 'imperial' : 'metric';
+    localStorage.setItem('euGradeTest_units', GameState.units);
+
+    document.querySelectorAll('.units-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.units === GameState.units);
+    });
+    const speedUnitEl = document.getElementById('speed-unit');
+    if (speedUnitEl) speedUnitEl.textContent = GameState.units === 'imperial' ? 'MPH' : 'KM/H';
+    const speedDisplayEl = document.getElementById('speed-display');
+    if (speedDisplayEl) speedDisplayEl.textContent = displaySpeed(GameState.speed);
 }
 
 // =====================================================
@@ -2327,6 +2570,8 @@ function init() {
     }
 
     setupEventListeners();
+    setUnits(localStorage.getItem('euGradeTest_units') || 'metric');
+    loadTyreCatalog();
     setupTutorial();
     setupTooltips();
     setupWhyDrawer();
@@ -2682,22 +2927,9 @@ function parseTyreSize(sizeStr) {
     // Clean input
     sizeStr = sizeStr.trim().toUpperCase();
 
-    // Metric format: 205/55R16, 265/60R18, etc.
-    const metricMatch = sizeStr.match(/^(\d{3})\/(\d{2,3})R(\d{2})$/i);
-
-    // Imperial format: 31x10.5R15, 33x12.5R17, etc.
-    const imperialMatch = sizeStr.match(/^(\d{2,3})X([\d.]+)R(\d{2})$/i);
-
-    let widthMm = 0;
-    let maxTreadMm = 8;
-
-    if (metricMatch) {
-        widthMm = parseInt(metricMatch[1]);
-    } else if (imperialMatch) {
-        // Convert inches to mm
-        const widthInches = parseFloat(imperialMatch[2]);
-        widthMm = Math.round(widthInches * 25.4);
-    } else {
+    // Full sidewall sizes: 205/55R16, 215/60R16C 103/101 T, 31x10.5R15LT 109Q...
+    const parsed = TyreSize.parse(sizeStr);
+    if (!parsed) {
         // Show error
         if (errorEl) errorEl.classList.remove('hidden');
         if (parsedEl) parsedEl.style.opacity = '0.5';
@@ -2708,21 +2940,9 @@ function parseTyreSize(sizeStr) {
     if (errorEl) errorEl.classList.add('hidden');
     if (parsedEl) parsedEl.style.opacity = '1';
 
-    // Calculate max tread depth based on width
-    // Larger tyres have deeper tread grooves
-    if (widthMm < 165) {
-        maxTreadMm = 7;  // Small/trailer tyres
-    } else if (widthMm < 195) {
-        maxTreadMm = 8;  // Standard passenger
-    } else if (widthMm < 225) {
-        maxTreadMm = 9;  // Larger passenger
-    } else if (widthMm < 255) {
-        maxTreadMm = 10; // Performance/SUV
-    } else if (widthMm < 285) {
-        maxTreadMm = 12; // Large SUV/4WD
-    } else {
-        maxTreadMm = 16; // Truck/off-road tyres
-    }
+    // Larger and commercial tyres have deeper tread grooves
+    const widthMm = parsed.widthMm;
+    const maxTreadMm = parsed.maxTreadDepthMm;
 
     // Update display
     if (widthEl) widthEl.textContent = `${widthMm}mm`;
@@ -2732,9 +2952,11 @@ function parseTyreSize(sizeStr) {
     GameState.selectedWidth = widthMm;
     GameState.maxTreadDepth = maxTreadMm;
     GameState.tyreSize = sizeStr;
+    GameState.tyreSizeInfo = parsed;
 
     // Update tread depth presets based on max
     updateTreadPresetsForTyreSize(maxTreadMm);
+    updateCatalogPicker(sizeStr);
 
     // Update section value badge
     const section = document.getElementById('tyre-size-input')?.closest('.selection-section');
@@ -2746,6 +2968,55 @@ function parseTyreSize(sizeStr) {
     return true;
 }
 
+// =====================================================
+// TYRE CATALOG (real products for the chosen size)
+// =====================================================
+
+function loadTyreCatalog() {
+    if (typeof TyreCatalog === 'undefined' || typeof fetch === 'undefined') return;
+
+    TyreCatalog.load('proposed_additions.csv')
+        .then(catalog => {
+            if (catalog.rejectedRows.length > 0) {
+                console.warn(`Tyre catalog: ${catalog.rejectedRows.length} invalid row(s) left out`, catalog.rejectedRows);
+            }
+            tyreCatalog = catalog;
+            updateCatalogPicker(GameState.tyreSize);
+        })
+        .catch(err => console.warn('Tyre catalog unavailable:', err.message));
+}
+
+// List the catalog products in this size, keeping the current pick if it is still listed
+function updateCatalogPicker(sizeStr) {
+    const picker = document.getElementById('catalog-picker');
+    const select = document.getElementById('catalog-product-select');
+    if (!picker || !select) return;
+
+    const products = tyreCatalog && sizeStr ? tyreCatalog.find({ size: sizeStr }) : [];
+    picker.classList.toggle('hidden', products.length === 0);
+    if (products.length === 0) return;
+
+    const previous = select.value;
+    select.innerHTML = `<option value="">Choose from ${products.length} tyres in ${products[0].sizeKey}</option>` +
+        products.map(p => `<option value="${p.id}">${p.brand} ${p.pattern} ${p.size} - wet ${p.wetGrip}, fuel ${p.fuelGrade}, ${p.noiseDb} dB</option>`).join('');
+    if (products.some(p => p.id === previous)) select.value = previous;
+}
+
+// Fill grade, fuel grade, width and tyre type from a real product
+function applyCatalogProduct(id) {
+    const product = tyreCatalog ? tyreCatalog.get(id) : null;
+    if (!product) return;
+
+    const params = tyreCatalog.toPhysicsParams(product);
+    if (params.tyreWidthMm) GameState.selectedWidth = params.tyreWidthMm;
+
+    // Go through the normal selectors so badges and active states follow
+    document.querySelector(`.grade-btn[data-grade="${params.euGrade}"]`)?.click();
+    document.querySelector(`.fuel-grade-btn[data-fuelgrade="${params.fuelGrade}"]`)?.click();
+    document.querySelector(`.tyretype-btn[data-tyretype="${params.tyreType}"]`)?.click();
+    GameState.winterCertification = params.winterCertification || null;
+}
+
 // Update tread depth button values based on tyre size
 function updateTreadPresetsForTyreSize(maxTreadMm) {
     // Update the tread preset values
@@ -2885,6 +3156,7 @@ function setupEventListeners() {
             document.querySelectorAll('.tyretype-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             GameState.selectedTyreType = btn.dataset.tyretype;
+            GameState.winterCertification = null;  // Catalog marking no longer applies
             const label = btn.querySelector('.tyretype-label')?.textContent || btn.dataset.tyretype;
             updateSectionValueBadge(btn.closest('.selection-section'), label);
             updateAllInfo();
@@ -2956,6 +3228,12 @@ function setupEventListeners() {
         parseTyreSize(tyreSizeInput.value);
     }
 
+    // Real product for the chosen size
+    const catalogSelect = document.getElementById('catalog-product-select');
+    if (catalogSelect) {
+        catalogSelect.addEventListener('change', () => applyCatalogProduct(catalogSelect.value));
+    }
+
     // Legacy width slider (if still exists in some versions)
     const widthSlider = document.getElementById('width-slider');
     if (widthSlider) {
@@ -3105,7 +3383,7 @@ function setupEventListeners() {
     const brakeFadeSlider = document.getElementById('brake-fade-slider');
     if (brakeFadeSlider) {
         brakeFadeSlider.addEventListener('input', (e) => {
-            GameState.brakeFadeLevel = parseInt(e.target.value);
+            setBrakeFadeLevel(parseInt(e.target.value));
             updateBrakeFadeDisplay();
             updateAllInfo();
         });
@@ -3117,7 +3395,7 @@ function setupEventListeners() {
             document.querySelectorAll('.fade-preset-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             const fade = parseInt(btn.dataset.fade);
-            GameState.brakeFadeLevel = fade;
+            setBrakeFadeLevel(fade);
             const slider = document.getElementById('brake-fade-slider');
             if (slider) slider.value = fade;
             updateBrakeFadeDisplay();
@@ -3135,6 +3413,31 @@ function setupEventListeners() {
         });
     });
 
+    // Following distance selector
+    document.querySelectorAll('.headway-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.headway-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            GameState.followHeadway = btn.dataset.headway;
+            updateAllInfo();
+        });
+    });
+
+    // Display units selector
+    document.querySelectorAll('.units-btn').forEach(btn => {
+        btn.addEventListener('click', () => setUnits(btn.dataset.units));
+    });
+
+    // Road hazard selector
+    document.querySelectorAll('.hazard-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.hazard-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            GameState.roadHazard = btn.dataset.hazard;
+            updateAllInfo();
+        });
+    });
+
     // Start button
     document.getElementById('start-btn').addEventListener('click', startTest);
 
@@ -3333,6 +3636,9 @@ function updateBrakeFadeDisplay() {
         else if (fade <= 6) label = `${fade} - Hot`;
         else if (fade <= 8) label = `${fade} - Very Hot`;
         else label = `${fade} - SEVERE FADE!`;
+        if (GameState.brakeTempC !== null) {
+            label += ` (${Math.round(GameState.brakeTempC)}°C)`;
+        }
 
         fadeValueEl.textContent = label;
 
@@ -3614,8 +3920,20 @@ function resetGameState() {
     GameState.physicsResult = null;
     GameState.simulatedDecelMs2 = 0;
     GameState.canStopWithBrakes = true;
+    GameState.stopTrace = null;
+    GameState.traceDecelScale = 1;
+    GameState.surfaceSegments = null;
+    GameState.hazardPatches = generateHazardPatches(GameState.roadHazard);
     GameState.cannotStop = false;
     GameState.cannotStopWarned = false;
+    GameState.reactionStimulus = null;
+    GameState.obstacle = null;
+    GameState.leadVehicle = GAME_CONFIG.following.headways[GameState.followHeadway]?.headwayS
+        ? { positionM: GAME_CONFIG.following.minGapM, speedKmh: 0, braking: false, decelMs2: 0, startGapM: 0, startSpeedKmh: 0, minGapM: null, impact: null }
+        : null;
+
+    // Brakes cool while parked between runs
+    advanceBrakeTemperature({ type: 'cool', speedKmh: 0 });
 
     // Phase 1: Reset throttle/brake state machine
     GameState.throttleState = 'RELEASED';
@@ -3649,6 +3967,8 @@ function resetGameState() {
         totalDistance: 0,
         speedHistory: [],
         reactionDistance: 0,
+        reactionTime: null,     // Measured seconds from hazard to brake (null = braked before it)
+        reactionSpeed: 0,
         accelerationDistance: 0,
         firstAccelTime: 0,
         wasAccelerating: false
@@ -3772,6 +4092,20 @@ function startBraking() {
     stats.brakeStartTime = performance.now();
     stats.accelerationDistance = GameState.position;
 
+    // Reaction: from the hazard appearing to the brake press
+    const stimulus = GameState.reactionStimulus;
+    if (stimulus && stimulus.shownAt) {
+        stats.reactionTime = (stats.brakeStartTime - stimulus.shownAt) / 1000;
+        stats.reactionDistance = GameState.position - stimulus.position;
+        stats.reactionSpeed = stimulus.speed;
+    }
+
+    // Airflow cools the brakes during the run-up
+    advanceBrakeTemperature({ type: 'cool', speedKmh: GameState.brakeSpeed / 2 });
+
+    // Patches ahead of the brake point become the engine's surface segments
+    GameState.surfaceSegments = buildSurfaceSegments(GameState.hazardPatches, GameState.brakePosition);
+
     // Get full physics result for this braking scenario
     const treadMm = GAME_CONFIG.treadPresets[GameState.selectedTread]?.value || 8;
     GameState.physicsResult = getFullPhysicsResult(
@@ -3823,6 +4157,18 @@ function startBraking() {
 
         GameState.simulatedDecelMs2 = decelMs2;
         GameState.canStopWithBrakes = decelMs2 > 0;
+
+        // Time-stepped trace: the braking phase replays its speed-dependent
+        // deceleration, scaled by the wind/trailer adjustments above
+        const baseDecel = GameState.physicsResult.decelerationMs2;
+        GameState.traceDecelScale = baseDecel > 0 && decelMs2 > 0 ? decelMs2 / baseDecel : 1;
+        GameState.stopTrace = getStopTrace(
+            GameState.brakeSpeed,
+            GameState.selectedGrade,
+            treadMm,
+            GameState.selectedWeather,
+            GameState.selectedAge
+        );
     } else {
         // Fallback if physics engine not available
         GameState.simulatedDecelMs2 = 7.0; // ~0.7g default
@@ -3832,6 +4178,263 @@ function startBraking() {
     calculateComparisonMarkers();
 }
 
+// =====================================================
+// REACTION TEST
+// =====================================================
+
+/**
+ * Arm the hazard when the player lifts off, then show it after a random delay
+ */
+function updateReactionStimulus() {
+    const config = GAME_CONFIG.reactionTest;
+    const now = performance.now();
+
+    if (!GameState.reactionStimulus) {
+        if (GameState.throttleState === 'RELEASED' && GameState.speed > config.armAboveKmh) {
+            GameState.reactionStimulus = {
+                showAt: now + config.minDelayMs + Math.random() * (config.maxDelayMs - config.minDelayMs),
+                shownAt: 0,
+                position: 0,
+                speed: 0
+            };
+        }
+        return;
+    }
+
+    const stimulus = GameState.reactionStimulus;
+    if (!stimulus.shownAt && now >= stimulus.showAt && GameState.speed > 0) {
+        stimulus.shownAt = now;
+        stimulus.position = GameState.position;
+        stimulus.speed = GameState.speed;
+        if (GameState.leadVehicle) {
+            startLeadBraking();
+        } else {
+            GameState.obstacle = placeObstacle(stimulus.position, stimulus.speed);
+        }
+    }
+}
+
+// =====================================================
+// OBSTACLE
+// =====================================================
+
+/**
+ * Put the obstacle where new A-grade tyres would just stop from the hazard point
+ */
+function placeObstacle(hazardPosition, speedKmh) {
+    const config = GAME_CONFIG.obstacle;
+    const reference = getFullPhysicsResult(speedKmh, 'A', 8, GameState.selectedWeather, 0);
+    const distanceM = reference && reference.canStop
+        ? Math.round(reference.totalStoppingDistanceM + config.marginM)
+        : Math.round((speedKmh / 3.6) * 4);  // No reference stop - four seconds ahead
+
+    return {
+        positionM: hazardPosition + distanceM,
+        distanceM,
+        impact: null
+    };
+}
+
+/**
+ * Record the impact the first time the car reaches the obstacle while still moving
+ */
+function checkObstacleImpact() {
+    const obstacle = GameState.obstacle;
+    if (!obstacle || obstacle.impact || GameState.speed <= 0 || GameState.position < obstacle.positionM) return;
+
+    obstacle.impact = physicsEngine && typeof physicsEngine.getImpactEquivalent === 'function'
+        ? physicsEngine.getImpactEquivalent(GameState.speed, getImpactMassKg())
+        : { impactSpeedKmh: GameState.speed };
+}
+
+/**
+ * Mass carried into an impact (vehicle plus any trailer)
+ */
+function getImpactMassKg() {
+    const vehicleData = GAME_CONFIG.vehicles[GameState.selectedVehicle] || GAME_CONFIG.vehicles['sedan'];
+    let massKg = GameState.vehicleWeight || vehicleData.weight;
+    if (GameState.trailerType !== 'none' && GameState.trailerWeight > 0) {
+        massKg += GameState.trailerWeight;
+    }
+    return massKg;
+}
+
+// =====================================================
+// LEAD VEHICLE (following distance)
+// =====================================================
+
+/**
+ * Lead car emergency stop - deceleration from the engine with the lead's own tyres
+ */
+function startLeadBraking() {
+    const lead = GameState.leadVehicle;
+    const config = GAME_CONFIG.following.lead;
+    const result = getFullPhysicsResult(lead.speedKmh, config.euGrade, config.treadDepthMm,
+        GameState.selectedWeather, config.tyreAgeYears);
+    const speedMs = lead.speedKmh / 3.6;
+
+    lead.braking = true;
+    lead.decelMs2 = result && result.brakingDistanceM > 0 && result.brakingDistanceM < 99999
+        ? (speedMs * speedMs) / (2 * result.brakingDistanceM)
+        : 7.0;
+    lead.startGapM = lead.positionM - GameState.position;
+    lead.startSpeedKmh = lead.speedKmh;
+    lead.minGapM = lead.startGapM;
+}
+
+/**
+ * Lead car holds the headway until it brakes, then stops on its own
+ * (if the player brakes first it just drives on)
+ */
+function updateLeadVehicle(dt) {
+    const lead = GameState.leadVehicle;
+    if (!lead) return;
+
+    if (!lead.braking && GameState.drivingPhase === 'ACCELERATION') {
+        const headwayS = GAME_CONFIG.following.headways[GameState.followHeadway].headwayS;
+        lead.speedKmh = GameState.speed;
+        lead.positionM = GameState.position + Math.max(GAME_CONFIG.following.minGapM, (GameState.speed / 3.6) * headwayS);
+        return;
+    }
+
+    if (lead.braking) {
+        lead.speedKmh = Math.max(0, lead.speedKmh - lead.decelMs2 * 3.6 * dt);
+    }
+    lead.positionM += (lead.speedKmh / 3.6) * dt;
+}
+
+/**
+ * Track the closest approach and record a rear-end impact (closing speed)
+ */
+function checkLeadCollision() {
+    const lead = GameState.leadVehicle;
+    if (!lead || !lead.braking || lead.impact) return;
+
+    const gapM = lead.positionM - GameState.position;
+    lead.minGapM = Math.min(lead.minGapM, Math.max(0, gapM));
+    if (gapM > 0 || GameState.speed <= lead.speedKmh) return;
+
+    const closingKmh = GameState.speed - lead.speedKmh;
+    lead.impact = {
+        followSpeedKmh: GameState.speed,
+        leadSpeedKmh: lead.speedKmh,
+        ...(physicsEngine && typeof physicsEngine.getImpactEquivalent === 'function'
+            ? physicsEngine.getImpactEquivalent(closingKmh, getImpactMassKg())
+            : { impactSpeedKmh: closingKmh })
+    };
+}
+
+// =====================================================
+// BRAKE TEMPERATURE
+// =====================================================
+
+/**
+ * Fade slider/presets set a starting disc temperature for that fade level
+ */
+function setBrakeFadeLevel(level) {
+    GameState.brakeFadeLevel = level;
+    GameState.brakeTempC = physicsEngine
+        ? physicsEngine.getBrakeTempForFadeLevel(level, GameState.selectedTemp || 20)
+        : null;
+    GameState.brakeTempUpdatedAt = 0;  // Chosen condition applies at the start of the next run
+}
+
+/**
+ * Mass whose energy the car's own brakes absorb (unbraked trailer share included)
+ */
+function getBrakeHeatMassKg() {
+    const vehicleData = GAME_CONFIG.vehicles[GameState.selectedVehicle] || GAME_CONFIG.vehicles['sedan'];
+    const vehicleMass = GameState.vehicleWeight || vehicleData.weight;
+    if (GameState.trailerType === 'none' || !GameState.trailerWeight) return vehicleMass;
+
+    const trailerData = GAME_CONFIG.trailer.types[GameState.trailerType] || GAME_CONFIG.trailer.types['unbraked'];
+    const b = trailerData.brakingFactor || 0.70;
+    return vehicleMass + (1 - b) * GameState.trailerWeight;
+}
+
+/**
+ * Run a thermal event on the discs and re-derive the fade level from temperature
+ * 'cool' events use the real time elapsed since the last update
+ */
+function advanceBrakeTemperature(event) {
+    if (!physicsEngine || typeof physicsEngine.updateBrakeTemperature !== 'function') return;
+
+    const now = performance.now();
+    const ambientTempC = GameState.selectedTemp || 20;
+    if (GameState.brakeTempC === null) {
+        GameState.brakeTempC = physicsEngine.getBrakeTempForFadeLevel(GameState.brakeFadeLevel, ambientTempC);
+    }
+
+    const durationS = GameState.brakeTempUpdatedAt ? (now - GameState.brakeTempUpdatedAt) / 1000 : 0;
+    const result = physicsEngine.updateBrakeTemperature(GameState.brakeTempC, {
+        durationS,
+        ambientTempC,
+        ...event
+    });
+
+    GameState.brakeTempC = result.brakeTempC;
+    GameState.brakeTempUpdatedAt = now;
+    GameState.brakeFadeLevel = Math.round(result.fadeLevel);
+
+    const slider = document.getElementById('brake-fade-slider');
+    if (slider) slider.value = GameState.brakeFadeLevel;
+    updateBrakeFadeDisplay();
+}
+
+// =====================================================
+// ROAD HAZARD PATCHES
+// =====================================================
+
+/**
+ * Lay hazard patches along the test road at the preset spacing
+ * Spacing varies ±30% (deterministic) so patches don't look tiled
+ */
+function generateHazardPatches(hazardKey) {
+    const hazard = GAME_CONFIG.roadHazards[hazardKey];
+    if (!hazard || !hazard.spacingM) return [];
+
+    const patches = [];
+    let position = 40;
+    for (let i = 0; position < 3000; i++) {
+        patches.push({
+            startM: position,
+            lengthM: hazard.lengthM,
+            surfaceType: hazard.surfaceType || null,
+            waterDepthMm: hazard.waterDepthMm !== undefined ? hazard.waterDepthMm : null,
+            color: hazard.color
+        });
+        const jitter = Math.sin(i * 12.9898) * 0.3;
+        position += hazard.spacingM * (1 + jitter) + hazard.lengthM;
+    }
+    return patches;
+}
+
+/**
+ * Convert world patches into ordered engine segments from the brake point
+ * Gaps between patches are base-surface segments (no overrides)
+ */
+function buildSurfaceSegments(patches, brakePosition) {
+    if (!patches || patches.length === 0) return null;
+
+    const segments = [];
+    let cursor = brakePosition;
+    patches.forEach(patch => {
+        const patchEnd = patch.startM + patch.lengthM;
+        if (patchEnd <= cursor || patch.startM > brakePosition + 1000) return;
+
+        if (patch.startM > cursor) {
+            segments.push({ lengthM: patch.startM - cursor });
+        }
+        const segment = { lengthM: patchEnd - Math.max(cursor, patch.startM) };
+        if (patch.surfaceType) segment.surfaceType = patch.surfaceType;
+        if (patch.waterDepthMm !== null) segment.waterDepthMm = patch.waterDepthMm;
+        segments.push(segment);
+        cursor = patchEnd;
+    });
+
+    return segments.length > 0 ? segments : null;
+}
+
 function calculateComparisonMarkers() {
     const grades = ['A', 'B', 'C', 'D', 'E'];
     const treadMm = GAME_CONFIG.treadPresets[GameState.selectedTread]?.value || 8;
@@ -3999,14 +4602,19 @@ function update(dt) {
             GameState.brakeReady = true;
         }
 
+        updateReactionStimulus();
+
     } else if (GameState.drivingPhase === 'BRAKING') {
         // ─────────────────────────────────────────────────────────────────
         // BRAKING PHASE - cannot accelerate anymore
         // ─────────────────────────────────────────────────────────────────
 
         if (GameState.brakeState === 'PRESSED' && GameState.speed > 0) {
-            // Full braking - use physics engine deceleration
-            const decelerationMs2 = GameState.simulatedDecelMs2 || 7.0;
+            // Full braking - replay the physics engine trace (falls back to constant decel)
+            const traceDecel = getTraceDecelerationMs2(GameState.stopTrace, GameState.speed);
+            const decelerationMs2 = traceDecel !== null
+                ? traceDecel * GameState.traceDecelScale
+                : (GameState.simulatedDecelMs2 || 7.0);
             const decelerationKmhPerSec = decelerationMs2 * 3.6;
 
             if (decelerationMs2 <= 0) {
@@ -4048,20 +4656,23 @@ function update(dt) {
     if (GameState.speed > 0) {
         const speedMs = GameState.speed / 3.6;
         GameState.position += speedMs * dt;
+        checkObstacleImpact();
     }
+    updateLeadVehicle(dt);
+    checkLeadCollision();
 
     // Update HUD
-    document.getElementById('speed-display').textContent = Math.round(GameState.speed);
-    document.getElementById('hud-distance').textContent = `${Math.round(GameState.position)} m`;
+    document.getElementById('speed-display').textContent = displaySpeed(GameState.speed);
+    document.getElementById('hud-distance').textContent = formatUnit(GameState.position, 'distance', 0);
 
     // Update braking distance in HUD
     const hudBraking = document.getElementById('hud-braking');
     if (hudBraking) {
         if (GameState.drivingPhase === 'BRAKING') {
             const brakingDist = GameState.position - GameState.brakePosition;
-            hudBraking.textContent = `${brakingDist.toFixed(1)} m`;
+            hudBraking.textContent = formatUnit(brakingDist, 'distance', 1);
         } else {
-            hudBraking.textContent = '0 m';
+            hudBraking.textContent = formatUnit(0, 'distance', 0);
         }
     }
 
@@ -4107,6 +4718,30 @@ function updateDrivingStateHUD() {
     stateEl.className = 'driving-state ' + stateClass;
 }
 
+/**
+ * Deceleration from the stop trace at the given speed (linear interpolation)
+ * Returns null when there is no usable trace (e.g. vehicle cannot stop)
+ */
+function getTraceDecelerationMs2(trace, speedKmh) {
+    if (!trace || !trace.stopped || !GameState.canStopWithBrakes) return null;
+
+    const speeds = trace.speedKmh;
+    const decels = trace.decelerationMs2;
+    // Last sample is the 'stopped' marker with zero deceleration - skip it
+    const last = speeds.length - 2;
+    if (last < 0) return null;
+
+    if (speedKmh >= speeds[0]) return decels[0];
+    for (let i = 1; i <= last; i++) {
+        if (speeds[i] <= speedKmh) {
+            const span = speeds[i - 1] - speeds[i];
+            const t = span > 0 ? (speedKmh - speeds[i]) / span : 0;
+            return decels[i] + (decels[i - 1] - decels[i]) * t;
+        }
+    }
+    return decels[last];
+}
+
 function render() {
     if (!GameState.renderer) return;
 
@@ -4117,7 +4752,13 @@ function render() {
         markers: GameState.markers,
         brakePosition: GameState.brakePosition,
         weatherPreset: GameState.selectedWeather,
-        surfaceType: GameState.selectedSurface
+        surfaceType: GameState.selectedSurface,
+        hazardPatches: GameState.hazardPatches,
+        showStimulus: !!(GameState.reactionStimulus && GameState.reactionStimulus.shownAt && !GameState.isBraking),
+        stopTrace: GameState.stopTrace,
+        traceDecelScale: GameState.traceDecelScale,
+        obstacle: GameState.obstacle,
+        leadVehicle: GameState.leadVehicle
     });
 }
 
@@ -4140,7 +4781,12 @@ function completeTest() {
         stats.avgDeceleration = GameState.brakeSpeed / stats.brakingTime;
     }
 
-    setTimeout(showResults, 500);
+    setTimeout(() => {
+        showResults();
+
+        // The stop's energy heats the discs - the next run starts with warmer brakes
+        advanceBrakeTemperature({ type: 'stop', fromSpeedKmh: GameState.brakeSpeed, massKg: getBrakeHeatMassKg() });
+    }, 500);
 }
 
 // =====================================================
@@ -4161,9 +4807,9 @@ function buildConfigSummary() {
         { icon: surfaceData.icon || '🛣️', label: 'Surface', value: surfaceData.label || 'Asphalt' },
         { icon: weatherData.icon || '🌧️', label: 'Weather', value: weatherData.label || 'Rain' },
         { icon: '🏷️', label: 'EU Grade', value: `Grade ${GameState.selectedGrade}`, highlight: GameState.selectedGrade === 'E' ? 'danger' : GameState.selectedGrade === 'A' ? 'good' : '' },
-        { icon: '📏', label: 'Tread', value: `${treadMm}mm`, highlight: treadMm <= 1.6 ? 'danger' : treadMm <= 3 ? 'warning' : '' },
+        { icon: '📏', label: 'Tread', value: formatUnit(treadMm, 'tread'), highlight: treadMm <= 1.6 ? 'danger' : treadMm <= 3 ? 'warning' : '' },
         { icon: '📅', label: 'Tyre Age', value: GameState.selectedAge === 0 ? 'New' : `${GameState.selectedAge} years`, highlight: GameState.selectedAge >= 8 ? 'danger' : GameState.selectedAge >= 5 ? 'warning' : '' },
-        { icon: '🌡️', label: 'Temperature', value: `${GameState.selectedTemp}°C`, highlight: GameState.selectedTemp < 7 && GameState.selectedTyreType === 'summer' ? 'warning' : '' },
+        { icon: '🌡️', label: 'Temperature', value: formatUnit(GameState.selectedTemp, 'temperature'), highlight: GameState.selectedTemp < 7 && GameState.selectedTyreType === 'summer' ? 'warning' : '' },
         { icon: vehicleData.icon || '🚗', label: 'Vehicle', value: vehicleData.label || 'Sedan' },
         { icon: GameState.hasABS ? '✓' : '✗', label: 'ABS', value: GameState.hasABS ? 'Enabled' : 'Disabled', highlight: !GameState.hasABS ? 'warning' : '' }
     ];
@@ -4210,7 +4856,7 @@ function buildConfigSummary() {
         configs.push({
             icon: '🚚',
             label: 'Trailer',
-            value: `${GameState.trailerType === 'braked' ? 'Braked' : 'Unbraked'} (${GameState.trailerWeight}kg)`,
+            value: `${GameState.trailerType === 'braked' ? 'Braked' : 'Unbraked'} (${formatUnit(GameState.trailerWeight, 'mass')})`,
             highlight: GameState.trailerType === 'unbraked' ? 'warning' : ''
         });
     }
@@ -4240,21 +4886,22 @@ function showResults() {
     // Handle extreme scenarios where vehicle couldn't stop normally
     const distanceEl = document.getElementById('result-distance');
     if (GameState.cannotStop) {
-        distanceEl.textContent = `${GameState.stoppedDistance.toFixed(0)} m+ (COULD NOT STOP!)`;
+        distanceEl.textContent = `${formatUnit(GameState.stoppedDistance, 'distance', 0)}+ (COULD NOT STOP!)`;
         distanceEl.style.color = '#ef4444';  // Red warning
     } else if (GameState.stoppedDistance > 1000) {
         // Extreme but stoppable distance
-        distanceEl.textContent = `${GameState.stoppedDistance.toFixed(0)} m (EXTREME!)`;
+        distanceEl.textContent = `${formatUnit(GameState.stoppedDistance, 'distance', 0)} (EXTREME!)`;
         distanceEl.style.color = '#f59e0b';  // Orange warning
     } else {
-        distanceEl.textContent = `${GameState.stoppedDistance.toFixed(1)} m`;
+        distanceEl.textContent = formatUnit(GameState.stoppedDistance, 'distance', 1);
         distanceEl.style.color = '';  // Reset to default
     }
-    document.getElementById('result-speed').textContent = `${Math.round(GameState.brakeSpeed)} km/h`;
+    document.getElementById('result-speed').textContent = formatUnit(GameState.brakeSpeed, 'speed');
 
     buildConfigSummary();  // Show selected variables
     buildDetailedStats();
     buildFactorBreakdown();
+    buildSensitivityChart();
     buildComparison();
     generateInsight();
     drawSpeedGraph();
@@ -4351,13 +4998,13 @@ function updateSavedRunsDisplay() {
         html += `
             <div class="saved-run ${currentClass}" data-run-id="${run.id}">
                 <div class="run-main">
-                    <span class="run-distance">${run.distance}m</span>
-                    <span class="run-speed">@ ${run.speed} km/h</span>
+                    <span class="run-distance">${formatUnit(parseFloat(run.distance), 'distance', 1)}</span>
+                    <span class="run-speed">@ ${formatUnit(run.speed, 'speed')}</span>
                     ${currentBadge}
                 </div>
                 <div class="run-details">
                     <span class="run-grade">Grade ${run.grade}</span>
-                    <span class="run-tread">${run.treadMm}mm</span>
+                    <span class="run-tread">${formatUnit(run.treadMm, 'tread')}</span>
                     <span class="run-weather">${run.weather}</span>
                     <span class="run-vehicle">${run.vehicle}</span>
                 </div>
@@ -4379,8 +5026,7 @@ function updateSavedRunsDisplay() {
         if (current === best) {
             comparisonText = `<span class="comparison-good">This is your best result!</span>`;
         } else {
-            const diff = (current - best).toFixed(1);
-            comparisonText = `<span class="comparison-info">${diff}m longer than your best (${best}m)</span>`;
+            comparisonText = `<span class="comparison-info">${formatUnit(current - best, 'distance', 1)} longer than your best (${formatUnit(best, 'distance', 1)})</span>`;
         }
 
         html += `<div class="runs-comparison">${comparisonText}</div>`;
@@ -4418,8 +5064,8 @@ function updateRangeDisplay() {
     const youPositionEl = document.getElementById('range-you-position');
     const rangeSummaryEl = document.getElementById('range-summary');
 
-    if (bestValueEl) bestValueEl.textContent = `${bestDist.toFixed(1)}m`;
-    if (worstValueEl) worstValueEl.textContent = `${worstDist.toFixed(1)}m`;
+    if (bestValueEl) bestValueEl.textContent = formatUnit(bestDist, 'distance', 1);
+    if (worstValueEl) worstValueEl.textContent = formatUnit(worstDist, 'distance', 1);
 
     // Calculate position percentage (0% = best, 100% = worst)
     const range = worstDist - bestDist;
@@ -4438,13 +5084,13 @@ function updateRangeDisplay() {
         if (percentage < 10) {
             rangeSummaryEl.innerHTML = `<strong>Excellent!</strong> Your tyres are performing near the best possible.`;
         } else if (percentage < 30) {
-            rangeSummaryEl.innerHTML = `<strong>Good performance.</strong> You're ${diffFromBest.toFixed(1)}m behind optimal.`;
+            rangeSummaryEl.innerHTML = `<strong>Good performance.</strong> You're ${formatUnit(diffFromBest, 'distance', 1)} behind optimal.`;
         } else if (percentage < 60) {
-            rangeSummaryEl.innerHTML = `<strong>Average performance.</strong> Upgrading tyres could save ${diffFromBest.toFixed(1)}m.`;
+            rangeSummaryEl.innerHTML = `<strong>Average performance.</strong> Upgrading tyres could save ${formatUnit(diffFromBest, 'distance', 1)}.`;
         } else if (percentage < 80) {
-            rangeSummaryEl.innerHTML = `<strong>Below average.</strong> Consider checking tyre condition - ${diffFromBest.toFixed(1)}m extra stopping needed.`;
+            rangeSummaryEl.innerHTML = `<strong>Below average.</strong> Consider checking tyre condition - ${formatUnit(diffFromBest, 'distance', 1)} extra stopping needed.`;
         } else {
-            rangeSummaryEl.innerHTML = `<strong>Poor performance.</strong> Your tyres need attention - you needed ${diffFromBest.toFixed(1)}m more than optimal!`;
+            rangeSummaryEl.innerHTML = `<strong>Poor performance.</strong> Your tyres need attention - you needed ${formatUnit(diffFromBest, 'distance', 1)} more than optimal!`;
         }
     }
 }
@@ -4456,20 +5102,115 @@ function buildDetailedStats() {
 
     const weatherLabel = GAME_CONFIG.weatherPresets[GameState.selectedWeather]?.label || 'wet';
 
+    // Where this stop sits among drivers with the same car and tyres
+    const treadMm = GAME_CONFIG.treadPresets[GameState.selectedTread]?.value || 8;
+    const spread = getStopDistribution(GameState.brakeSpeed, GameState.selectedGrade, treadMm,
+        GameState.selectedWeather, GameState.selectedAge);
+    // Measured reaction vs the engine's driver profiles at the same speed
+    let reactionText = '';
+    if (stats.reactionTime !== null) {
+        const typical = physicsEngine ? physicsEngine.getReactionTime({ driverProfile: 'average' }).seconds : 1.5;
+        const typicalM = (stats.reactionSpeed / 3.6) * typical;
+        reactionText = `
+            <p class="narrative-text">
+                The hazard appeared at <strong>${formatUnit(stats.reactionSpeed, 'speed')}</strong>. You reacted in
+                <strong>${stats.reactionTime.toFixed(2)}s</strong>, travelling <strong>${formatUnit(stats.reactionDistance, 'distance', 1)}</strong>
+                before braking - an average driver (${typical}s) would cover <strong>${formatUnit(typicalM, 'distance', 1)}</strong>.
+            </p>`;
+    } else {
+        reactionText = `
+            <p class="narrative-text">
+                You braked before the hazard appeared, so no reaction time was measured. Lift off the accelerator and wait for the warning to test your reactions.
+            </p>`;
+    }
+
+    // Obstacle outcome, against new A-grade tyres with the same reaction time
+    const obstacle = GameState.obstacle;
+    let obstacleText = '';
+    if (obstacle && obstacle.impact) {
+        const impact = obstacle.impact;
+        const energyText = impact.kineticEnergyKJ !== undefined
+            ? ` - <strong>${Math.round(impact.kineticEnergyKJ)} kJ</strong>, like driving off a
+                <strong>${Math.max(1, Math.round(impact.equivalentStoreys))}-storey</strong> building (${impact.equivalentFallHeightM}m)`
+            : '';
+        let referenceText = '';
+        if (physicsEngine && stats.reactionTime !== null) {
+            const outcome = physicsEngine.calculate({
+                ...buildPhysicsParams(stats.reactionSpeed, 'A', 8, GameState.selectedWeather, 0),
+                reactionTimeSeconds: stats.reactionTime,
+                obstacleDistanceM: obstacle.distanceM,
+                _isComparisonCalc: true
+            }).obstacle;
+            referenceText = outcome && outcome.stopsInTime
+                ? ` With new A-grade tyres and the same reaction you would have stopped <strong>${outcome.marginM}m</strong> short.`
+                : outcome ? ` Even new A-grade tyres would have hit it at <strong>${Math.round(outcome.impactSpeedKmh)} km/h</strong>.` : '';
+        }
+        obstacleText = `
+            <p class="narrative-text">
+                You hit the ${GAME_CONFIG.obstacle.label} <strong>${obstacle.distanceM}m</strong> ahead of the hazard at
+                <strong>${Math.round(impact.impactSpeedKmh)} km/h</strong>${energyText}.${referenceText}
+            </p>`;
+    } else if (obstacle) {
+        obstacleText = `
+            <p class="narrative-text">
+                You stopped <strong>${(obstacle.positionM - GameState.position).toFixed(1)}m</strong> short of the
+                ${GAME_CONFIG.obstacle.label} ${obstacle.distanceM}m ahead of the hazard.
+            </p>`;
+    }
+
+    // Following scenario: what happened behind the lead car, and the gap the engine says was needed
+    const lead = GameState.leadVehicle;
+    let followingText = '';
+    if (lead && lead.braking) {
+        const headwayLabel = GAME_CONFIG.following.headways[GameState.followHeadway].label.toLowerCase();
+        const outcomeText = lead.impact
+            ? `You hit it at a closing speed of <strong>${Math.round(lead.impact.impactSpeedKmh)} km/h</strong>
+                (you were doing ${Math.round(lead.impact.followSpeedKmh)} km/h, the lead car ${Math.round(lead.impact.leadSpeedKmh)} km/h).`
+            : `You stayed clear - the closest you got was <strong>${lead.minGapM.toFixed(1)}m</strong>.`;
+        let requiredText = '';
+        if (physicsEngine && typeof physicsEngine.simulateFollowing === 'function' && stats.reactionTime !== null) {
+            const config = GAME_CONFIG.following.lead;
+            const prediction = physicsEngine.simulateFollowing(
+                buildPhysicsParams(lead.startSpeedKmh, config.euGrade, config.treadDepthMm, GameState.selectedWeather, config.tyreAgeYears),
+                {
+                    ...buildPhysicsParams(stats.reactionSpeed, GameState.selectedGrade, treadMm, GameState.selectedWeather, GameState.selectedAge),
+                    reactionTimeSeconds: stats.reactionTime
+                },
+                { gapM: lead.startGapM }
+            );
+            requiredText = ` With your tyres and reaction time you need at least <strong>${prediction.requiredHeadwayS}s</strong>
+                (${Math.round(prediction.requiredGapM)}m) of gap at this speed.`;
+        }
+        followingText = `
+            <p class="narrative-text">
+                The lead car braked hard from <strong>${Math.round(lead.startSpeedKmh)} km/h</strong> with a ${headwayLabel} gap
+                (<strong>${lead.startGapM.toFixed(1)}m</strong>). ${outcomeText}${requiredText}
+            </p>`;
+    }
+
+    const impactTarget = lead && lead.braking ? lead : obstacle;
+
+    const spreadText = spread ? `
+            <p class="narrative-text">
+                Across <strong>${spread.samples.toLocaleString()}</strong> simulated stops with the same car and tyres,
+                90% stopped between <strong>${formatUnit(spread.p5, 'distance', 1)}</strong> and <strong>${formatUnit(spread.p95, 'distance', 1)}</strong>.
+                Your stop was shorter than <strong>${Math.round((1 - physicsEngine.getStopProbability(spread.sortedM, GameState.stoppedDistance)) * 100)}%</strong> of them.
+            </p>` : '';
+
     detailsContainer.innerHTML = `
         <div class="stats-narrative">
             <p class="narrative-text">
-                You accelerated from <strong>0</strong> to <strong>${Math.round(stats.peakSpeed)} km/h</strong>
-                at an average rate of <strong>${stats.avgAcceleration.toFixed(1)} km/h/s</strong>,
-                reaching top speed after <strong>${stats.distanceToTopSpeed.toFixed(1)}m</strong>
+                You accelerated from <strong>0</strong> to <strong>${formatUnit(stats.peakSpeed, 'speed')}</strong>
+                at an average rate of <strong>${formatUnit(stats.avgAcceleration, 'speed', 1)}/s</strong>,
+                reaching top speed after <strong>${formatUnit(stats.distanceToTopSpeed, 'distance', 1)}</strong>
                 in <strong>${stats.timeToTopSpeed.toFixed(2)}s</strong>.
             </p>
             <p class="narrative-text">
                 You then braked on the <strong>${weatherLabel}</strong> road and stopped after
-                <strong>${GameState.stoppedDistance.toFixed(1)}m</strong>
+                <strong>${formatUnit(GameState.stoppedDistance, 'distance', 1)}</strong>
                 in <strong>${stats.brakingTime.toFixed(2)}s</strong>, decelerating at
-                <strong>${stats.avgDeceleration.toFixed(1)} km/h/s</strong>.
-            </p>
+                <strong>${formatUnit(stats.avgDeceleration, 'speed', 1)}/s</strong>.
+            </p>${reactionText}${obstacleText}${followingText}${spreadText}
         </div>
 
         <div class="stats-grid">
@@ -4480,7 +5221,7 @@ function buildDetailedStats() {
                     <div class="stat-details">
                         <div class="stat-row">
                             <span>Peak Speed</span>
-                            <strong>${Math.round(stats.peakSpeed)} km/h</strong>
+                            <strong>${formatUnit(stats.peakSpeed, 'speed')}</strong>
                         </div>
                         <div class="stat-row">
                             <span>Time to Peak</span>
@@ -4488,7 +5229,7 @@ function buildDetailedStats() {
                         </div>
                         <div class="stat-row">
                             <span>Distance</span>
-                            <strong>${stats.accelerationDistance.toFixed(1)}m</strong>
+                            <strong>${formatUnit(stats.accelerationDistance, 'distance', 1)}</strong>
                         </div>
                     </div>
                 </div>
@@ -4499,18 +5240,26 @@ function buildDetailedStats() {
                 <div class="stat-content">
                     <span class="stat-title">Braking Phase</span>
                     <div class="stat-details">
+                        <div class="stat-row">
+                            <span>Reaction Time</span>
+                            <strong>${stats.reactionTime !== null ? stats.reactionTime.toFixed(2) + 's' : '—'}</strong>
+                        </div>
                         <div class="stat-row">
                             <span>Speed at Brake</span>
-                            <strong>${Math.round(GameState.brakeSpeed)} km/h</strong>
+                            <strong>${formatUnit(GameState.brakeSpeed, 'speed')}</strong>
                         </div>
                         <div class="stat-row">
                             <span>Stop Distance</span>
-                            <strong>${GameState.stoppedDistance.toFixed(1)}m</strong>
+                            <strong>${formatUnit(GameState.stoppedDistance, 'distance', 1)}</strong>
                         </div>
                         <div class="stat-row">
                             <span>Time to Stop</span>
                             <strong>${stats.brakingTime.toFixed(2)}s</strong>
                         </div>
+                        <div class="stat-row">
+                            <span>Impact Speed</span>
+                            <strong>${impactTarget ? (impactTarget.impact ? formatUnit(impactTarget.impact.impactSpeedKmh, 'speed') : 'Stopped') : '—'}</strong>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -4526,7 +5275,7 @@ function buildDetailedStats() {
                         </div>
                         <div class="stat-row">
                             <span>Tread Depth</span>
-                            <strong>${GAME_CONFIG.treadPresets[GameState.selectedTread]?.value || 8}mm</strong>
+                            <strong>${formatUnit(treadMm, 'tread')}</strong>
                         </div>
                         <div class="stat-row">
                             <span>Tyre Age</span>
@@ -4581,6 +5330,68 @@ function buildFactorBreakdown() {
     container.innerHTML = html;
 }
 
+/**
+ * Tornado chart: which single change would move this car's stop the most
+ * Bars left of the axis shorten the stop, bars right lengthen it
+ */
+function buildSensitivityChart() {
+    const container = document.getElementById('sensitivity-chart');
+    if (!container) return;
+    if (!physicsEngine || typeof physicsEngine.sensitivity !== 'function') {
+        container.innerHTML = '';
+        return;
+    }
+
+    const treadMm = GAME_CONFIG.treadPresets[GameState.selectedTread]?.value || 8;
+    const params = buildPhysicsParams(GameState.brakeSpeed, GameState.selectedGrade, treadMm,
+        GameState.selectedWeather, GameState.selectedAge);
+    const result = physicsEngine.sensitivity(params, { metric: 'braking' });
+    const rows = result.ranked.filter(row => row.swingM >= 0.5).slice(0, 6);
+    if (rows.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const maxDelta = Math.max(...rows.map(row => Math.max(Math.abs(row.low.deltaM), Math.abs(row.high.deltaM))));
+    const formatValue = (value, unit) => {
+        if (typeof value === 'boolean') return value ? 'On' : 'Off';
+        if (typeof value === 'number') return `${Math.round(value * 10) / 10}${unit ? ' ' + unit : ''}`;
+        return value;
+    };
+    const barWidth = (deltaM) => `${(Math.abs(deltaM) / maxDelta) * 50}%`;
+
+    let html = '<h3>What Matters Most for This Car</h3><div class="tornado-chart">';
+    rows.forEach(row => {
+        const shorter = row.low.deltaM < row.high.deltaM ? row.low : row.high;
+        const longer = shorter === row.low ? row.high : row.low;
+        html += `
+            <div class="tornado-row">
+                <span class="tornado-label">${row.label}</span>
+                <div class="tornado-track">
+                    <div class="tornado-bar shorter" style="width: ${barWidth(Math.min(0, shorter.deltaM))}"
+                        title="${formatValue(shorter.value, row.unit)}: ${shorter.deltaM}m"></div>
+                    <div class="tornado-bar longer" style="width: ${barWidth(Math.max(0, longer.deltaM))}"
+                        title="${formatValue(longer.value, row.unit)}: +${longer.deltaM}m"></div>
+                </div>
+                <span class="tornado-range">${shorter.deltaM < 0 ? shorter.deltaM + 'm' : '—'} / ${longer.deltaM > 0 ? '+' + longer.deltaM + 'm' : '—'}</span>
+            </div>
+        `;
+    });
+    html += '</div>';
+
+    const best = result.biggestImprovement;
+    if (best && best.bestImprovementM < 0) {
+        html += `
+            <p class="tornado-tip">
+                Biggest single improvement: <strong>${best.label} → ${formatValue(best.bestValue, best.unit)}</strong>
+                stops <strong>${Math.abs(best.bestImprovementM)}m</strong> shorter.
+            </p>
+        `;
+    }
+
+    container.innerHTML = html;
+}
+
 function drawSpeedGraph() {
     const canvas = document.getElementById('speed-graph');
     if (!canvas) return;
@@ -4657,6 +5468,29 @@ function drawSpeedGraph() {
     ctx.fillStyle = 'rgba(59, 130, 246, 0.2)';
     ctx.fill();
 
+    // Overlay the physics engine trace from the brake point
+    // Scaled decel stretches time by 1/scale for the same speed profile
+    const trace = GameState.stopTrace;
+    if (trace && trace.stopped && stats.brakeStartTime > startTime) {
+        const scale = GameState.traceDecelScale || 1;
+        ctx.beginPath();
+        ctx.strokeStyle = '#facc15';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 3]);
+        trace.time.forEach((t, i) => {
+            const time = stats.brakeStartTime + (t / scale) * 1000;
+            const x = padding + ((time - startTime) / timeRange) * (width - 2 * padding);
+            const y = height - padding - (trace.speedKmh[i] / maxSpeed) * (height - 2 * padding);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
     ctx.fillStyle = '#ffffff';
     ctx.font = '10px Inter';
     ctx.textAlign = 'left';
@@ -1,6 +1,6 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════════════
- * ULTIMATE TYRE BRAKING PHYSICS SIMULATOR v3.5.1
+ * ULTIMATE TYRE BRAKING PHYSICS SIMULATOR v3.6.0
  * ═══════════════════════════════════════════════════════════════════════════════
  *
  * The most comprehensive, physics-accurate braking distance calculator available.
@@ -9,6 +9,64 @@
  * STATUS: GPT-4 reviewed and approved across 4 review rounds. All identified
  * bugs fixed. Hydroplaning model now correctly gated to standing water only.
  *
+ * v3.6.0 SIMULATION FEATURES:
+ * ─────────────────────────────────────────────────────────────
+ * ✅ simulateStop(params, { dt }) - time-stepped stop trace (time, speed,
+ *    position, deceleration, active factors per step)
+ * ✅ Slip-ratio magic formula fitted per surface replaces the binary
+ *    peak/slide pick; simulateWheelSlip() models ABS pulsing, locked
+ *    wheels and threshold braking (brakingMode, thresholdSkill, slipRatio)
+ * ✅ Axle load transfer + brake bias (wheelbaseM, cgHeightM, brakeBias,
+ *    rear tyre condition) - reports which axle saturates first
+ * ✅ Braking in a curve (curveRadiusM) via friction circle/ellipse
+ * ✅ surfaceSegments - stop integrated across painted lines, manholes,
+ *    puddles and ice patches (new PAINTED_LINES, METAL_PLATE, OIL_SPILL)
+ * ✅ gradientProfile / elevationProfile - slope and rolling physics
+ *    integrated along real descents (Arthur's Pass, Desert Road presets)
+ * ✅ Brake disc thermal model (brakeTempC) derives fade from the drive;
+ *    updateBrakeTemperature() + simulateRepeatedStops() show fade build up
+ * ✅ Tread temperature (treadTempC or speedHistory) vs compound operating
+ *    window - cold track/UHP tyres lose grip until warmed
+ * ✅ calculateDistribution(params, { samples, seed }) - seeded Monte Carlo
+ *    over reaction time, μ scatter, pressure and water depth (percentiles
+ *    + probability of stopping within a distance)
+ * ✅ Reaction time from driver profiles (learner, experienced, elderly)
+ *    and impairments (phone, fatigue, alcohol, night) - getReactionTime()
+ * ✅ sensitivity(params) - each input swept across a realistic range,
+ *    ranked by metres of stopping distance (tornado chart data)
+ * ✅ solveRequired(params, { targetDistanceM }) - minimum tread, grade,
+ *    pressure (or maximum age/speed) needed to stop within a distance
+ * ✅ obstacleDistanceM - stops in time or not; impact speed, kinetic
+ *    energy and equivalent fall height when it doesn't (getImpactEquivalent)
+ * ✅ simulateFollowing(lead, follower, { gapM | headwayS }) - lead car
+ *    emergency stop, minimum separation or collision speed, gap needed
+ * ✅ validate(params) + strict mode - unknown enum values, out-of-range
+ *    numbers and contradictory inputs reported with field paths
+ * ✅ Surfaces come from the shared registry (js/surfaces.js - load it
+ *    first); game-only surfaces (BRICK, SLUSH, METAL_WET...) get real physics
+ * ✅ registerFactor(name, fn) - plugin factors join the μ product, the
+ *    factors output and the warnings without editing calculate()
+ * ✅ runCalibrationSuite(tests) - reference stops from
+ *    data/calibration-tests.json scored per test, RMSE by surface and tyre
+ *    type, drift against a saved baseline (tools/calibration-report.js)
+ * ✅ fitCalibrationProfile(stops) - least-squares fit of calibration
+ *    multipliers and surface peak/slide to local test days;
+ *    loadCalibrationProfile() applies the result (tools/calibration-fit.js)
+ * ✅ Imperial units - speedMph, treadDepth32nds, ambientTempF, vehicleMassLb...
+ *    and the options targetDistanceFt, gapFt, thresholdsFt, maxDistanceFt
+ *    accepted by every entry point; units: 'imperial' adds an imperial
+ *    block to calculate(), simulateStop(), simulateFollowing(),
+ *    calculateDistribution(), sensitivity() and solveRequired() outputs;
+ *    formatUnit() / convertUnit() for UI display
+ * ✅ loadIndex / speedSymbol - heaviest corner vs rated load (derated
+ *    above the speed rating; tyreMassKg when a trailer adds only its nose
+ *    weight) feeds the load factor; result.heatFailure
+ *    rates tyre heat build-up; overload/overspeed warnings
+ * ✅ winterCertification ('MS', '3PMSF', 'ICE_GRIP') - snow and ice
+ *    calibration from the certified traction indices, never below the
+ *    tyreType row (js/tyre-categories.js - load it before this file;
+ *    tools/winter-grip-check.js)
+ *
  * v3.5.1 PHYSICS ACCURACY IMPROVEMENTS:
  * ─────────────────────────────────────────────────────────────
  * ✅ EXACT rolling+drag stopping formula (replaces 30% heuristic)
@@ -96,7 +154,7 @@
  * 13. Tyre Compound Subtype (economy to track)
  * 14. Road Camber/Banking (crowned vs off-camber)
  * 15. Aerodynamic Downforce (high-speed grip bonus)
- * 16. Real-World Calibration (matched to 285 validated tyre tests)
+ * 16. Real-World Calibration (multipliers fitted to published tyre tests)
  * 17. Vehicle Era (1970s-2020s technology evolution)
  * 
  * SPECIAL FEATURES:
@@ -125,9 +183,26 @@
  * @license Educational Use
  */
 
+/**
+ * Thrown by calculate({ strict: true }) when validate() finds errors
+ * errors/warnings: [{ code, path, message, value, allowed?, min?, max? }]
+ */
+class BrakingInputError extends Error {
+  constructor(errors, warnings = []) {
+    super(`Invalid braking inputs: ${errors.map(e => e.message).join('; ')}`);
+    this.name = 'BrakingInputError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
 class UltimateBrakingPhysics {
   
   constructor() {
+    const surfaceRegistry = typeof SurfaceRegistry !== 'undefined' ? SurfaceRegistry : require('./surfaces.js');
+    const tyreSize = typeof TyreSize !== 'undefined' ? TyreSize : require('./tyre-size.js');
+    const tyreCategories = typeof TyreCategoriesSourced !== 'undefined' ? TyreCategoriesSourced : require('./tyre-categories.js');
+
     // ═══════════════════════════════════════════════════════════════
     // PHYSICAL CONSTANTS
     // ═══════════════════════════════════════════════════════════════
@@ -179,34 +254,8 @@ class UltimateBrakingPhysics {
       'allseason': 0.002,   // All-season adds ~0.002 (compound flexibility)
       'winter':    0.004,   // Winter tyres add ~0.004 (softer compound, deeper tread)
 
-      // Surface multipliers for rolling resistance
-      surfaces: {
-        'ASPHALT_STD':    1.0,
-        'ASPHALT_ROUGH':  1.1,
-        'ASPHALT_NEW':    1.0,
-        'ASPHALT_WORN':   0.95,
-        'ASPHALT_SMOOTH': 0.90,
-        'CONCRETE_STD':   1.05,
-        'CONCRETE_ROUGH': 1.15,
-        'CONCRETE_SMOOTH': 0.95,
-        'GRAVEL_PACKED':  1.5,
-        'GRAVEL_LOOSE':   2.5,   // Much higher on loose surfaces
-        'SNOW_LIGHT':     1.3,
-        'SNOW_PACKED':    1.2,
-        'SNOW_DEEP':      2.0,   // Deep snow creates significant resistance
-        'ICE_ROUGH':      1.0,
-        'ICE_SMOOTH':     0.8,   // Very low on smooth ice
-        'ICE_WET':        0.7,
-        'ICE_SNOW':       1.1,
-        'DIRT_DRY':       1.4,
-        'DIRT_LOOSE':     2.0,
-        'SAND':           3.0,   // Very high in sand
-        'GRASS_DRY':      1.8,
-        'GRASS_WET':      2.0,
-        'MUD':            3.5,   // Extremely high in mud
-        'CHIPSEAL':       1.1,
-        'COBBLESTONE':    1.3
-      },
+      // Surface multipliers for rolling resistance (from the surface registry)
+      surfaces: surfaceRegistry.getRollingTable(),
 
       // Pressure effect: underinflation increases rolling resistance
       // ~1% increase per PSI below recommended
@@ -222,49 +271,366 @@ class UltimateBrakingPhysics {
       defaultCd: 0.30,           // Typical car drag coefficient
       defaultFrontalArea: 2.2    // m² typical car frontal area
     };
+
+    // ═══════════════════════════════════════════════════════════════
+    // TYRE LOAD INDEX + SPEED SYMBOL (ETRTO / UNECE R30 sidewall ratings)
+    // Load index → kg per tyre, speed symbol → km/h (shared with js/tyre-size.js)
+    //
+    // The heaviest corner is compared with the rated load; above the
+    // speed rating the usable capacity falls with the square of the
+    // overspeed. Heat stress = load use^1.5 × speed use^2 (flexing energy
+    // per revolution × revolutions per second) - 1.0 is the rated design
+    // point the tyre is tested at (UNECE R30 load/speed endurance test).
+    // ═══════════════════════════════════════════════════════════════
+    this.loadIndexKg = tyreSize.LOAD_INDEX_KG;
+    this.speedSymbols = tyreSize.SPEED_SYMBOL_KMH;
+    this.tyreRatings = {
+      overloadGripLoss: 0.15,        // μ loss per 100% over rated load (contact patch saturates)
+      overspeedGripLoss: 0.15,       // μ loss per 100% over the speed rating (tread overheating)
+      loadExponent: 1.5,
+      speedExponent: 2,
+      minSpeedUse: 0.9,              // Driving slower buys little load margin (ETRTO passenger tables)
+      heatLevels: [                  // Heat stress upper bounds
+        { level: 'NONE', max: 1.0 },
+        { level: 'ELEVATED', max: 1.15 },
+        { level: 'HIGH', max: 1.4 },
+        { level: 'CRITICAL', max: Infinity }
+      ]
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // WINTER CERTIFICATION (M+S, 3PMSF, ice grip symbol)
+    // Source: TyreCategoriesSourced.WINTER_CERTIFICATIONS (js/tyre-categories.js)
+    //
+    // Snow calibration moves from the summer row towards the winter row
+    // (typical 3PMSF winter tyre) with certified snow traction; a summer
+    // compound sits at the HP terrain category's snow grip. Only the ice
+    // grip symbol is tested on ice - it scales the winter ice row.
+    // ═══════════════════════════════════════════════════════════════
+    this.tyreCategories = tyreCategories;
+    this.winterSnowGrip = {
+      summer: tyreCategories.TERRAIN_CATEGORIES.HP.modifiers.snow,
+      winter: tyreCategories.getWinterGrip('3PMSF', true).snow
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // TREAD TEMPERATURE (tyre warm-up)
+    // Rolling hysteresis heats the tread towards a speed-dependent
+    // steady rise over ambient; parked tyres cool back to ambient
+    // ═══════════════════════════════════════════════════════════════
+    this.tyreThermal = {
+      riseAt100KmhC: 30,             // Steady tread rise at 100 km/h (touring, correct pressure, dry)
+      speedExponent: 0.8,            // rise ∝ v^0.8
+      warmUpTimeConstantS: 300,      // ~63% of the steady rise after 5 minutes driving
+      coolDownTimeConstantS: 600,    // Parked
+      wetCoolingFactor: 0.5,         // Water film carries heat away
+      pressureExponent: 1.5,         // Underinflation flexes the carcass: rise × (rec/actual)^1.5
+      hotPenaltyPerC: 0.005          // Grip loss per °C above the operating window
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // DRIVER REACTION TIME
+    // Perception-reaction time to an unexpected hazard (brake-pedal onset)
+    // Source: Green (2000), Dawson & Reid (1997) fatigue ≈ BAC equivalence
+    // ═══════════════════════════════════════════════════════════════
+    this.driverProfiles = {
+      'learner':     { reactionS: 1.7, name: 'Learner/novice' },
+      'average':     { reactionS: 1.5, name: 'Average driver' },
+      'experienced': { reactionS: 1.2, name: 'Experienced, alert' },
+      'elderly':     { reactionS: 1.9, name: 'Older driver (75+)' }
+    };
+    this.reactionImpairments = {
+      phoneMultiplier: { handheld: 1.45, handsfree: 1.2 },  // Visual-manual vs cognitive distraction
+      alcoholPerBac: 2.5,            // +25% per 0.1 g/100mL blood alcohol
+      fatigueBacPerHour: 0.00714,    // 17h awake ≈ 0.05 BAC, 24h ≈ 0.10 BAC
+      fatigueOnsetHours: 10,
+      nightAddS: 0.3                 // Slower hazard detection in low light
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // SENSITIVITY RANGES (tornado chart - sensitivity())
+    // Realistic low/high for each input a driver can change.
+    // Functions receive the scenario params (for relative ranges).
+    // clears: inputs that would override the one being varied
+    // ═══════════════════════════════════════════════════════════════
+    this.sensitivityRanges = {
+      treadDepthMm:        { label: 'Tread depth', unit: 'mm', quantity: 'tread', low: 1.6, high: 8 },
+      euGrade:             { label: 'EU wet grip grade', unit: '', low: 'E', high: 'A' },
+      actualPsi:           { label: 'Tyre pressure', unit: 'psi', low: p => (p.recommendedPsi || 32) - 8, high: p => p.recommendedPsi || 32 },
+      tyreAgeYears:        { label: 'Tyre age', unit: 'yrs', low: 10, high: 0 },
+      tyreWidthMm:         { label: 'Tyre width', unit: 'mm', quantity: 'width', low: 165, high: 265 },
+      ambientTempC:        { label: 'Temperature', unit: '°C', quantity: 'temperature', low: 0, high: 25 },
+      tyreCompound:        { label: 'Compound', unit: '', low: 'economy', high: 'uhp' },
+      tyreType:            { label: 'Tyre type', unit: '', low: 'summer', high: 'winter' },
+      brakeFadeLevel:      { label: 'Brake fade', unit: '', low: 7, high: 0, clears: ['brakeTempC'] },
+      hasABS:              { label: 'ABS', unit: '', low: false, high: true, clears: ['brakingMode', 'slipRatio'] },
+      loadedMassKg:        { label: 'Load', unit: 'kg', quantity: 'mass', low: p => (p.vehicleMassKg || 1500) * 1.3, high: p => p.vehicleMassKg || 1500 },
+      reactionTimeSeconds: { label: 'Reaction time', unit: 's', low: 2.5, high: 0.9, clears: ['driverProfile'] }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // INVERSE SOLVER INPUTS (solveRequired())
+    // Search range per input and which direction shortens the stop
+    // ═══════════════════════════════════════════════════════════════
+    this.inverseInputs = {
+      treadDepthMm: { label: 'Tread depth', unit: 'mm', quantity: 'tread', min: 0, max: 10, better: 'higher', precision: 0.1 },
+      euGrade:      { label: 'EU wet grip grade', unit: '', values: ['E', 'D', 'C', 'B', 'A'] },
+      actualPsi:    { label: 'Tyre pressure', unit: 'psi', min: p => (p.recommendedPsi || 32) - 12, max: p => p.recommendedPsi || 32, better: 'higher', precision: 0.5 },
+      tyreAgeYears: { label: 'Tyre age', unit: 'yrs', min: 0, max: 15, better: 'lower', precision: 0.5 },
+      speedKmh:     { label: 'Speed', unit: 'km/h', quantity: 'speed', min: 5, max: 200, better: 'lower', precision: 1 }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // UNITS (metric ↔ imperial)
+    // imperial = metric × factor + offset; decimals = display precision.
+    // Tread is in 32nds of an inch, as read off a US/UK gauge
+    // ═══════════════════════════════════════════════════════════════
+    this.units = {
+      speed:        { metric: 'km/h', imperial: 'mph',   factor: 1 / 1.609344, offset: 0,  decimals: 0 },
+      distance:     { metric: 'm',    imperial: 'ft',    factor: 3.28084,      offset: 0,  decimals: 1 },
+      temperature:  { metric: '°C',   imperial: '°F',    factor: 1.8,          offset: 32, decimals: 0 },
+      tread:        { metric: 'mm',   imperial: '/32"',  factor: 32 / 25.4,    offset: 0,  decimals: 0 },
+      width:        { metric: 'mm',   imperial: 'in',    factor: 1 / 25.4,     offset: 0,  decimals: 1 },
+      mass:         { metric: 'kg',   imperial: 'lb',    factor: 2.20462,      offset: 0,  decimals: 0 },
+      water:        { metric: 'mm',   imperial: 'in',    factor: 1 / 25.4,     offset: 0,  decimals: 2 },
+      deceleration: { metric: 'm/s²', imperial: 'ft/s²', factor: 3.28084,      offset: 0,  decimals: 2 }
+    };
+
+    // calculate() inputs with an imperial spelling: metric name → [imperial name, quantity].
+    // Array inputs map their item fields the same way
+    this.unitFields = {
+      speedKmh:          ['speedMph', 'speed'],
+      waterDepthMm:      ['waterDepthIn', 'water'],
+      treadDepthMm:      ['treadDepth32nds', 'tread'],
+      rearTreadDepthMm:  ['rearTreadDepth32nds', 'tread'],
+      tyreWidthMm:       ['tyreWidthIn', 'width'],
+      ambientTempC:      ['ambientTempF', 'temperature'],
+      treadTempC:        ['treadTempF', 'temperature'],
+      brakeTempC:        ['brakeTempF', 'temperature'],
+      vehicleMassKg:     ['vehicleMassLb', 'mass'],
+      loadedMassKg:      ['loadedMassLb', 'mass'],
+      tyreMassKg:        ['tyreMassLb', 'mass'],
+      obstacleDistanceM: ['obstacleDistanceFt', 'distance'],
+      curveRadiusM:      ['curveRadiusFt', 'distance'],
+      wheelbaseM:        ['wheelbaseFt', 'distance'],
+      cgHeightM:         ['cgHeightFt', 'distance'],
+      speedHistory:      { speedKmh: ['speedMph', 'speed'] },
+      gradientProfile:   { distanceM: ['distanceFt', 'distance'] },
+      elevationProfile:  { distanceM: ['distanceFt', 'distance'], elevationM: ['elevationFt', 'distance'] },
+      surfaceSegments:   { lengthM: ['lengthFt', 'distance'], waterDepthMm: ['waterDepthIn', 'water'] }
+    };
+
+    // Entry-point options with an imperial spelling (solveRequired, simulateFollowing,
+    // calculateDistribution, simulateStop) - a list converts item by item
+    this.optionUnitFields = {
+      targetDistanceM:   ['targetDistanceFt', 'distance'],
+      gapM:              ['gapFt', 'distance'],
+      thresholdsM:       ['thresholdsFt', 'distance'],
+      maxDistanceM:      ['maxDistanceFt', 'distance']
+    };
+
+    // Result fields returned in result.imperial when calculate() gets units: 'imperial'
+    this.resultUnitFields = [
+      ['speedKmh', 'speedMph', 'speed'],
+      ['reactionDistanceM', 'reactionDistanceFt', 'distance'],
+      ['brakingDistanceM', 'brakingDistanceFt', 'distance'],
+      ['totalStoppingDistanceM', 'totalStoppingDistanceFt', 'distance'],
+      ['safety.safeSpeedKmh', 'safeSpeedMph', 'speed'],
+      ['comparison.bestCaseM', 'bestCaseFt', 'distance'],
+      ['comparison.worstCaseM', 'worstCaseFt', 'distance'],
+      ['comparison.extraDistanceM', 'extraDistanceFt', 'distance'],
+      ['obstacle.distanceM', 'obstacleDistanceFt', 'distance'],
+      ['obstacle.marginM', 'obstacleMarginFt', 'distance'],
+      ['obstacle.impactSpeedKmh', 'impactSpeedMph', 'speed'],
+      ['curve.maxCurveSpeedKmh', 'maxCurveSpeedMph', 'speed'],
+      ['inputs.waterDepthMm', 'waterDepthIn', 'water'],
+      ['inputs.treadDepthMm', 'treadDepth32nds', 'tread'],
+      ['inputs.tyreWidthMm', 'tyreWidthIn', 'width'],
+      ['inputs.ambientTempC', 'ambientTempF', 'temperature'],
+      ['inputs.vehicleMassKg', 'vehicleMassLb', 'mass']
+    ];
+
+    // The same for the other entry points. Arrays (trace samples) and objects
+    // of numbers (distribution percentiles) are converted element by element
+    this.outputUnitFields = {
+      simulateStop: [
+        ['speedKmh', 'speedMph', 'speed'],
+        ['positionM', 'positionFt', 'distance'],
+        ['decelerationMs2', 'decelerationFtS2', 'deceleration'],
+        ['reactionDistanceM', 'reactionDistanceFt', 'distance'],
+        ['brakingDistanceM', 'brakingDistanceFt', 'distance'],
+        ['totalDistanceM', 'totalDistanceFt', 'distance'],
+        ['finalSpeedKmh', 'finalSpeedMph', 'speed'],
+        ['closedFormBrakingDistanceM', 'closedFormBrakingDistanceFt', 'distance']
+      ],
+      simulateFollowing: [
+        ['gapM', 'gapFt', 'distance'],
+        ['lead.speedKmh', 'leadSpeedMph', 'speed'],
+        ['lead.brakingDistanceM', 'leadBrakingDistanceFt', 'distance'],
+        ['follower.speedKmh', 'followSpeedMph', 'speed'],
+        ['follower.totalStoppingDistanceM', 'followTotalStoppingDistanceFt', 'distance'],
+        ['collision.impactSpeedKmh', 'impactSpeedMph', 'speed'],
+        ['minSeparationM', 'minSeparationFt', 'distance'],
+        ['requiredGapM', 'requiredGapFt', 'distance']
+      ],
+      calculateDistribution: [
+        ['nominalTotalM', 'nominalTotalFt', 'distance'],
+        ['totalStoppingDistanceM', 'totalStoppingDistanceFt', 'distance'],
+        ['brakingDistanceM', 'brakingDistanceFt', 'distance']
+      ],
+      sensitivity: [
+        ['baseDistanceM', 'baseDistanceFt', 'distance']
+      ],
+      solveRequired: [
+        ['targetDistanceM', 'targetDistanceFt', 'distance'],
+        ['speedKmh', 'speedMph', 'speed'],
+        ['currentDistanceM', 'currentDistanceFt', 'distance']
+      ]
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // INPUT SCHEMA (validate() / strict mode)
+    // Hard limits - values outside them are errors, not just unusual.
+    // 'table' enums are checked against the lookup tables in this class
+    // ═══════════════════════════════════════════════════════════════
+    const num = (min, max, extra = {}) => ({ type: 'number', min, max, ...extra });
+    this.inputSchema = {
+      speedKmh:            num(0, 350),
+      surfaceType:         { type: 'enum', table: 'surfaces' },
+      waterDepthMm:        num(0, 50),
+      weatherPreset:       { type: 'enum', table: 'weatherPresets', nullable: true },
+      euGrade:             { type: 'enum', table: 'euGrades' },
+      fuelGrade:           { type: 'enum', table: 'fuelGradeRRC' },
+      tyreAgeYears:        num(0, 30),
+      treadDepthMm:        num(0, 20),
+      tyreWidthMm:         num(125, 405),
+      tyreType:            { type: 'enum', values: ['summer', 'winter', 'allseason'] },
+      winterCertification: { type: 'enum', values: ['MS', '3PMSF', 'ICE_GRIP'], nullable: true },  // _getRealWorldCalibration()
+      actualPsi:           num(0, 100, { nullable: true }),
+      recommendedPsi:      num(15, 80),
+      ambientTempC:        num(-50, 60),
+      isHotClimate:        { type: 'boolean' },
+      treadTempC:          num(-50, 200, { nullable: true }),
+      speedHistory:        { type: 'array', nullable: true, items: { durationS: num(0, 86400), speedKmh: num(0, 350) } },
+      slopeDegrees:        num(-45, 45),
+      gradientProfile:     { type: 'array', table: 'roadProfiles', nullable: true, items: { distanceM: num(0, 100000), slopeDegrees: num(-45, 45) } },
+      elevationProfile:    { type: 'array', nullable: true, items: { distanceM: num(0, 100000), elevationM: num(-500, 9000) } },
+      vehicleMassKg:       num(50, 60000),
+      loadedMassKg:        num(50, 60000, { nullable: true }),
+      tyreMassKg:          num(50, 60000, { nullable: true }),
+      loadIndex:           num(50, 170, { nullable: true }),
+      speedSymbol:         { type: 'enum', table: 'speedSymbols', nullable: true },
+      hasABS:              { type: 'boolean' },
+      brakingMode:         { type: 'enum', values: ['abs', 'locked', 'threshold'], nullable: true },
+      thresholdSkill:      num(0, 1),
+      slipRatio:           num(0, 1, { nullable: true, minExclusive: true }),  // 0 = free-rolling wheel, no braking force
+      reactionTimeSeconds: num(0, 5),
+      driverProfile:       { type: 'enum', table: 'driverProfiles', nullable: true },
+      impairments:         { type: 'object', nullable: true, fields: {
+        phone:        { type: 'enum', values: ['handheld', 'handsfree'], nullable: true },
+        bloodAlcohol: num(0, 0.5),
+        hoursAwake:   num(0, 72),
+        night:        { type: 'boolean' }
+      } },
+      obstacleDistanceM:   num(0, 10000, { nullable: true }),
+      brakeFadeLevel:      num(0, 10),
+      brakeTempC:          num(-50, 900, { nullable: true }),
+      tyreCompound:        { type: 'enum', values: ['economy', 'touring', 'performance', 'uhp', 'track', 'mud', 'at'] },  // _getCompoundFactor()
+      roadCamberDegrees:   num(-15, 15),
+      hasDownforce:        { type: 'boolean' },
+      downforceCoefficient: num(0, 10),
+      vehicleYear:         num(1900, 2100, { nullable: true }),
+      wheelbaseM:          num(1, 8, { nullable: true }),
+      cgHeightM:           num(0.2, 3, { nullable: true }),
+      frontWeightRatio:    num(0, 1),
+      brakeBias:           num(0.3, 0.9, { nullable: true }),   // Range _getAxleLoadFactor() models
+      payloadRearShare:    num(0, 1),
+      rearTreadDepthMm:    num(0, 20, { nullable: true }),
+      rearTyreAgeYears:    num(0, 30, { nullable: true }),
+      surfaceSegments:     { type: 'array', nullable: true, items: {
+        lengthM:      num(0, 10000),
+        surfaceType:  { type: 'enum', table: 'surfaces', nullable: true },
+        waterDepthMm: num(0, 50, { nullable: true })
+      } },
+      curveRadiusM:        num(1, 100000, { nullable: true }),
+      frictionEllipseRatio: num(0.3, 1.5),
+      units:               { type: 'enum', values: ['metric', 'imperial'] },
+      strict:              { type: 'boolean' }
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // CUSTOM FACTORS (registerFactor())
+    // Plugin factors multiplied into μ_effective after the built-in ones.
+    // Names below are taken by the built-in factors output
+    // ═══════════════════════════════════════════════════════════════
+    this.customFactors = {};
+    this.builtInFactorNames = [
+      'surface', 'weather', 'grade', 'age', 'tread', 'pressure', 'width', 'temperature',
+      'speed', 'load', 'slope', 'brakeFade', 'compound', 'camber', 'downforce', 'axle',
+      'vehicleEra', 'calibration', 'hydroplaning', 'rolling'
+    ];
+
+    // ═══════════════════════════════════════════════════════════════
+    // UNCERTAINTY RANGES (Monte Carlo - calculateDistribution)
+    // Spread of real-world inputs around the nominal scenario
+    // ═══════════════════════════════════════════════════════════════
+    this.uncertaintyRanges = {
+      reactionTimeSigma: 0.25,       // Log-normal spread around the nominal reaction time
+      reactionTimeMinS: 0.5,
+      reactionTimeMaxS: 3.5,
+      muScatterSd: 0.06,             // Relative μ scatter (test-to-test, patch-to-patch)
+      pressureSdPsi: 2,              // Gauge error + daily drift
+      waterDepthSigma: 0.4           // Log-normal spread of water depth (only when wet)
+    };
+
+    // ═══════════════════════════════════════════════════════════════
+    // BRAKE DISC THERMAL MODEL
+    // Lumped front-disc temperature: heats with braking energy,
+    // cools towards ambient (Newton cooling, faster with airflow)
+    // ═══════════════════════════════════════════════════════════════
+    this.brakeThermal = {
+      discMassKg: 16,                // Both front discs - they take most heat and fade first
+      specificHeatJkgK: 460,         // Cast iron
+      frontEnergyShare: 0.7,         // Share of braking energy into the front discs
+      stillAirTimeConstantS: 900,    // Cooling time constant when parked
+      airflowRefMs: 5,               // τ = τ_still / (1 + v / airflowRef)
+      fadeOnsetC: 150,               // Fade level 0 up to here
+      degreesPerFadeLevel: 55        // +1 fade level per 55°C (700°C = level 10)
+    };
     
     // ═══════════════════════════════════════════════════════════════
     // SURFACE FRICTION COEFFICIENTS
     // Source: HP Wizard, Bosch Handbook, University of Alberta
-    // Format: { peak: ABS friction, slide: locked wheel friction }
+    // Format: { peak: ABS friction, slide: locked wheel friction,
+    //          peakSlip: slip ratio at peak friction (slip-curve fit) }
     // ═══════════════════════════════════════════════════════════════
-    this.surfaces = {
-      // ASPHALT VARIANTS
-      'ASPHALT_ROUGH':    { peak: 0.90, slide: 0.75, name: 'Rough Textured Asphalt' },
-      'ASPHALT_NEW':      { peak: 0.85, slide: 0.70, name: 'New Asphalt' },
-      'ASPHALT_STD':      { peak: 0.80, slide: 0.65, name: 'Standard Asphalt' },
-      'ASPHALT_WORN':     { peak: 0.72, slide: 0.58, name: 'Worn/Polished Asphalt' },
-      'ASPHALT_SMOOTH':   { peak: 0.65, slide: 0.52, name: 'Smooth Asphalt' },
-      
-      // CONCRETE VARIANTS
-      'CONCRETE_ROUGH':   { peak: 0.85, slide: 0.70, name: 'Textured Concrete' },
-      'CONCRETE_STD':     { peak: 0.78, slide: 0.62, name: 'Standard Concrete' },
-      'CONCRETE_SMOOTH':  { peak: 0.70, slide: 0.55, name: 'Smooth Concrete' },
-      
-      // OTHER SEALED SURFACES
-      'CHIPSEAL':         { peak: 0.82, slide: 0.68, name: 'Chip Seal' },
-      'COBBLESTONE':      { peak: 0.60, slide: 0.45, name: 'Cobblestone' },
-      
-      // UNSEALED SURFACES
-      'GRAVEL_PACKED':    { peak: 0.60, slide: 0.55, name: 'Packed Gravel' },
-      'GRAVEL_LOOSE':     { peak: 0.40, slide: 0.35, name: 'Loose Gravel' },
-      'DIRT_DRY':         { peak: 0.65, slide: 0.55, name: 'Dry Packed Dirt' },
-      'DIRT_LOOSE':       { peak: 0.45, slide: 0.40, name: 'Loose Dirt' },
-      'SAND':             { peak: 0.30, slide: 0.25, name: 'Sand' },
-      'GRASS_DRY':        { peak: 0.45, slide: 0.40, name: 'Dry Grass' },
-      'GRASS_WET':        { peak: 0.35, slide: 0.30, name: 'Wet Grass' },
-      'MUD':              { peak: 0.25, slide: 0.20, name: 'Mud' },
-      
-      // WINTER SURFACES
-      'SNOW_LIGHT':       { peak: 0.35, slide: 0.30, name: 'Light Snow' },
-      'SNOW_PACKED':      { peak: 0.28, slide: 0.22, name: 'Packed Snow' },
-      'SNOW_DEEP':        { peak: 0.18, slide: 0.15, name: 'Deep Fresh Snow' },
-      'ICE_ROUGH':        { peak: 0.20, slide: 0.15, name: 'Rough Ice' },
-      'ICE_SMOOTH':       { peak: 0.10, slide: 0.07, name: 'Smooth/Black Ice' },
-      'ICE_WET':          { peak: 0.05, slide: 0.03, name: 'Wet Ice (melting)' },
-      'ICE_SNOW':         { peak: 0.08, slide: 0.05, name: 'Snow over Ice' }
-    };
+    // Shared with the game/What-If UI - see js/surfaces.js (aliases included)
+    this.surfaceRegistry = surfaceRegistry;
+    this.surfaces = surfaceRegistry.getPhysicsTable();
     
+    // ═══════════════════════════════════════════════════════════════
+    // WHEEL DYNAMICS + ABS CONTROLLER (slip-ratio model)
+    // Quarter-car wheel: J·dω/dt = Fx·r - T_brake
+    // ABS holds slip in a band around the surface's peakSlip
+    // ═══════════════════════════════════════════════════════════════
+    this.wheelDynamics = {
+      inertiaKgM2: 1.2,          // Wheel + hub + disc rotational inertia
+      rollingRadiusM: 0.31       // Typical 205/55R16 loaded radius
+    };
+
+    this.absController = {
+      releaseAbovePeak: 1.20,    // Dump pressure when slip > 1.2 × peakSlip
+      applyBelowPeak: 0.80,      // Re-apply when slip < 0.8 × peakSlip
+      applyTimeS: 0.08,          // Time to build torque for peak friction
+      releaseRateMultiplier: 2   // Pressure dumps faster than it builds
+    };
+
+    // Slip curve fits are derived from this.surfaces on first use
+    this._slipCurveCache = {};
+
+    // Locally fitted calibration (loadCalibrationProfile()) - null = built-in only
+    this.calibrationProfile = null;
+
     // ═══════════════════════════════════════════════════════════════
     // EU WET GRIP GRADE FACTORS
     // Source: EU Regulation 2020/740, Michelin testing data
@@ -296,6 +662,30 @@ class UltimateBrakingPhysics {
       'STANDING':      { waterMm: 4.0,  name: 'Standing Water' },
       'FLOODED':       { waterMm: 8.0,  name: 'Flooded' }
     };
+
+    // Road gradient profiles: [distanceM from brake point, slopeDegrees from there on]
+    // Approximate grades from road signage - for illustration, not survey data
+    this.roadProfiles = {
+      'ARTHURS_PASS': {
+        name: "Arthur's Pass (Otira side)",
+        profile: [
+          { distanceM: 0,    slopeDegrees: -5.7 },   // 10%
+          { distanceM: 150,  slopeDegrees: -9.1 },   // 16% viaduct approach
+          { distanceM: 450,  slopeDegrees: -6.8 },   // 12%
+          { distanceM: 800,  slopeDegrees: -3.4 },   // 6%
+          { distanceM: 1200, slopeDegrees: 0 }
+        ]
+      },
+      'DESERT_ROAD': {
+        name: 'Desert Road (SH1 descent)',
+        profile: [
+          { distanceM: 0,    slopeDegrees: -4.0 },   // 7%
+          { distanceM: 400,  slopeDegrees: -2.3 },   // 4%
+          { distanceM: 900,  slopeDegrees: -1.1 },   // 2%
+          { distanceM: 1500, slopeDegrees: 0 }
+        ]
+      }
+    };
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -307,7 +697,20 @@ class UltimateBrakingPhysics {
    * @param {Object} params - All input parameters
    * @returns {Object} - Comprehensive results
    */
-  calculate(params) {
+  calculate(params = {}) {
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new BrakingInputError(this.validate(params).errors);
+    }
+
+    // Strict mode: reject inputs the defaults below would silently replace
+    const validation = params.strict && !params._isComparisonCalc ? this.validate(params) : null;
+    if (validation && !validation.valid) {
+      throw new BrakingInputError(validation.errors, validation.warnings);
+    }
+
+    // Imperial spellings (speedMph, treadDepth32nds...) → metric inputs
+    params = this.toMetric(params);
+
     // ─────────────────────────────────────────────────────────────
     // EXTRACT AND DEFAULT ALL PARAMETERS
     // ─────────────────────────────────────────────────────────────
@@ -327,6 +730,7 @@ class UltimateBrakingPhysics {
       treadDepthMm = 8,
       tyreWidthMm = 205,
       tyreType = 'summer',           // 'summer', 'winter', 'allseason'
+      winterCertification = null,    // 'MS', '3PMSF', 'ICE_GRIP' - sidewall winter marking (snow/ice grip)
       
       // Pressure
       actualPsi = null,
@@ -335,29 +739,62 @@ class UltimateBrakingPhysics {
       // Environment
       ambientTempC = 20,
       isHotClimate = false,          // Accelerates age degradation
+      treadTempC = null,             // Known tread temperature (e.g. pyrometer)
+      speedHistory = null,           // [{ durationS, speedKmh }] drive before the stop - estimates treadTempC
       
       // Road geometry
-      slopeDegrees = 0,              // Positive = uphill, Negative = downhill
+      slopeDegrees: baseSlopeDegrees = 0,  // Positive = uphill, Negative = downhill
+      gradientProfile = null,        // [{ distanceM, slopeDegrees }] or roadProfiles key - grade changes along the stop
+      elevationProfile = null,       // [{ distanceM, elevationM }] polyline (e.g. from GPS/map data)
       
       // Vehicle
       vehicleMassKg = 1500,          // Reference mass
       loadedMassKg = null,           // If different from reference
+      tyreMassKg = null,             // Mass on the vehicle's own tyres for the load-index check (default loadedMassKg) - a trailer adds only its nose weight
+      loadIndex = null,              // Sidewall load index (e.g. 91 = 615 kg per tyre)
+      speedSymbol = null,            // Sidewall speed symbol (e.g. 'V' = 240 km/h)
       
       // Systems
       hasABS = true,
+      brakingMode = null,            // 'abs', 'locked', 'threshold' (default from hasABS)
+      thresholdSkill = 0.7,          // 0-1: how close a threshold-braking driver holds peak slip
+      slipRatio = null,              // Explicit wheel slip (above 0, up to 1) - overrides brakingMode
       
       // Driver
       reactionTimeSeconds = 1.5,     // Average driver reaction time
+      driverProfile = null,          // 'learner', 'average', 'experienced', 'elderly' (replaces reactionTimeSeconds)
+      impairments = null,            // { phone: 'handheld'|'handsfree', bloodAlcohol, hoursAwake, night }
+
+      // Obstacle
+      obstacleDistanceM = null,      // Distance from the hazard appearing to something in the way
       
       // Advanced factors (optional)
       brakeFadeLevel = 0,            // 0-10: 0 = cold brakes, 10 = severely faded
+      brakeTempC = null,             // Front disc temperature - when set, fade is derived from it
       tyreCompound = 'touring',      // 'economy', 'touring', 'performance', 'uhp', 'track'
       roadCamberDegrees = 0,         // Positive = crowned road, Negative = off-camber
       hasDownforce = false,          // High-speed aero (sports cars)
       downforceCoefficient = 0,      // Cl × A for downforce calculation
 
       // Vehicle era (for historical comparisons)
-      vehicleYear = null             // Model year - affects tyre/brake technology assumptions
+      vehicleYear = null,            // Model year - affects tyre/brake technology assumptions
+
+      // Axle model (optional - point mass when wheelbaseM/cgHeightM not given)
+      wheelbaseM = null,             // Distance between axles (m)
+      cgHeightM = null,              // Centre of gravity height (m)
+      frontWeightRatio = 0.6,        // Static share of vehicle mass on the front axle
+      brakeBias = null,              // Front share of brake force (null = ideal/EBD proportioning)
+      payloadRearShare = 0.5,        // Share of extra load (loadedMassKg - vehicleMassKg) on rear axle
+      rearTreadDepthMm = null,       // Rear pair tread if different from front
+      rearTyreAgeYears = null,       // Rear pair age if different from front
+
+      // Surface patches along the stopping path, in order from the brake point:
+      // [{ lengthM, surfaceType, waterDepthMm }] - base surface continues after the last
+      surfaceSegments = null,
+
+      // Braking in a curve (friction circle/ellipse)
+      curveRadiusM = null,           // Radius of the curve being followed (null = straight)
+      frictionEllipseRatio = 1.0     // Lateral/longitudinal grip ratio (1.0 = friction circle)
     } = params;
 
     // ─────────────────────────────────────────────────────────────
@@ -382,6 +819,12 @@ class UltimateBrakingPhysics {
     const isWet = effectiveWaterMm > 0.5;
     const isAnyMoisture = effectiveWaterMm > 0;  // For weather factor
     
+    // ─────────────────────────────────────────────────────────────
+    // RESOLVE GRADIENT PROFILE - factors use the grade at the brake point
+    // ─────────────────────────────────────────────────────────────
+    const gradientSections = this._getGradientSections(gradientProfile, elevationProfile, baseSlopeDegrees);
+    const slopeDegrees = gradientSections ? gradientSections[0].slopeDegrees : baseSlopeDegrees;
+
     // ─────────────────────────────────────────────────────────────
     // CONVERT UNITS
     // ─────────────────────────────────────────────────────────────
@@ -389,6 +832,9 @@ class UltimateBrakingPhysics {
     const slopeRad = (slopeDegrees * Math.PI) / 180;
     const effectivePsi = actualPsi || recommendedPsi;
     const effectiveLoadKg = loadedMassKg || vehicleMassKg;
+    const tyreRating = this._getTyreRating(loadIndex, speedSymbol, {
+      speedKmh, vehicleMassKg, loadedMassKg: tyreMassKg || effectiveLoadKg, frontWeightRatio, payloadRearShare
+    });
     
     // ─────────────────────────────────────────────────────────────
     // CALCULATE ALL INDIVIDUAL FACTORS
@@ -400,10 +846,24 @@ class UltimateBrakingPhysics {
     
     // Calculate blend factor for damp conditions (0 at 0mm, 1 at 0.5mm)
     const dampBlend = isDamp ? (effectiveWaterMm / 0.5) : (isWet ? 1.0 : 0.0);
+
+    // Tread temperature: measured, or estimated from the drive before the stop
+    const compound = this._getCompoundFactor(tyreCompound, isWet);
+    let effectiveTreadTempC = treadTempC;
+    if (effectiveTreadTempC === null && Array.isArray(speedHistory)) {
+      effectiveTreadTempC = this.estimateTreadTemperature({
+        ambientTempC,
+        speedHistory,
+        actualPsi: effectivePsi,
+        recommendedPsi,
+        tyreCompound,
+        waterDepthMm: effectiveWaterMm
+      }).treadTempC;
+    }
     
     const factors = {
       // Factor 1: Base surface friction
-      surface: this._getSurfaceFriction(surfaceType, hasABS),
+      surface: this._getSurfaceFriction(surfaceType, hasABS, { brakingMode, thresholdSkill, slipRatio }),
       
       // Factor 2: Weather/water depth (uses any moisture)
       weather: this._getWeatherFactor(effectiveWaterMm),
@@ -423,23 +883,26 @@ class UltimateBrakingPhysics {
       // Factor 7: Tyre width (conditional on water depth)
       width: this._getWidthFactor(tyreWidthMm, isWet, effectiveWaterMm),
       
-      // Factor 8: Temperature / compound
-      temperature: this._getTemperatureFactor(ambientTempC, tyreType),
+      // Factor 8: Temperature / compound (tread vs operating window when tread temp known)
+      temperature: this._getTemperatureFactor(ambientTempC, tyreType,
+        effectiveTreadTempC === null ? null : { treadTempC: effectiveTreadTempC, compound }),
       
       // Factor 9: Speed-dependent decay (now uses dampBlend for consistent blending)
       speed: this._getSpeedFactor(speedKmh, dampBlend),
       
       // Factor 10: Vehicle load
-      load: this._getLoadFactor(effectiveLoadKg, vehicleMassKg),
+      load: this._getLoadFactor(effectiveLoadKg, vehicleMassKg, tyreRating),
       
       // Factor 11: Slope effect (applied to deceleration, not μ)
       slope: this._getSlopeFactor(slopeRad),
       
-      // Factor 12: Brake fade (repeated/hard braking)
-      brakeFade: this._getBrakeFadeFactor(params.brakeFadeLevel || 0),
+      // Factor 12: Brake fade (repeated/hard braking) - from disc temperature when known
+      brakeFade: brakeTempC !== null
+        ? this._getBrakeFadeFactor(this.getFadeLevelForTemp(brakeTempC), brakeTempC)
+        : this._getBrakeFadeFactor(brakeFadeLevel),
       
       // Factor 13: Tyre compound subtype (uses wet flag for full wet only)
-      compound: this._getCompoundFactor(params.tyreCompound || 'touring', isWet),
+      compound,
       
       // Factor 14: Road camber/banking
       camber: this._getCamberFactor(params.roadCamberDegrees || 0),
@@ -452,6 +915,25 @@ class UltimateBrakingPhysics {
         effectiveLoadKg
       )
     };
+
+    // Factors 16+: registered plugins, evaluated on the resolved inputs
+    const customFactorNames = Object.keys(this.customFactors);
+    if (customFactorNames.length > 0) {
+      const resolvedParams = {
+        ...params,
+        speedKmh, speedMs, surfaceType, weatherPreset,
+        waterDepthMm: effectiveWaterMm, isDry, isDamp, isWet, dampBlend,
+        euGrade, fuelGrade, tyreAgeYears, treadDepthMm, tyreWidthMm, tyreType, winterCertification, tyreCompound,
+        actualPsi: effectivePsi, recommendedPsi,
+        ambientTempC, isHotClimate, treadTempC: effectiveTreadTempC,
+        slopeDegrees, roadCamberDegrees,
+        vehicleMassKg, loadedMassKg: effectiveLoadKg, vehicleYear, loadIndex, speedSymbol,
+        hasABS, brakingMode, brakeFadeLevel, brakeTempC
+      };
+      customFactorNames.forEach(name => {
+        factors[name] = this._getCustomFactor(name, resolvedParams, factors);
+      });
+    }
     
     // ─────────────────────────────────────────────────────────────
     // HYDROPLANING CHECK (NASA Formula + Tread + Width)
@@ -471,6 +953,13 @@ class UltimateBrakingPhysics {
           factors: null,
           note: 'Hydroplaning not calculated - conditions not severe enough'
         };
+
+    // ─────────────────────────────────────────────────────────────
+    // TYRE HEAT FAILURE (load index + speed symbol vs the drive)
+    // Does not change μ - a tyre past its rating fails by overheating
+    // (tread separation, blowout) rather than by gripping less
+    // ─────────────────────────────────────────────────────────────
+    const heatFailure = this._getHeatFailureRisk(tyreRating);
     
     // ─────────────────────────────────────────────────────────────
     // CALCULATE EFFECTIVE FRICTION COEFFICIENT
@@ -490,12 +979,36 @@ class UltimateBrakingPhysics {
       factors.compound.value *
       factors.camber.value *
       factors.downforce.value;
+    customFactorNames.forEach(name => {
+      μ_effective *= factors[name].value;
+    });
 
     // Apply hydroplaning penalty if active
     if (hydroplaning.isHydroplaning) {
       μ_effective *= hydroplaning.frictionMultiplier;
     }
 
+    // Factor 18: Axle load transfer + brake bias (uses μ so far for transfer)
+    // Rear pair grip relative to front, from the rear tread/age overrides
+    const rearGrip = (rearTreadDepthMm !== null || rearTyreAgeYears !== null)
+      ? (this._getTreadFactorBlended(rearTreadDepthMm !== null ? rearTreadDepthMm : treadDepthMm, dampBlend).value *
+         this._getAgeFactor(rearTyreAgeYears !== null ? rearTyreAgeYears : tyreAgeYears, isHotClimate).value) /
+        (factors.tread.value * factors.age.value)
+      : 1.0;
+    factors.axle = this._getAxleLoadFactor({
+      μ: μ_effective,
+      wheelbaseM,
+      cgHeightM,
+      frontWeightRatio,
+      brakeBias,
+      hasABS,
+      rearGrip,
+      vehicleMassKg,
+      loadedMassKg: effectiveLoadKg,
+      payloadRearShare
+    });
+    μ_effective *= factors.axle.value;
+
     // ─────────────────────────────────────────────────────────────
     // APPLY VEHICLE ERA FACTOR (Factor 17) - CHECK FIRST
     // Accounts for historical tyre and brake technology
@@ -513,7 +1026,7 @@ class UltimateBrakingPhysics {
     //   - UK Highway Code 1978 implies μ ≈ 0.66 for 1970s vehicles
     //
     // For modern vehicles (era factor = 1.0):
-    //   - Apply real-world calibration from 285 validated tyre tests
+    //   - Apply real-world calibration multipliers (fitted by hand to published tyre tests)
     // ─────────────────────────────────────────────────────────────
 
     if (vehicleYear && vehicleEra.value < 1.0) {
@@ -543,17 +1056,25 @@ class UltimateBrakingPhysics {
       };
     } else {
       // MODERN VEHICLE: Use real-world calibration from tyre tests
+      // Calibration was fitted to whole-stop distances, so simulateStop()
+      // pins it to the speed at brake application via _calibrationSpeedKmh
       const calibration = this._getRealWorldCalibration(
         surfaceType,
         effectiveWaterMm,
         tyreType,
         euGrade,
-        speedKmh
+        params._calibrationSpeedKmh || speedKmh,
+        winterCertification
       );
       factors.calibration = calibration;
       μ_effective *= calibration.value;
     }
 
+    // Monte Carlo μ scatter (calculateDistribution only)
+    if (params._muScatter) {
+      μ_effective *= params._muScatter;
+    }
+
     // ─────────────────────────────────────────────────────────────
     // CLAMP μ_effective TO PLAUSIBLE MINIMUM
     // GPT correctly noted: many multiplied penalties can produce
@@ -587,36 +1108,84 @@ class UltimateBrakingPhysics {
     // On steep downhill with low grip, deceleration can be ≤ 0
     // meaning the vehicle literally accelerates even with full brakes
     // ─────────────────────────────────────────────────────────────
-    const canStopWithBrakes = rawDeceleration > 0;
+    const rollingInputs = {
+      tyreType,
+      fuelGrade,
+      surfaceType,
+      actualPsi: effectivePsi,
+      recommendedPsi,
+      vehicleMassKg: effectiveLoadKg
+    };
+
+    // Gradient profile: integrate slope + rolling physics along the road
+    const gradientPath = gradientSections
+      ? this._integrateGradientProfile(params, gradientSections, speedMs, μ_effective, rollingInputs)
+      : null;
+
+    const canStopWithBrakes = rawDeceleration > 0 && (!gradientPath || gradientPath.brakesHeld);
 
     // Calculate rolling resistance + air drag physics for "cannot stop" scenarios
     let rollingPhysics = null;
-    if (!canStopWithBrakes) {
+    if (gradientPath && !gradientPath.brakesHeld) {
+      rollingPhysics = gradientPath.rollingPhysics;
+    } else if (!canStopWithBrakes) {
       rollingPhysics = this._calculateRollingOnlyStop({
+        ...rollingInputs,
         speedMs,
         slopeRad,
-        tyreType,
-        fuelGrade,
-        surfaceType,
-        actualPsi: effectivePsi,
-        recommendedPsi,
-        vehicleMassKg: effectiveLoadKg,
         rawDeceleration,
         μ_effective
       });
     }
 
+    // Braking in a curve: lateral grip is spent first, braking gets the rest.
+    // A curve the car cannot hold (or cannot stop in) is a failed stop.
+    const curve = curveRadiusM && curveRadiusM > 0
+      ? this._getCurveBraking(speedMs, curveRadiusM, μ_effective, frictionEllipseRatio, slopeRad)
+      : null;
+    // Curve over segments / a gradient profile: grip and slope change along
+    // the arc, so the stop is integrated step by step (see simulateStop)
+    const curvePath = curve && canStopWithBrakes && curve.canHoldCurve && curve.canStopInCurve &&
+      ((surfaceSegments && surfaceSegments.length > 0) || gradientPath) && !params._isComparisonCalc
+      ? this.simulateStop(params, { dt: 0.02 })
+      : null;
+    const curveFailed = curve !== null && canStopWithBrakes &&
+      (!(curve.canHoldCurve && curve.canStopInCurve) || (curvePath !== null && curvePath.curveLost));
+
     // For backwards compatibility, canStop means "can stop at all" (brakes OR rolling)
-    const canStop = canStopWithBrakes || (rollingPhysics && rollingPhysics.canStopEventually);
-    const deceleration = canStopWithBrakes ? rawDeceleration :
-                         (rollingPhysics ? rollingPhysics.effectiveDeceleration : 0.01);
+    const canStop = !curveFailed && (canStopWithBrakes || (rollingPhysics && rollingPhysics.canStopEventually));
+    let deceleration = canStopWithBrakes ? rawDeceleration :
+                       (rollingPhysics ? rollingPhysics.effectiveDeceleration : 0.01);
+    if (curvePath && curvePath.curveLost) {
+      // Grip drops somewhere along the arc (e.g. an ice patch) - the line is lost there
+      curve.lostAtM = curvePath.brakingDistanceM;
+      deceleration = 0;
+    } else if (curveFailed) {
+      deceleration = Math.max(0, curve.remainingDecelerationMs2);
+    }
 
     // ─────────────────────────────────────────────────────────────
     // CALCULATE DISTANCES
     // ─────────────────────────────────────────────────────────────
+    // Surface segments: piecewise v² integration across each patch
+    // (with a gradient profile the segments are integrated along the profile instead)
+    const segmentPath = surfaceSegments && surfaceSegments.length > 0 && canStopWithBrakes && !gradientPath
+      ? this._integrateSurfaceSegments(params, surfaceSegments, speedMs, rawDeceleration)
+      : null;
+
     // Braking distance: d = v² / (2a)
     let brakingDistance;
-    if (canStopWithBrakes) {
+    if (curveFailed) {
+      brakingDistance = 99999;
+    } else if (curvePath) {
+      brakingDistance = curvePath.stopped ? curvePath.brakingDistanceM : 99999;
+    } else if (gradientPath) {
+      brakingDistance = gradientPath.stopped ? gradientPath.brakingDistanceM : 99999;
+    } else if (segmentPath && segmentPath.stopped) {
+      brakingDistance = segmentPath.brakingDistanceM;
+    } else if (canStopWithBrakes && curve) {
+      brakingDistance = curve.brakingDistanceM;
+    } else if (canStopWithBrakes) {
       brakingDistance = (speedMs * speedMs) / (2 * deceleration);
     } else if (rollingPhysics && rollingPhysics.canStopEventually) {
       // Cannot stop with brakes - use rolling resistance + air drag distance
@@ -626,8 +1195,19 @@ class UltimateBrakingPhysics {
       brakingDistance = 99999;
     }
 
+    // Held curve: report the mean deceleration over the curved stop
+    if (curve && !curveFailed && canStopWithBrakes && brakingDistance < 99999) {
+      deceleration = (speedMs * speedMs) / (2 * brakingDistance);
+    }
+
     // Reaction distance: d = v × t
-    const reactionDistance = speedMs * reactionTimeSeconds;
+    const reaction = this.getReactionTime({ reactionTimeSeconds, driverProfile, impairments });
+    const reactionDistance = speedMs * reaction.seconds;
+
+    // Slope where the brakes gave up (the brake point unless a profile says otherwise)
+    const criticalSlopeDegrees = gradientPath && gradientPath.brakeFailure
+      ? gradientPath.brakeFailure.slopeDegrees
+      : slopeDegrees;
 
     // Total stopping distance
     const totalDistance = reactionDistance + brakingDistance;
@@ -647,7 +1227,12 @@ class UltimateBrakingPhysics {
     // ─────────────────────────────────────────────────────────────
     // GENERATE WARNINGS & RISK ASSESSMENT
     // ─────────────────────────────────────────────────────────────
-    const warnings = this._generateWarnings(params, factors, hydroplaning, canStopWithBrakes, rawDeceleration, rollingPhysics);
+    const warnings = this._generateWarnings(
+      segmentPath || gradientPath
+        ? { ...params, μ_effective, _segmentPath: segmentPath, _gradientPath: gradientPath }
+        : params,
+      factors, hydroplaning, canStopWithBrakes, rawDeceleration, rollingPhysics, curve, heatFailure
+    );
     const riskLevel = this._calculateRiskLevel(μ_effective, hydroplaning.isHydroplaning, deceleration);
     
     // ─────────────────────────────────────────────────────────────
@@ -658,7 +1243,7 @@ class UltimateBrakingPhysics {
     // ─────────────────────────────────────────────────────────────
     // RETURN COMPREHENSIVE RESULTS
     // ─────────────────────────────────────────────────────────────
-    return {
+    const result = {
       // ═══ PRIMARY RESULTS ═══
       brakingDistanceM: this._round(brakingDistance, 1),
       reactionDistanceM: this._round(reactionDistance, 1),
@@ -687,17 +1272,30 @@ class UltimateBrakingPhysics {
         reason: rollingPhysics.reason
       } : null,
 
-      cannotStopReason: !canStopWithBrakes ? (
+      cannotStopReason: curveFailed
+        ? `Tyres cannot hold the ${curveRadiusM}m curve while braking (max ~${Math.round(curve.maxCurveSpeedKmh)} km/h)`
+        : !canStopWithBrakes ? (
         rollingPhysics && rollingPhysics.canStopEventually
-          ? `Brakes insufficient - using rolling resistance + air drag (slope: ${slopeDegrees}°, μ: ${μ_effective.toFixed(2)})`
-          : `Cannot stop even with rolling resistance - slope too steep (${slopeDegrees}°)`
+          ? `Brakes insufficient - using rolling resistance + air drag (slope: ${criticalSlopeDegrees}°, μ: ${μ_effective.toFixed(2)})`
+          : `Cannot stop even with rolling resistance - slope too steep (${criticalSlopeDegrees}°)`
       ) : null,
 
+      // Gradient profile breakdown (null when the road has one constant slope)
+      gradientProfile: gradientPath ? {
+        stopped: gradientPath.stopped,
+        brakesHeld: gradientPath.brakesHeld,
+        brakeFailure: gradientPath.brakeFailure,
+        rollingDistanceM: this._round(gradientPath.rollingDistanceM, 1),
+        maxSpeedKmh: this._round(gradientPath.maxSpeedKmh, 1),
+        steepestDescentDegrees: gradientPath.steepestDescentDegrees,
+        sections: gradientPath.sections
+      } : null,
+
       // ═══ BRAKE SPARKS (for visual effects) ═══
       brakeSparks,
       
       // ═══ SPEED INFO ═══
-      speedKmh,
+      speedKmh: this._round(speedKmh, 1),
       speedMph: this._round(speedKmh * 0.621, 0),
       speedMs: this._round(speedMs, 1),
       
@@ -724,9 +1322,53 @@ class UltimateBrakingPhysics {
         compound: { ...factors.compound, explanation: this._getFactorExplanation('compound') },
         camber: { ...factors.camber, explanation: this._getFactorExplanation('camber') },
         downforce: { ...factors.downforce, explanation: this._getFactorExplanation('downforce') },
-        calibration: { ...factors.calibration, explanation: 'Real-world calibration based on 285 validated tyre tests' }
+        axle: { ...factors.axle, explanation: this._getFactorExplanation('axle') },
+        calibration: { ...factors.calibration, explanation: 'Real-world calibration multipliers fitted to published tyre test results' },
+        ...Object.fromEntries(customFactorNames.map(name => [name, { ...factors[name] }]))
       },
       
+      // ═══ REACTION ═══
+      reaction,
+
+      // ═══ INPUT VALIDATION (strict mode only - warnings that didn't block) ═══
+      inputWarnings: validation ? validation.warnings : null,
+
+      // ═══ OBSTACLE (null when no obstacleDistanceM) ═══
+      obstacle: obstacleDistanceM !== null && obstacleDistanceM >= 0
+        ? this._getObstacleImpact(obstacleDistanceM, {
+            params,
+            speedMs,
+            reactionDistance,
+            brakingDistance,
+            totalDistance,
+            massKg: effectiveLoadKg,
+            segmentPath,
+            baseDeceleration: deceleration,
+            integrate: Boolean(curve || gradientPath || !canStopWithBrakes)
+          })
+        : null,
+
+      // ═══ SURFACE SEGMENTS ═══
+      surfaceSegments: segmentPath ? segmentPath.segments : null,
+      stopSegmentIndex: segmentPath ? segmentPath.stopSegmentIndex : null,
+
+      // ═══ CURVE (friction circle) ═══
+      curve: curve ? {
+        radiusM: curveRadiusM,
+        lateralG: this._round(curve.lateralG, 2),
+        lateralUtilisation: this._round(curve.lateralUtilisation, 2),
+        remainingDecelerationMs2: this._round(curve.remainingDecelerationMs2, 2),
+        remainingDecelerationG: this._round(curve.remainingDecelerationMs2 / this.g, 2),
+        canHoldCurve: curve.canHoldCurve,
+        canStopInCurve: curve.canStopInCurve,
+        lostAtM: curve.lostAtM !== undefined ? this._round(curve.lostAtM, 1) : null,
+        straightLineBrakingDistanceM: this._round(curve.straightLineDistanceM, 1),
+        extraDistanceM: curve.canHoldCurve && curve.canStopInCurve
+          ? this._round(curve.brakingDistanceM - curve.straightLineDistanceM, 1)
+          : null,
+        maxCurveSpeedKmh: this._round(curve.maxCurveSpeedKmh, 0)
+      } : null,
+
       // ═══ HYDROPLANING ═══
       hydroplaning: {
         isHydroplaning: hydroplaning.isHydroplaning,
@@ -735,6 +1377,20 @@ class UltimateBrakingPhysics {
         frictionMultiplier: this._round(hydroplaning.frictionMultiplier, 2),
         riskLevel: hydroplaning.riskLevel
       },
+
+      // ═══ TYRE RATINGS / HEAT FAILURE (null without loadIndex or speedSymbol) ═══
+      heatFailure: tyreRating ? {
+        riskLevel: heatFailure.level,
+        heatStress: heatFailure.stress !== null ? this._round(heatFailure.stress, 2) : null,
+        loadIndex: tyreRating.loadIndex,
+        ratedLoadKg: tyreRating.ratedLoadKg,
+        usableLoadKg: tyreRating.usableLoadKg !== null ? this._round(tyreRating.usableLoadKg, 0) : null,
+        cornerLoadKg: this._round(tyreRating.cornerLoadKg, 0),
+        overloadPercent: tyreRating.overloadRatio !== null ? Math.max(0, Math.round(tyreRating.overloadRatio * 100)) : null,
+        speedSymbol: tyreRating.speedSymbol,
+        ratedSpeedKmh: tyreRating.ratedSpeedKmh,
+        overspeedKmh: tyreRating.ratedSpeedKmh !== null ? Math.max(0, speedKmh - tyreRating.ratedSpeedKmh) : null
+      } : null,
       
       // ═══ COMPARISONS ═══
       // FIX (GPT review): Handle Infinity gracefully for UI
@@ -759,7 +1415,12 @@ class UltimateBrakingPhysics {
         riskColor: riskLevel.color,
         riskScore: riskLevel.score,
         warnings,
-        safeSpeedKmh: canStop ? this._calculateSafeSpeed(μ_effective, slopeRad, 50) : 0
+        safeSpeedKmh: !canStop ? 0 : curve
+          ? Math.min(
+              this._calculateSafeSpeed(μ_effective, slopeRad, 50),
+              this._calculateCurveSafeSpeed(μ_effective, slopeRad, curveRadiusM, frictionEllipseRatio, 50)
+            )
+          : this._calculateSafeSpeed(μ_effective, slopeRad, 50)
       },
       
       // ═══ INPUT ECHO (for verification) ═══
@@ -774,108 +1435,2254 @@ class UltimateBrakingPhysics {
         recommendedPsi,
         ambientTempC,
         tyreType,
+        winterCertification,
         slopeDegrees,
         vehicleMassKg: effectiveLoadKg,
+        loadIndex,
+        speedSymbol,
         hasABS,
-        reactionTimeSeconds
+        reactionTimeSeconds: reaction.seconds
       }
     };
+
+    if (params.units === 'imperial' && !params._isComparisonCalc) {
+      result.imperial = this.toImperial(result);
+    }
+    return result;
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
-  // FACTOR CALCULATION METHODS
+  // INPUT VALIDATION
   // ═══════════════════════════════════════════════════════════════════════════
 
   /**
-   * Factor 1: Surface friction (peak vs sliding based on ABS)
+   * Check calculate() inputs against inputSchema without running the physics
+   *
+   * Errors: INVALID_TYPE, UNKNOWN_VALUE, OUT_OF_RANGE, CONTRADICTION.
+   * Warnings: UNKNOWN_FIELD (probably a typo) and OVERRIDDEN (one input
+   * silently replaces another). Each carries a field path such as
+   * 'surfaceSegments[2].surfaceType' and, for enums, the allowed values.
+   *
+   * @param {Object} params - Same inputs as calculate()
+   * @returns {Object} - { valid, errors: [], warnings: [] }
    */
-  _getSurfaceFriction(surfaceType, hasABS) {
-    const surface = this.surfaces[surfaceType] || this.surfaces['ASPHALT_STD'];
-    const value = hasABS ? surface.peak : surface.slide;
-    
-    return {
-      value,
-      type: hasABS ? 'peak' : 'slide',
-      surfaceName: surface.name,
-      impact: value < 0.5 ? 'severe' : value < 0.7 ? 'moderate' : 'minimal'
-    };
+  validate(params = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      const got = params === null ? 'null' : Array.isArray(params) ? 'an array' : typeof params;
+      errors.push({ code: 'INVALID_TYPE', path: '', value: params, expected: 'object', message: `inputs must be an object, not ${got}` });
+      return { valid: false, errors, warnings };
+    }
+
+    // Imperial spellings are checked after conversion, against the metric limits
+    const imperialGiven = {};
+    Object.entries(this.unitFields).forEach(([metricKey, mapping]) => {
+      if (!Array.isArray(mapping) || params[mapping[0]] === undefined) return;
+      if (params[metricKey] !== undefined) {
+        warnings.push({
+          code: 'OVERRIDDEN', path: mapping[0], by: metricKey, value: params[mapping[0]],
+          message: `${mapping[0]} is ignored - ${metricKey} is also given`
+        });
+      } else {
+        imperialGiven[metricKey] = mapping;
+      }
+    });
+    const metricParams = this.toMetric(params);
+
+    Object.keys(metricParams).forEach(key => {
+      if (key.startsWith('_')) return;
+      if (!this.inputSchema[key]) {
+        warnings.push({ code: 'UNKNOWN_FIELD', path: key, value: metricParams[key], message: `${key} is not a calculate() input and is ignored` });
+        return;
+      }
+      this._validateField(key, metricParams[key], this.inputSchema[key], errors);
+    });
+
+    this._validateCombinations(metricParams, errors, warnings);
+
+    // Report converted fields under the name (and units) the caller used
+    errors.forEach(error => {
+      const mapping = imperialGiven[error.path];
+      if (!mapping) return;
+      const [imperialKey, quantity] = mapping;
+      const metricKey = error.path;
+      error.path = imperialKey;
+      error.value = params[imperialKey];
+      if (error.code === 'OUT_OF_RANGE') {
+        error.min = this._round(this.convertUnit(error.min, quantity, 'imperial'), 1);
+        error.max = this._round(this.convertUnit(error.max, quantity, 'imperial'), 1);
+        error.message = `${imperialKey} = ${error.value} is outside ${error.min} to ${error.max}`;
+      } else {
+        error.message = error.message.split(metricKey).join(imperialKey);
+      }
+    });
+
+    return { valid: errors.length === 0, errors, warnings };
   }
 
   /**
-   * Factor 2: Weather/water depth
-   * Smooth piecewise function based on research
+   * Check one value (recursing into arrays/objects) against its schema entry
    */
-  _getWeatherFactor(waterMm) {
-    let value;
-    let description;
-    
-    if (waterMm <= 0) {
-      value = 1.00;
-      description = 'Dry surface';
-    } else if (waterMm <= 0.2) {
-      value = 1.00 - (waterMm * 0.50);  // 1.00 → 0.90
-      description = 'Damp - minimal film';
-    } else if (waterMm <= 0.5) {
-      value = 0.90 - ((waterMm - 0.2) * 0.50);  // 0.90 → 0.75
-      description = 'Light rain';
-    } else if (waterMm <= 1.0) {
-      value = 0.75 - ((waterMm - 0.5) * 0.30);  // 0.75 → 0.60
-      description = 'Moderate rain';
-    } else if (waterMm <= 2.0) {
-      value = 0.60 - ((waterMm - 1.0) * 0.15);  // 0.60 → 0.45
-      description = 'Heavy rain';
-    } else if (waterMm <= 3.0) {
-      value = 0.45 - ((waterMm - 2.0) * 0.12);  // 0.45 → 0.33
-      description = 'Very heavy rain';
-    } else if (waterMm <= 5.0) {
-      value = 0.33 - ((waterMm - 3.0) * 0.08);  // 0.33 → 0.17
-      description = 'Standing water';
-    } else {
-      value = Math.max(0.05, 0.17 - ((waterMm - 5.0) * 0.04));
-      description = 'Flooded';
+  _validateField(path, value, spec, errors) {
+    if (value === undefined) return;
+    if (value === null) {
+      if (!spec.nullable) {
+        errors.push({ code: 'INVALID_TYPE', path, value, expected: spec.type, message: `${path} cannot be null` });
+      }
+      return;
+    }
+
+    const allowed = spec.table ? Object.keys(this[spec.table]) : spec.values;
+    switch (spec.type) {
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push({ code: 'INVALID_TYPE', path, value, expected: 'number', message: `${path} must be a finite number` });
+        } else if (value < spec.min || value > spec.max || (spec.minExclusive && value === spec.min)) {
+          errors.push({
+            code: 'OUT_OF_RANGE', path, value, min: spec.min, max: spec.max,
+            message: spec.minExclusive
+              ? `${path} = ${value} must be above ${spec.min} and at most ${spec.max}`
+              : `${path} = ${value} is outside ${spec.min} to ${spec.max}`
+          });
+        }
+        break;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push({ code: 'INVALID_TYPE', path, value, expected: 'boolean', message: `${path} must be true or false` });
+        }
+        break;
+
+      case 'enum':
+        if (!allowed.includes(value)) {
+          errors.push({ code: 'UNKNOWN_VALUE', path, value, allowed, message: `${path} '${value}' is not ${this._describeAllowed(allowed)}` });
+        }
+        break;
+
+      case 'array':
+        // gradientProfile also takes a roadProfiles key
+        if (typeof value === 'string' && spec.table) {
+          if (!allowed.includes(value)) {
+            errors.push({ code: 'UNKNOWN_VALUE', path, value, allowed, message: `${path} '${value}' is not ${this._describeAllowed(allowed)}` });
+          }
+        } else if (!Array.isArray(value)) {
+          errors.push({ code: 'INVALID_TYPE', path, value, expected: 'array', message: `${path} must be an array` });
+        } else {
+          value.forEach((item, i) => this._validateField(`${path}[${i}]`, item, { type: 'object', fields: spec.items }, errors));
+        }
+        break;
+
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push({ code: 'INVALID_TYPE', path, value, expected: 'object', message: `${path} must be an object` });
+        } else {
+          Object.keys(spec.fields).forEach(field => this._validateField(`${path}.${field}`, value[field], spec.fields[field], errors));
+        }
+        break;
     }
-    
-    return {
-      value: Math.max(0.05, value),
-      waterMm,
-      description,
-      impact: value < 0.5 ? 'severe' : value < 0.75 ? 'moderate' : 'minimal'
-    };
   }
 
   /**
-   * Factor 3: EU Wet Grip Grade
-   * Grade effect is reduced in dry conditions (40% as pronounced)
+   * Short list of allowed enum values for messages (long lists stay on the error)
    */
-  _getGradeFactor(grade, isDry) {
-    const gradeData = this.euGrades[grade] || this.euGrades['C'];
-    const wetFactor = gradeData.wet;
-    
-    // In dry conditions, grade differences are ~40% as pronounced
-    const value = isDry 
-      ? 1.0 + (wetFactor - 1.0) * gradeData.dryAdjust 
-      : wetFactor;
-    
-    return {
-      value,
-      grade,
-      label: gradeData.label,
-      color: gradeData.color,
-      condition: isDry ? 'dry' : 'wet',
-      impact: value < 0.85 ? 'severe' : value < 0.95 ? 'moderate' : 'minimal'
-    };
+  _describeAllowed(allowed) {
+    return allowed.length <= 10 ? `one of ${allowed.join(', ')}` : `one of the ${allowed.length} allowed values`;
   }
 
   /**
-   * Factor 3: EU Wet Grip Grade (BLENDED version for smooth damp transition)
-   * Interpolates between dry and wet behavior based on dampBlend (0-1)
+   * Inputs that are valid alone but contradict (errors) or override (warnings) each other
    */
-  _getGradeFactorBlended(grade, dampBlend) {
-    const gradeData = this.euGrades[grade] || this.euGrades['C'];
-    const wetFactor = gradeData.wet;
-    const dryFactor = 1.0 + (wetFactor - 1.0) * gradeData.dryAdjust;
-    
-    // Blend between dry (0) and wet (1)
+  _validateCombinations(params, errors, warnings) {
+    const given = (key) => params[key] !== undefined && params[key] !== null;
+    const overridden = (path, by, message) => warnings.push({ code: 'OVERRIDDEN', path, by, value: params[path], message });
+
+    if (given('loadedMassKg') && given('vehicleMassKg') && params.loadedMassKg < params.vehicleMassKg) {
+      errors.push({
+        code: 'CONTRADICTION', path: 'loadedMassKg', value: params.loadedMassKg, related: ['vehicleMassKg'],
+        message: `loadedMassKg (${params.loadedMassKg}) is less than the unloaded vehicleMassKg (${params.vehicleMassKg})`
+      });
+    }
+    if (params.hasABS === false && params.brakingMode === 'abs') {
+      errors.push({
+        code: 'CONTRADICTION', path: 'brakingMode', value: 'abs', related: ['hasABS'],
+        message: "brakingMode 'abs' needs hasABS: true"
+      });
+    }
+    if (given('actualPsi') && params.actualPsi > (params.recommendedPsi || 32) * 2) {
+      errors.push({
+        code: 'CONTRADICTION', path: 'actualPsi', value: params.actualPsi, related: ['recommendedPsi'],
+        message: `actualPsi ${params.actualPsi} is more than double the recommended ${params.recommendedPsi || 32}`
+      });
+    }
+    const surface = params.surfaceType || '';
+    const surfaceData = surface ? this.surfaceRegistry.get(surface) : null;
+    const isFrozen = surfaceData !== null && (surfaceData.traction === 'ice' || surfaceData.traction === 'snow');
+    if (isFrozen && given('ambientTempC') && params.ambientTempC > 10) {
+      errors.push({
+        code: 'CONTRADICTION', path: 'ambientTempC', value: params.ambientTempC, related: ['surfaceType'],
+        message: `${surface} at ${this._round(params.ambientTempC, 1)}°C - snow and ice don't last above ~10°C`
+      });
+    }
+
+    if (given('weatherPreset') && given('waterDepthMm') && this.weatherPresets[params.weatherPreset] &&
+        this.weatherPresets[params.weatherPreset].waterMm !== params.waterDepthMm) {
+      overridden('waterDepthMm', 'weatherPreset', `waterDepthMm is ignored - weatherPreset '${params.weatherPreset}' sets ${this.weatherPresets[params.weatherPreset].waterMm}mm`);
+    }
+    if (given('driverProfile') && given('reactionTimeSeconds')) {
+      overridden('reactionTimeSeconds', 'driverProfile', `reactionTimeSeconds is ignored - driverProfile '${params.driverProfile}' sets the base reaction`);
+    }
+    if (given('brakeTempC') && given('brakeFadeLevel')) {
+      overridden('brakeFadeLevel', 'brakeTempC', 'brakeFadeLevel is ignored - fade is derived from brakeTempC');
+    }
+    if (given('treadTempC') && given('speedHistory')) {
+      overridden('speedHistory', 'treadTempC', 'speedHistory is ignored - treadTempC is used directly');
+    }
+    if (given('gradientProfile') && given('elevationProfile')) {
+      overridden('elevationProfile', 'gradientProfile', 'elevationProfile is ignored - gradientProfile takes precedence');
+    }
+    if (given('slipRatio') && given('brakingMode')) {
+      overridden('brakingMode', 'slipRatio', 'brakingMode is ignored - an explicit slipRatio sets the wheel slip');
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // UNITS (metric ↔ imperial)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Convert a value between metric and imperial
+   * @param {number} value - Value in the system it is converted from
+   * @param {string} quantity - Key into this.units ('speed', 'distance', 'tread'...)
+   * @param {string} to - 'imperial' (from metric) or 'metric' (from imperial)
+   */
+  convertUnit(value, quantity, to = 'imperial') {
+    const unit = this.units[quantity];
+    if (!unit || typeof value !== 'number') return value;
+    return to === 'imperial'
+      ? value * unit.factor + unit.offset
+      : (value - unit.offset) / unit.factor;
+  }
+
+  /**
+   * Format a metric value for display in either system: '52.3 ft', '4/32"', '68°F'
+   * @param {number} value - Metric value
+   * @param {string} quantity - Key into this.units
+   * @param {string} system - 'metric' or 'imperial'
+   * @param {number} decimals - Overrides the unit's display precision
+   * @param {string} rounding - 'nearest', or 'up'/'down' to keep a threshold on its safe side
+   */
+  formatUnit(value, quantity, system = 'metric', decimals = null, rounding = 'nearest') {
+    const unit = this.units[quantity];
+    const converted = system === 'imperial' ? this.convertUnit(value, quantity, 'imperial') : value;
+    const places = decimals !== null ? decimals : (system !== 'imperial' && quantity === 'tread' ? 1 : unit.decimals);
+    const scale = Math.pow(10, places);
+    const shown = rounding === 'up' ? Math.ceil(converted * scale - 1e-9) / scale
+      : rounding === 'down' ? Math.floor(converted * scale + 1e-9) / scale
+      : this._round(converted, places);
+    const label = unit[system === 'imperial' ? 'imperial' : 'metric'];
+    const joiner = /^[°/]/.test(label) ? '' : ' ';
+    return `${shown}${joiner}${label}`;
+  }
+
+  /**
+   * Replace imperial input spellings with their metric fields
+   *
+   * speedMph → speedKmh, treadDepth32nds → treadDepthMm, ambientTempF → ambientTempC...
+   * (see this.unitFields). A metric field that is also given wins. speedSymbol
+   * is upper-cased.
+   *
+   * @param {Object} params - calculate() inputs in either system
+   * @returns {Object} - Same inputs, metric only
+   */
+  toMetric(params) {
+    let metric = this._fieldsToMetric(params, this.unitFields);
+    // Sidewall speed symbols are capitals - take 'v' as 'V'
+    if (typeof metric.speedSymbol === 'string' && metric.speedSymbol !== metric.speedSymbol.toUpperCase()) {
+      if (metric === params) metric = { ...params };
+      metric.speedSymbol = metric.speedSymbol.toUpperCase();
+    }
+    Object.entries(this.unitFields).forEach(([key, itemFields]) => {
+      if (Array.isArray(itemFields) || !Array.isArray(metric[key])) return;
+      const items = metric[key].map(item => (item && typeof item === 'object' ? this._fieldsToMetric(item, itemFields) : item));
+      if (items.some((item, i) => item !== metric[key][i])) {
+        if (metric === params) metric = { ...params };
+        metric[key] = items;
+      }
+    });
+    return metric;
+  }
+
+  /**
+   * Replace the imperial keys of { metricKey: [imperialKey, quantity] } fields
+   * (numbers or lists of numbers); a metric key that is also given wins
+   */
+  _fieldsToMetric(source, fields) {
+    const toMetric = (value, quantity) => Array.isArray(value)
+      ? value.map(item => this.convertUnit(item, quantity, 'metric'))
+      : this.convertUnit(value, quantity, 'metric');
+    let out = source;
+    Object.entries(fields).forEach(([metricKey, mapping]) => {
+      if (!Array.isArray(mapping)) return;
+      const [imperialKey, quantity] = mapping;
+      if (source[imperialKey] === undefined) return;
+      if (out === source) out = { ...source };
+      if (out[metricKey] === undefined) {
+        out[metricKey] = source[imperialKey] === null ? null : toMetric(source[imperialKey], quantity);
+      }
+      delete out[imperialKey];
+    });
+    return out;
+  }
+
+  /**
+   * Imperial copy of the headline numbers of a calculate() result
+   * @returns {Object} - { speedMph, brakingDistanceFt, treadDepth32nds, ambientTempF, ... }
+   */
+  toImperial(result) {
+    return this._toImperialFields(result, this.resultUnitFields);
+  }
+
+  /**
+   * Imperial copy of [path, imperialKey, quantity] fields of any output
+   * Arrays are converted element by element; objects keep their numeric fields.
+   */
+  _toImperialFields(output, fields) {
+    const imperial = {};
+    const convert = (value, quantity) => typeof value === 'number'
+      ? this._round(this.convertUnit(value, quantity, 'imperial'), Math.max(this.units[quantity].decimals, 1))
+      : value;
+    fields.forEach(([path, imperialKey, quantity]) => {
+      const value = path.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), output);
+      if (typeof value === 'number') {
+        imperial[imperialKey] = convert(value, quantity);
+      } else if (Array.isArray(value)) {
+        imperial[imperialKey] = value.map(item => convert(item, quantity));
+      } else if (value && typeof value === 'object') {
+        imperial[imperialKey] = Object.fromEntries(Object.entries(value)
+          .filter(([, item]) => typeof item === 'number')
+          .map(([key, item]) => [key, convert(item, quantity)]));
+      }
+    });
+    return imperial;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TIME-STEPPED STOP SIMULATION
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Integrate a stop step by step instead of using the closed-form v²/2a
+   *
+   * Every step re-runs calculate() at the current speed, so speed-dependent
+   * factors (speed decay, downforce, hydroplaning, calibration) evolve during
+   * the stop. When brakes cannot overcome the slope, the rolling + drag model
+   * is integrated instead of using the exact formula.
+   *
+   * @param {Object} params - Same inputs as calculate()
+   * @param {Object} options - { dt, includeReaction, maxTimeS, maxDistanceM | maxDistanceFt }
+   * @returns {Object} - Trace arrays (time, speed, position, deceleration, factors)
+   */
+  simulateStop(params, options = {}) {
+    const {
+      dt = 0.01,                 // Integration step (s)
+      includeReaction = false,   // Prepend constant-speed reaction phase
+      maxTimeS = 120,            // Give up on runaway / terminal velocity cases
+      maxDistanceM = Infinity    // Stop integrating this far past the brake point
+    } = this._fieldsToMetric(options, this.optionUnitFields);
+
+    params = this.toMetric(params);
+    const step = Math.max(0.001, dt);
+    const startSpeedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+    const reactionTimeSeconds = this.getReactionTime(params).seconds;
+
+    const trace = {
+      dt: step,
+      time: [],
+      speedKmh: [],
+      positionM: [],
+      decelerationMs2: [],
+      μ_effective: [],
+      phase: [],
+      activeFactors: []
+    };
+
+    const record = (timeS, speedMs, positionM, decel, μ, phase, activeFactors) => {
+      trace.time.push(this._round(timeS, 3));
+      trace.speedKmh.push(this._round(speedMs * 3.6, 2));
+      trace.positionM.push(this._round(positionM, 2));
+      trace.decelerationMs2.push(this._round(decel, 3));
+      trace.μ_effective.push(μ === null ? null : this._round(μ, 4));
+      trace.phase.push(phase);
+      trace.activeFactors.push(activeFactors);
+    };
+
+    let t = 0;
+    let x = 0;
+    let v = startSpeedKmh / 3.6;
+
+    // ─────────────────────────────────────────────────────────────
+    // REACTION PHASE (constant speed, no braking)
+    // ─────────────────────────────────────────────────────────────
+    if (includeReaction && reactionTimeSeconds > 0) {
+      while (t < reactionTimeSeconds) {
+        record(t, v, x, 0, null, 'reaction', {});
+        const h = Math.min(step, reactionTimeSeconds - t);
+        x += v * h;
+        t += h;
+      }
+    }
+    const reactionDistanceM = x;
+    const brakeStartTimeS = t;
+
+    // ─────────────────────────────────────────────────────────────
+    // BRAKING PHASE (trapezoidal position update)
+    // ─────────────────────────────────────────────────────────────
+    let lastStep = null;
+    let curveLost = false;
+    while (v > 0 && t - brakeStartTimeS < maxTimeS && x - reactionDistanceM < maxDistanceM) {
+      const state = { timeS: t, speedKmh: v * 3.6, positionM: x - reactionDistanceM };
+      const stepParams = this._resolveStepParams(params, state);
+      lastStep = this.calculate({
+        ...stepParams,
+        speedKmh: v * 3.6,
+        _calibrationSpeedKmh: startSpeedKmh,
+        _isComparisonCalc: true
+      });
+
+      const { decel, phase } = this._getStepDeceleration(lastStep, stepParams, v);
+      record(t, v, x, decel, lastStep.μ_effective, phase, this._getActiveFactors(lastStep, phase));
+      if (phase === 'curve-lost') {
+        curveLost = true;
+        break;
+      }
+
+      const vNext = v - decel * step;
+      if (vNext <= 0) {
+        // Stops inside this step - solve the partial step exactly
+        const h = v / decel;
+        x += v * h / 2;
+        t += h;
+        v = 0;
+        break;
+      }
+      x += (v + vNext) / 2 * step;
+      v = vNext;
+      t += step;
+    }
+
+    const stopped = v <= 0;
+    if (!curveLost) {
+      const endPhase = stopped ? 'stopped' : (x - reactionDistanceM >= maxDistanceM ? 'limit' : 'timeout');
+      record(t, v, x, 0, lastStep ? lastStep.μ_effective : null, endPhase, {});
+    }
+
+    // Closed-form result for comparison with the integrated trace
+    const closedForm = this.calculate({ ...params, _isComparisonCalc: true });
+
+    const output = {
+      ...trace,
+      samples: trace.time.length,
+      stopped,
+      curveLost,
+      reactionDistanceM: this._round(reactionDistanceM, 1),
+      brakingDistanceM: this._round(x - reactionDistanceM, 1),
+      totalDistanceM: this._round(x, 1),
+      brakingTimeS: this._round(t - brakeStartTimeS, 2),
+      totalTimeS: this._round(t, 2),
+      finalSpeedKmh: this._round(v * 3.6, 1),
+      closedFormBrakingDistanceM: closedForm.brakingDistanceM
+    };
+    if (params.units === 'imperial') {
+      output.imperial = this._toImperialFields(output, this.outputUnitFields.simulateStop);
+    }
+    return output;
+  }
+
+  /**
+   * Inputs in effect at a given point of a simulated stop
+   * @param {Object} params - Original calculate() inputs
+   * @param {Object} state - { timeS, speedKmh, positionM } (position from brake point)
+   */
+  _resolveStepParams(params, state) {
+    let stepParams = params;
+
+    const segment = this._getSegmentAt(params.surfaceSegments, state.positionM);
+    if (segment) {
+      stepParams = { ...stepParams, ...this._getSegmentParams(params, segment) };
+    }
+    if (params.surfaceSegments) {
+      stepParams = { ...stepParams, surfaceSegments: null };
+    }
+
+    // Each step sees the local grade only
+    const gradientSections = this._getGradientSections(
+      params.gradientProfile, params.elevationProfile, params.slopeDegrees || 0
+    );
+    if (gradientSections) {
+      stepParams = {
+        ...stepParams,
+        slopeDegrees: this._getSectionAt(gradientSections, state.positionM).slopeDegrees,
+        gradientProfile: null,
+        elevationProfile: null
+      };
+    }
+
+    return stepParams;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SURFACE SEGMENTS (painted lines, manholes, puddles, ice patches)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Segment covering a distance from the brake point (null = base surface)
+   */
+  _getSegmentAt(segments, positionM) {
+    if (!segments || segments.length === 0) return null;
+    let start = 0;
+    for (const segment of segments) {
+      const end = start + Math.max(0, segment.lengthM || 0);
+      if (positionM >= start && positionM < end) return segment;
+      start = end;
+    }
+    return null;
+  }
+
+  /**
+   * calculate() overrides for one segment - unset fields inherit the base road
+   */
+  _getSegmentParams(params, segment) {
+    const overrides = {};
+    if (segment.surfaceType) overrides.surfaceType = segment.surfaceType;
+    if (segment.waterDepthMm !== undefined && segment.waterDepthMm !== null) {
+      overrides.waterDepthMm = segment.waterDepthMm;
+      overrides.weatherPreset = null;
+    } else if (segment.weatherPreset) {
+      overrides.weatherPreset = segment.weatherPreset;
+    }
+    return overrides;
+  }
+
+  /**
+   * Integrate the stop across ordered surface segments
+   *
+   * Within a segment μ is constant, so v² falls linearly with distance:
+   *   v_exit² = v_entry² - 2·a·L    (a < 0 on e.g. oil downhill - car speeds up)
+   * The stop ends in the first segment where v² reaches zero, otherwise
+   * on the base surface after the last segment.
+   */
+  _integrateSurfaceSegments(params, segments, speedMs, baseDeceleration) {
+    const slopeRad = ((params.slopeDegrees || 0) * Math.PI) / 180;
+    const results = [];
+    let vSquared = speedMs * speedMs;
+    let distance = 0;
+    let stopSegmentIndex = -1;
+    let stopped = false;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      const lengthM = Math.max(0, segment.lengthM || 0);
+      const entrySpeed = Math.sqrt(vSquared);
+
+      // Speed-dependent grip (hydroplaning in a puddle) uses the entry speed;
+      // calibration stays pinned to the speed at brake application
+      const segmentResult = this.calculate({
+        ...params,
+        ...this._getSegmentParams(params, segment),
+        speedKmh: entrySpeed * 3.6,
+        _calibrationSpeedKmh: speedMs * 3.6,
+        surfaceSegments: null,
+        _isComparisonCalc: true
+      });
+      const decel = this.g * (segmentResult.μ_effective * Math.cos(slopeRad) + Math.sin(slopeRad));
+
+      let travelled = lengthM;
+      let stopsHere = false;
+      if (decel > 0 && vSquared <= 2 * decel * lengthM) {
+        travelled = vSquared / (2 * decel);
+        stopsHere = true;
+        vSquared = 0;
+      } else {
+        vSquared = Math.max(0, vSquared - 2 * decel * lengthM);
+      }
+
+      results.push({
+        index: i,
+        surfaceType: segmentResult.inputs.surfaceType,
+        waterDepthMm: segmentResult.inputs.waterDepthMm,
+        startM: this._round(distance, 1),
+        lengthM,
+        μ_effective: segmentResult.μ_effective,
+        decelerationMs2: this._round(decel, 2),
+        entrySpeedKmh: this._round(entrySpeed * 3.6, 1),
+        exitSpeedKmh: this._round(Math.sqrt(vSquared) * 3.6, 1),
+        stoppedHere: stopsHere
+      });
+
+      distance += travelled;
+      if (stopsHere) {
+        stopSegmentIndex = i;
+        stopped = true;
+        break;
+      }
+    }
+
+    // Remainder on the base surface
+    if (!stopped && baseDeceleration > 0) {
+      distance += vSquared / (2 * baseDeceleration);
+      stopped = true;
+    }
+
+    return {
+      stopped,
+      brakingDistanceM: distance,
+      stopSegmentIndex,
+      segments: results
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // GRADIENT PROFILE (long descents, changing grades)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Normalise a gradient or elevation profile into ordered sections
+   * [{ startM, endM, slopeDegrees }] starting at the brake point. The last
+   * grade continues to infinity; the base slope applies before the first point.
+   * @returns {Array|null} - null when no profile given
+   */
+  _getGradientSections(gradientProfile, elevationProfile, baseSlopeDegrees = 0) {
+    const preset = typeof gradientProfile === 'string' ? this.roadProfiles[gradientProfile] : null;
+    const gradePoints = preset ? preset.profile : gradientProfile;
+    let points = null;
+
+    if (Array.isArray(gradePoints) && gradePoints.length > 0) {
+      points = gradePoints
+        .map(p => ({ distanceM: Math.max(0, p.distanceM || 0), slopeDegrees: p.slopeDegrees || 0 }))
+        .sort((a, b) => a.distanceM - b.distanceM);
+    } else if (Array.isArray(elevationProfile) && elevationProfile.length >= 2) {
+      // Polyline: grade of each leg = atan(rise / run)
+      const sorted = [...elevationProfile].sort((a, b) => a.distanceM - b.distanceM);
+      points = [];
+      for (let i = 1; i < sorted.length; i++) {
+        const run = sorted[i].distanceM - sorted[i - 1].distanceM;
+        if (run <= 0) continue;
+        const rise = sorted[i].elevationM - sorted[i - 1].elevationM;
+        points.push({
+          distanceM: Math.max(0, sorted[i - 1].distanceM),
+          slopeDegrees: this._round((Math.atan(rise / run) * 180) / Math.PI, 2)
+        });
+      }
+    }
+    if (!points || points.length === 0) return null;
+
+    if (points[0].distanceM > 0) {
+      points.unshift({ distanceM: 0, slopeDegrees: baseSlopeDegrees });
+    }
+
+    return points.map((point, i) => ({
+      startM: point.distanceM,
+      endM: i < points.length - 1 ? points[i + 1].distanceM : Infinity,
+      slopeDegrees: point.slopeDegrees
+    })).filter(section => section.endM > section.startM);
+  }
+
+  /**
+   * Gradient section covering a distance from the brake point
+   */
+  _getSectionAt(sections, positionM) {
+    for (const section of sections) {
+      if (positionM < section.endM) return section;
+    }
+    return sections[sections.length - 1];
+  }
+
+  /**
+   * Integrate the stop along a gradient profile
+   *
+   * Stepped in distance (v² form): d(v²)/dx = -2a. Where the brakes hold,
+   * a = g(μcosθ + sinθ); where the grade overwhelms them, the rolling + drag
+   * model takes over, as in _calculateRollingOnlyStop(). Past the last
+   * profile point (and any surface segments) the grade is constant, so the
+   * remainder is solved in closed form.
+   */
+  _integrateGradientProfile(params, sections, speedMs, μ_effective, rollingInputs) {
+    const stepM = 1;
+    const Crr = this._calculateRollingOnlyStop({
+      ...rollingInputs, speedMs, slopeRad: 0, rawDeceleration: 0, μ_effective
+    }).rollingResistanceCoef;
+    const { airDensity, defaultCd, defaultFrontalArea } = this.airDrag;
+    const k = (0.5 * airDensity * defaultCd * defaultFrontalArea) / rollingInputs.vehicleMassKg;
+
+    // Surface segments along the profile: μ re-evaluated at each segment's entry speed
+    const segments = params.surfaceSegments;
+    const segmentsEndM = segments ? segments.reduce((sum, seg) => sum + Math.max(0, seg.lengthM || 0), 0) : 0;
+    const segmentMu = new Map();
+    const muAt = (x, v) => {
+      const segment = this._getSegmentAt(segments, x);
+      if (!segment) return μ_effective;
+      if (!segmentMu.has(segment)) {
+        segmentMu.set(segment, this.calculate({
+          ...params,
+          ...this._getSegmentParams(params, segment),
+          speedKmh: v * 3.6,
+          _calibrationSpeedKmh: speedMs * 3.6,
+          gradientProfile: null,
+          elevationProfile: null,
+          surfaceSegments: null,
+          _isComparisonCalc: true
+        }).μ_effective);
+      }
+      return segmentMu.get(segment);
+    };
+
+    const lastSection = sections[sections.length - 1];
+    const stepEndM = Math.max(lastSection.startM, segmentsEndM);
+
+    let x = 0;
+    let vSquared = speedMs * speedMs;
+    let stopped = false;
+    let rollingDistanceM = 0;
+    let brakeFailure = null;
+    let maxSpeedMs = speedMs;
+    const records = [];
+    let current = null;
+
+    const enterSection = (section) => {
+      if (current && current.section === section) return;
+      if (current) current.record.exitSpeedKmh = this._round(Math.sqrt(vSquared) * 3.6, 1);
+      current = {
+        section,
+        record: {
+          startM: section.startM,
+          endM: section.endM === Infinity ? null : section.endM,
+          slopeDegrees: section.slopeDegrees,
+          entrySpeedKmh: this._round(Math.sqrt(vSquared) * 3.6, 1),
+          exitSpeedKmh: 0,
+          phase: 'braking'
+        }
+      };
+      records.push(current.record);
+    };
+
+    const noteFailure = (section, v) => {
+      current.record.phase = 'rolling';
+      if (!brakeFailure) {
+        brakeFailure = {
+          atM: this._round(x, 1),
+          slopeDegrees: section.slopeDegrees,
+          speedKmh: this._round(v * 3.6, 1)
+        };
+      }
+    };
+
+    // ─────────────────────────────────────────────────────────────
+    // STEPPED PART (profile points + surface segments)
+    // ─────────────────────────────────────────────────────────────
+    while (x < stepEndM) {
+      const section = this._getSectionAt(sections, x);
+      enterSection(section);
+
+      const v = Math.sqrt(vSquared);
+      const slopeRad = (section.slopeDegrees * Math.PI) / 180;
+      const brakeDecel = this.g * (muAt(x, v) * Math.cos(slopeRad) + Math.sin(slopeRad));
+      let decel = brakeDecel;
+      if (brakeDecel <= 0) {
+        noteFailure(section, v);
+        decel = Crr * this.g * Math.cos(slopeRad) + k * vSquared + this.g * Math.sin(slopeRad);
+      }
+
+      const h = Math.min(stepM, Math.min(section.endM, stepEndM) - x);
+      if (decel > 0 && vSquared <= 2 * decel * h) {
+        const travelled = vSquared / (2 * decel);
+        if (brakeDecel <= 0) rollingDistanceM += travelled;
+        x += travelled;
+        vSquared = 0;
+        stopped = true;
+        break;
+      }
+      vSquared -= 2 * decel * h;
+      if (brakeDecel <= 0) rollingDistanceM += h;
+      x += h;
+      maxSpeedMs = Math.max(maxSpeedMs, Math.sqrt(vSquared));
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // CLOSED-FORM REMAINDER (constant final grade, base surface)
+    // ─────────────────────────────────────────────────────────────
+    let rollingPhysics = null;
+    if (!stopped) {
+      const section = this._getSectionAt(sections, x);
+      enterSection(section);
+      const v = Math.sqrt(vSquared);
+      const slopeRad = (section.slopeDegrees * Math.PI) / 180;
+      const brakeDecel = this.g * (μ_effective * Math.cos(slopeRad) + Math.sin(slopeRad));
+
+      if (brakeDecel > 0) {
+        x += vSquared / (2 * brakeDecel);
+        stopped = true;
+      } else {
+        noteFailure(section, v);
+        const remainder = this._calculateRollingOnlyStop({
+          ...rollingInputs, speedMs: v, slopeRad, rawDeceleration: brakeDecel, μ_effective
+        });
+        if (remainder.canStopEventually && remainder.stoppingDistanceM < 99999) {
+          x += remainder.stoppingDistanceM;
+          rollingDistanceM += remainder.stoppingDistanceM;
+          stopped = true;
+        }
+        rollingPhysics = remainder;
+      }
+      vSquared = 0;
+    }
+    current.record.exitSpeedKmh = stopped ? 0 : this._round(Math.sqrt(vSquared) * 3.6, 1);
+
+    // Rolling breakdown on the grade where the brakes gave up
+    if (brakeFailure && !rollingPhysics) {
+      const failedRad = (brakeFailure.slopeDegrees * Math.PI) / 180;
+      rollingPhysics = this._calculateRollingOnlyStop({
+        ...rollingInputs,
+        speedMs: brakeFailure.speedKmh / 3.6,
+        slopeRad: failedRad,
+        rawDeceleration: this.g * (μ_effective * Math.cos(failedRad) + Math.sin(failedRad)),
+        μ_effective
+      });
+    }
+    if (rollingPhysics) {
+      rollingPhysics = {
+        ...rollingPhysics,
+        canStopEventually: stopped,
+        stoppingDistanceM: stopped ? x : 99999,
+        reason: stopped
+          ? `Brakes overwhelmed ${brakeFailure.atM}m into the profile (${brakeFailure.slopeDegrees}°) - rolling + drag along the road for ${Math.round(rollingDistanceM)}m`
+          : rollingPhysics.reason
+      };
+    }
+
+    return {
+      stopped,
+      brakingDistanceM: x,
+      brakesHeld: !brakeFailure,
+      brakeFailure,
+      rollingDistanceM,
+      rollingPhysics,
+      maxSpeedKmh: maxSpeedMs * 3.6,
+      steepestDescentDegrees: Math.min(0, ...records.map(r => r.slopeDegrees)),
+      sections: records
+    };
+  }
+
+  /**
+   * Deceleration for one simulation step
+   * Brakes: a = g(μcosθ + sinθ). Rolling: a = Crr·g·cosθ + drag(v)/m + g·sinθ
+   */
+  _getStepDeceleration(stepResult, stepParams, speedMs) {
+    const slopeRad = ((stepParams.slopeDegrees || 0) * Math.PI) / 180;
+
+    if (stepResult.canStopWithBrakes) {
+      // In a curve only the grip left after cornering is available for braking
+      let longitudinalMu = stepResult.μ_effective;
+      if (stepParams.curveRadiusM > 0) {
+        const lateralMu = stepResult.μ_effective * (stepParams.frictionEllipseRatio || 1.0);
+        const u = (speedMs * speedMs) / (stepParams.curveRadiusM * this.g * lateralMu);
+        if (u >= 1) {
+          // Cornering alone needs all the grip - the car leaves the curve
+          return { decel: 0, phase: 'curve-lost' };
+        }
+        longitudinalMu *= Math.sqrt(1 - u * u);
+      }
+      return {
+        decel: this.g * (longitudinalMu * Math.cos(slopeRad) + Math.sin(slopeRad)),
+        phase: 'braking'
+      };
+    }
+
+    const Crr = stepResult.rollingPhysics ? stepResult.rollingPhysics.rollingResistanceCoef : 0;
+    const massKg = stepParams.loadedMassKg || stepParams.vehicleMassKg || 1500;
+    const { airDensity, defaultCd, defaultFrontalArea } = this.airDrag;
+    const aDrag = (0.5 * airDensity * defaultCd * defaultFrontalArea * speedMs * speedMs) / massKg;
+
+    return {
+      decel: Crr * this.g * Math.cos(slopeRad) + aDrag + this.g * Math.sin(slopeRad),
+      phase: 'rolling'
+    };
+  }
+
+  /**
+   * Factors actively reducing (or adding) grip at this step
+   */
+  _getActiveFactors(stepResult, phase) {
+    const active = {};
+    Object.entries(stepResult.factors).forEach(([name, factor]) => {
+      if (name === 'slope' || name === 'calibration') return;
+      if (Math.abs(factor.value - 1) >= 0.005) {
+        active[name] = this._round(factor.value, 3);
+      }
+    });
+    if (stepResult.hydroplaning.isHydroplaning) {
+      active.hydroplaning = stepResult.hydroplaning.frictionMultiplier;
+    }
+    if (phase === 'rolling') {
+      active.rolling = stepResult.rollingPhysics ? stepResult.rollingPhysics.rollingResistanceCoef : 0;
+    }
+    return active;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DRIVER REACTION TIME
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Reaction time from a driver profile plus impairments
+   *
+   * Base = profile reaction time (or reactionTimeSeconds when no profile).
+   * Phone, alcohol and fatigue scale it; night adds a detection delay:
+   *   t = (base + night) × phone × (1 + k·(BAC + fatigue BAC-equivalent))
+   *
+   * @param {Object} params - { reactionTimeSeconds, driverProfile, impairments }
+   * @returns {Object} - { seconds, baseS, profile, modifiers: [{ name, addedS }] }
+   */
+  getReactionTime(params = {}) {
+    const { reactionTimeSeconds = 1.5, driverProfile = null, impairments = null } = params;
+    const profile = driverProfile ? this.driverProfiles[driverProfile] : null;
+    const baseS = profile ? profile.reactionS : reactionTimeSeconds;
+    const modifiers = [];
+
+    let seconds = baseS;
+    if (impairments && baseS > 0) {
+      const { phoneMultiplier, alcoholPerBac, fatigueBacPerHour, fatigueOnsetHours, nightAddS } = this.reactionImpairments;
+      const apply = (name, next) => {
+        modifiers.push({ name, addedS: this._round(next - seconds, 2) });
+        seconds = next;
+      };
+
+      if (impairments.night) {
+        apply('Night driving', seconds + nightAddS);
+      }
+      if (phoneMultiplier[impairments.phone]) {
+        apply(impairments.phone === 'handheld' ? 'Hand-held phone' : 'Hands-free call',
+          seconds * phoneMultiplier[impairments.phone]);
+      }
+      const bloodAlcohol = Math.max(0, impairments.bloodAlcohol || 0);
+      if (bloodAlcohol > 0) {
+        apply(`Alcohol (${bloodAlcohol.toFixed(2)} BAC)`, seconds * (1 + alcoholPerBac * bloodAlcohol));
+      }
+      const fatigueBac = Math.max(0, ((impairments.hoursAwake || 0) - fatigueOnsetHours) * fatigueBacPerHour);
+      if (fatigueBac > 0) {
+        apply(`Fatigue (${impairments.hoursAwake}h awake)`, seconds * (1 + alcoholPerBac * fatigueBac));
+      }
+    }
+
+    return {
+      seconds: this._round(seconds, 2),
+      baseS,
+      profile: driverProfile && profile ? driverProfile : null,
+      profileName: profile ? profile.name : null,
+      modifiers
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // OBSTACLE IMPACT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Impact speed and energy with an equivalent fall height
+   * Falling h metres reaches v = √(2gh), so h = v² / 2g
+   *
+   * @param {number} speedKmh - Speed at impact
+   * @param {number} massKg - Vehicle mass (default 1500)
+   * @returns {Object} - { impactSpeedKmh, kineticEnergyKJ, equivalentFallHeightM, equivalentStoreys }
+   */
+  getImpactEquivalent(speedKmh, massKg = 1500) {
+    const speedMs = Math.max(0, speedKmh) / 3.6;
+    const fallHeightM = (speedMs * speedMs) / (2 * this.g);
+
+    return {
+      impactSpeedKmh: this._round(speedKmh, 1),
+      impactSpeedMph: this._round(speedKmh * 0.621, 1),
+      kineticEnergyKJ: this._round(0.5 * massKg * speedMs * speedMs / 1000, 1),
+      equivalentFallHeightM: this._round(fallHeightM, 1),
+      equivalentStoreys: this._round(fallHeightM / 3, 1)   // ~3m per storey
+    };
+  }
+
+  /**
+   * Does the stop end before the obstacle, and if not how fast is the impact?
+   *
+   * Reaction phase: full speed. Braking phase: v² falls linearly with distance
+   * for a constant deceleration (v² = v0²·(1 - s/d)); across surface segments
+   * each patch's own deceleration is used. Curves, gradient profiles and
+   * rolling (brakes lost) stops are speed-dependent, so they are integrated
+   * with simulateStop() up to the obstacle.
+   */
+  _getObstacleImpact(obstacleDistanceM, stop) {
+    const { params, speedMs, reactionDistance, brakingDistance, totalDistance, massKg, segmentPath, baseDeceleration, integrate } = stop;
+
+    if (totalDistance <= obstacleDistanceM) {
+      return {
+        distanceM: obstacleDistanceM,
+        stopsInTime: true,
+        marginM: this._round(obstacleDistanceM - totalDistance, 1),
+        phase: null,
+        ...this.getImpactEquivalent(0, massKg)
+      };
+    }
+
+    let phase = 'reaction';
+    let vSquared = speedMs * speedMs;
+    const intoBrakingM = obstacleDistanceM - reactionDistance;
+
+    if (intoBrakingM > 0) {
+      phase = 'braking';
+      if (integrate) {
+        vSquared = Math.pow(this._getTraceSpeedAt(params, intoBrakingM) / 3.6, 2);
+      } else if (segmentPath) {
+        let remainingM = intoBrakingM;
+        for (const segment of segmentPath.segments) {
+          const lengthM = Math.min(remainingM, segment.lengthM);
+          vSquared = Math.max(0, vSquared - 2 * segment.decelerationMs2 * lengthM);
+          remainingM -= lengthM;
+          if (remainingM <= 0) break;
+        }
+        vSquared = Math.max(0, vSquared - 2 * baseDeceleration * Math.max(0, remainingM));
+      } else if (brakingDistance < 99999) {
+        vSquared *= Math.max(0, 1 - intoBrakingM / brakingDistance);
+      }
+    }
+
+    return {
+      distanceM: obstacleDistanceM,
+      stopsInTime: false,
+      marginM: this._round(obstacleDistanceM - totalDistance, 1),
+      phase,
+      ...this.getImpactEquivalent(Math.sqrt(vSquared) * 3.6, massKg)
+    };
+  }
+  /**
+   * Speed (km/h) a simulated stop has left a given distance past the brake point
+   * A stop that ends early (curve lost, timeout) keeps its last speed.
+   */
+  _getTraceSpeedAt(params, brakingPositionM) {
+    const trace = this.simulateStop({ ...params, obstacleDistanceM: null }, { dt: 0.02, maxDistanceM: brakingPositionM });
+    for (let i = 1; i < trace.samples; i++) {
+      if (trace.positionM[i] >= brakingPositionM) {
+        const x0 = trace.positionM[i - 1];
+        const x1 = trace.positionM[i];
+        const share = x1 > x0 ? (brakingPositionM - x0) / (x1 - x0) : 1;
+        return trace.speedKmh[i - 1] + (trace.speedKmh[i] - trace.speedKmh[i - 1]) * share;
+      }
+    }
+    return trace.finalSpeedKmh;
+  }
+
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TWO-VEHICLE FOLLOWING (two-second rule)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Lead vehicle emergency stop with our vehicle following behind
+   *
+   * Each stop comes from calculate() with that vehicle's own tyres, mass and
+   * surface. The lead brakes at t = 0; the follower brakes after its reaction
+   * time. Both use their stop's average deceleration (v² / 2d), so segments,
+   * fade and load carry through. Gaps are bumper to bumper.
+   *
+   * @param {Object} leadParams - calculate() inputs for the lead vehicle
+   * @param {Object} followParams - calculate() inputs for our vehicle (incl. reaction)
+   * @param {Object} options - { gapM | gapFt, headwayS (used when no gap), dt }
+   * @returns {Object} - Minimum separation, or collision time and closing speed
+   */
+  simulateFollowing(leadParams, followParams, options = {}) {
+    options = this._fieldsToMetric(options, this.optionUnitFields);
+    const { headwayS = 2, dt = 0.01 } = options;
+    leadParams = this.toMetric(leadParams);
+    followParams = this.toMetric(followParams);
+    const followSpeedKmh = followParams.speedKmh !== undefined ? followParams.speedKmh : 100;
+    const leadSpeedKmh = leadParams.speedKmh !== undefined ? leadParams.speedKmh : followSpeedKmh;
+    const gapM = options.gapM !== undefined ? options.gapM : (followSpeedKmh / 3.6) * headwayS;
+
+    const lead = this.calculate({ ...leadParams, speedKmh: leadSpeedKmh, _isComparisonCalc: true });
+    const follow = this.calculate({ ...followParams, speedKmh: followSpeedKmh, _isComparisonCalc: true });
+    const averageDecel = (speedMs, result) => result.brakingDistanceM > 0 && result.brakingDistanceM < 99999
+      ? (speedMs * speedMs) / (2 * result.brakingDistanceM)
+      : result.decelerationMs2;
+
+    const reactionS = follow.reaction.seconds;
+    const leadDecel = averageDecel(leadSpeedKmh / 3.6, lead);
+    const followDecel = averageDecel(followSpeedKmh / 3.6, follow);
+
+    let t = 0;
+    let leadX = 0;
+    let followX = 0;
+    let leadV = leadSpeedKmh / 3.6;
+    let followV = followSpeedKmh / 3.6;
+    let minSeparationM = gapM;
+    let minSeparationTimeS = 0;
+    let requiredGapM = 0;
+    let collision = null;
+    const trace = [];
+    const sampleEvery = Math.max(1, Math.round(0.1 / dt));
+
+    // Runs until both have stopped (capped for vehicles that can't stop)
+    for (let step = 0; (leadV > 0 || followV > 0) && t < 120; step++) {
+      if (!collision && step % sampleEvery === 0) {
+        trace.push({
+          time: this._round(t, 2),
+          leadPositionM: this._round(gapM + leadX, 2),
+          followPositionM: this._round(followX, 2),
+          leadSpeedKmh: this._round(leadV * 3.6, 1),
+          followSpeedKmh: this._round(followV * 3.6, 1),
+          followBraking: t >= reactionS
+        });
+      }
+
+      const nextLeadV = Math.max(0, leadV - leadDecel * dt);
+      const nextFollowV = t >= reactionS ? Math.max(0, followV - followDecel * dt) : followV;
+      leadX += (leadV + nextLeadV) / 2 * dt;
+      followX += (followV + nextFollowV) / 2 * dt;
+      leadV = nextLeadV;
+      followV = nextFollowV;
+      t += dt;
+
+      requiredGapM = Math.max(requiredGapM, followX - leadX);
+      const separationM = gapM + leadX - followX;
+      if (!collision && separationM < minSeparationM) {
+        minSeparationM = separationM;
+        minSeparationTimeS = t;
+      }
+      if (!collision && separationM <= 0) {
+        collision = {
+          timeS: this._round(t, 2),
+          positionM: this._round(followX, 1),
+          leadSpeedKmh: this._round(leadV * 3.6, 1),
+          followSpeedKmh: this._round(followV * 3.6, 1),
+          followerBraking: t >= reactionS,
+          ...this.getImpactEquivalent(Math.max(0, followV - leadV) * 3.6,
+            followParams.loadedMassKg || followParams.vehicleMassKg || 1500)
+        };
+      }
+    }
+
+    const followSpeedMs = followSpeedKmh / 3.6;
+    const output = {
+      gapM: this._round(gapM, 2),
+      headwayS: followSpeedMs > 0 ? this._round(gapM / followSpeedMs, 2) : null,
+      lead: {
+        speedKmh: leadSpeedKmh,
+        brakingDistanceM: lead.brakingDistanceM,
+        decelerationMs2: this._round(leadDecel, 2)
+      },
+      follower: {
+        speedKmh: followSpeedKmh,
+        reactionTimeS: reactionS,
+        reactionDistanceM: follow.reactionDistanceM,
+        brakingDistanceM: follow.brakingDistanceM,
+        totalStoppingDistanceM: follow.totalStoppingDistanceM,
+        decelerationMs2: this._round(followDecel, 2)
+      },
+      collides: collision !== null,
+      collision,   // closing speed is reported as impactSpeedKmh
+      minSeparationM: collision ? 0 : this._round(minSeparationM, 1),
+      minSeparationTimeS: collision ? collision.timeS : this._round(minSeparationTimeS, 2),
+      requiredGapM: this._round(requiredGapM, 1),
+      requiredHeadwayS: followSpeedMs > 0 ? this._round(requiredGapM / followSpeedMs, 2) : null,
+      trace
+    };
+    if (followParams.units === 'imperial') {
+      output.imperial = this._toImperialFields(output, this.outputUnitFields.simulateFollowing);
+    }
+    return output;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SENSITIVITY (tornado chart)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Which input matters most for this scenario
+   *
+   * Each input in this.sensitivityRanges is set to its low and high value
+   * (everything else unchanged) and the stop recalculated. Results are
+   * ranked by swing - the metres between the two ends.
+   *
+   * @param {Object} params - Same inputs as calculate()
+   * @param {Object} options - { inputs, metric: 'total' | 'braking' }
+   * @returns {Object} - Base distance and ranked per-input deltas (metres)
+   */
+  sensitivity(params, options = {}) {
+    const {
+      inputs = Object.keys(this.sensitivityRanges),
+      metric = 'total'
+    } = options;
+    params = this.toMetric(params);
+    const distanceOf = (result) => metric === 'braking' ? result.brakingDistanceM : result.totalStoppingDistanceM;
+
+    const base = this.calculate({ ...params, _isComparisonCalc: true });
+    const baseDistanceM = distanceOf(base);
+
+    const rows = inputs
+      .filter(input => this.sensitivityRanges[input])
+      .map(input => {
+        const range = this.sensitivityRanges[input];
+        const resolve = (end) => typeof end === 'function' ? end(params) : end;
+        const overrides = {};
+        (range.clears || []).forEach(cleared => { overrides[cleared] = null; });
+        const evaluate = (value) => {
+          const distanceM = distanceOf(this.calculate({ ...params, ...overrides, [input]: value, _isComparisonCalc: true }));
+          return { value, distanceM, deltaM: this._round(distanceM - baseDistanceM, 1) };
+        };
+
+        const low = evaluate(resolve(range.low));
+        const high = evaluate(resolve(range.high));
+        const best = low.deltaM < high.deltaM ? low : high;
+
+        return {
+          input,
+          label: range.label,
+          unit: range.unit,
+          baseValue: params[input] === undefined ? null : typeof params[input] === 'number' ? this._round(params[input], 2) : params[input],
+          low,
+          high,
+          swingM: this._round(Math.abs(high.distanceM - low.distanceM), 1),
+          bestValue: best.value,
+          bestImprovementM: this._round(Math.min(0, best.deltaM), 1)
+        };
+      })
+      .sort((a, b) => b.swingM - a.swingM);
+
+    const output = {
+      metric,
+      baseDistanceM,
+      ranked: rows,
+      biggestImprovement: rows.reduce(
+        (bestRow, row) => (!bestRow || row.bestImprovementM < bestRow.bestImprovementM ? row : bestRow), null
+      )
+    };
+    if (params.units === 'imperial') {
+      output.imperial = {
+        ...this._toImperialFields(output, this.outputUnitFields.sensitivity),
+        ranked: rows.map(row => {
+          const quantity = this.sensitivityRanges[row.input].quantity;
+          const valueFields = quantity
+            ? [['baseValue', 'baseValue', quantity], ['low.value', 'lowValue', quantity], ['high.value', 'highValue', quantity], ['bestValue', 'bestValue', quantity]]
+            : [];
+          return {
+            input: row.input,
+            unit: quantity ? this.units[quantity].imperial : row.unit,
+            ...this._toImperialFields(row, [
+              ...valueFields,
+              ['low.deltaM', 'lowDeltaFt', 'distance'],
+              ['high.deltaM', 'highDeltaFt', 'distance'],
+              ['swingM', 'swingFt', 'distance'],
+              ['bestImprovementM', 'bestImprovementFt', 'distance']
+            ])
+          };
+        })
+      };
+    }
+    return output;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INVERSE SOLVER (required tyre condition for a target distance)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * What each adjustable input must be to stop within a target distance
+   *
+   * Numeric inputs are bisected between their search limits (distance is
+   * monotonic in each), then rounded to the safe side of their precision.
+   * Graded inputs (EU grade) are stepped from worst to best. Other inputs
+   * stay as given. Generalises _calculateSafeSpeed() to any input/distance.
+   *
+   * @param {Object} params - Same inputs as calculate()
+   * @param {Object} options - { targetDistanceM | targetDistanceFt, metric: 'total' | 'braking', inputs }
+   * @returns {Object} - Per-input threshold, or achievable: false when no value works
+   */
+  solveRequired(params, options = {}) {
+    const {
+      targetDistanceM = 50,
+      metric = 'total',
+      inputs = Object.keys(this.inverseInputs)
+    } = this._fieldsToMetric(options, this.optionUnitFields);
+    params = this.toMetric(params);
+    const system = params.units === 'imperial' ? 'imperial' : 'metric';
+    const distanceAt = (input, value) => {
+      const result = this.calculate({ ...params, [input]: value, _isComparisonCalc: true });
+      return metric === 'braking' ? result.brakingDistanceM : result.totalStoppingDistanceM;
+    };
+
+    const current = this.calculate({ ...params, _isComparisonCalc: true });
+    const currentDistanceM = metric === 'braking' ? current.brakingDistanceM : current.totalStoppingDistanceM;
+    const speedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+
+    const requirements = {};
+    inputs.filter(input => this.inverseInputs[input]).forEach(input => {
+      requirements[input] = this.inverseInputs[input].values
+        ? this._solveGradedInput(params, input, targetDistanceM, distanceAt)
+        : this._solveNumericInput(params, input, targetDistanceM, distanceAt);
+      requirements[input].message = this._describeRequirement(input, requirements[input], targetDistanceM, speedKmh, system);
+    });
+
+    const output = {
+      targetDistanceM: this._round(targetDistanceM, 2),
+      metric,
+      speedKmh: this._round(speedKmh, 1),
+      currentDistanceM,
+      meetsTarget: currentDistanceM <= targetDistanceM,
+      requirements
+    };
+    if (system === 'imperial') {
+      output.imperial = {
+        ...this._toImperialFields(output, this.outputUnitFields.solveRequired),
+        requirements: Object.fromEntries(Object.entries(requirements).map(([input, requirement]) => {
+          const quantity = this.inverseInputs[input].quantity;
+          const valueFields = quantity
+            ? [['thresholdValue', 'thresholdValue', quantity], ['current', 'current', quantity], ['bestValue', 'bestValue', quantity]]
+            : [];
+          return [input, {
+            unit: quantity ? this.units[quantity].imperial : this.inverseInputs[input].unit,
+            ...this._toImperialFields(requirement, [
+              ...valueFields,
+              ['thresholdDistanceM', 'thresholdDistanceFt', 'distance'],
+              ['bestDistanceM', 'bestDistanceFt', 'distance']
+            ])
+          }];
+        }))
+      };
+    }
+    return output;
+  }
+
+  /**
+   * Bisect a numeric input for the worst value that still meets the target
+   */
+  _solveNumericInput(params, input, targetDistanceM, distanceAt) {
+    const spec = this.inverseInputs[input];
+    const resolve = (end) => typeof end === 'function' ? end(params) : end;
+    const higherIsBetter = spec.better === 'higher';
+    const bestValue = higherIsBetter ? resolve(spec.max) : resolve(spec.min);
+    const worstValue = higherIsBetter ? resolve(spec.min) : resolve(spec.max);
+    const kind = higherIsBetter ? 'minimum' : 'maximum';
+    const current = params[input] !== undefined ? params[input] : null;
+
+    const bestDistanceM = distanceAt(input, bestValue);
+    if (bestDistanceM > targetDistanceM) {
+      return { achievable: false, kind, thresholdValue: null, current, bestValue, bestDistanceM };
+    }
+    if (distanceAt(input, worstValue) <= targetDistanceM) {
+      return { achievable: true, kind, thresholdValue: worstValue, anyValueWorks: true, current, bestValue, bestDistanceM };
+    }
+
+    // passing end ↔ failing end
+    let pass = bestValue;
+    let fail = worstValue;
+    for (let i = 0; i < 40 && Math.abs(pass - fail) > spec.precision / 10; i++) {
+      const mid = (pass + fail) / 2;
+      if (distanceAt(input, mid) <= targetDistanceM) pass = mid;
+      else fail = mid;
+    }
+
+    // Round towards the passing side so the quoted threshold is safe
+    const steps = pass / spec.precision;
+    const thresholdValue = this._round((higherIsBetter ? Math.ceil(steps - 1e-9) : Math.floor(steps + 1e-9)) * spec.precision, 2);
+    return {
+      achievable: true,
+      kind,
+      thresholdValue,
+      anyValueWorks: false,
+      current,
+      meetsNow: current !== null ? (higherIsBetter ? current >= thresholdValue : current <= thresholdValue) : null,
+      thresholdDistanceM: distanceAt(input, thresholdValue),
+      bestValue,
+      bestDistanceM
+    };
+  }
+
+  /**
+   * Step a graded input from worst to best for the first value that meets the target
+   */
+  _solveGradedInput(params, input, targetDistanceM, distanceAt) {
+    const values = this.inverseInputs[input].values;
+    const current = params[input] !== undefined ? params[input] : null;
+    const bestValue = values[values.length - 1];
+
+    for (let i = 0; i < values.length; i++) {
+      const distanceM = distanceAt(input, values[i]);
+      if (distanceM <= targetDistanceM) {
+        return {
+          achievable: true,
+          kind: 'minimum',
+          thresholdValue: values[i],
+          anyValueWorks: i === 0,
+          current,
+          meetsNow: current !== null ? values.indexOf(current) >= i : null,
+          thresholdDistanceM: distanceM,
+          bestValue,
+          bestDistanceM: distanceAt(input, bestValue)
+        };
+      }
+    }
+    return { achievable: false, kind: 'minimum', thresholdValue: null, current, bestValue, bestDistanceM: distanceAt(input, bestValue) };
+  }
+
+  /**
+   * Counter-staff sentence for one requirement
+   */
+  _describeRequirement(input, requirement, targetDistanceM, speedKmh, system = 'metric') {
+    const { label, unit, quantity } = this.inverseInputs[input];
+    const noun = input === 'euGrade' ? 'EU grade' : label.toLowerCase();
+    // Imperial thresholds round to the safe side: a 1.3/32" minimum reads 2/32"
+    const withUnit = (value, rounding = 'nearest') => system === 'imperial' && quantity
+      ? this.formatUnit(value, quantity, 'imperial', null, rounding)
+      : `${value}${unit ? ' ' + unit : ''}`;
+    const within = system === 'imperial'
+      ? `within ${this.formatUnit(targetDistanceM, 'distance', 'imperial', 0)}`
+      : `within ${targetDistanceM}m`;
+    const where = input === 'speedKmh'
+      ? within
+      : `${within} at ${this.formatUnit(speedKmh, 'speed', system)}`;
+
+    if (!requirement.achievable) {
+      const needs = system === 'imperial'
+        ? this.formatUnit(requirement.bestDistanceM, 'distance', 'imperial')
+        : `${requirement.bestDistanceM}m`;
+      return `No ${noun} stops ${where} - best case (${withUnit(requirement.bestValue)}) needs ${needs}`;
+    }
+    if (requirement.anyValueWorks) {
+      return `Any ${noun} in range stops ${where}`;
+    }
+    if (input === 'euGrade') {
+      return `Grade ${requirement.thresholdValue} or better needed to stop ${where}`;
+    }
+    return requirement.kind === 'minimum'
+      ? `Below ${withUnit(requirement.thresholdValue, 'up')} you won't stop ${where}`
+      : `Above ${withUnit(requirement.thresholdValue, 'down')} you won't stop ${where}`;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CALIBRATION REGRESSION + FITTING (data/calibration-tests.json)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Run reference stops through calculate() and score the engine against them
+   *
+   * Each test: { id, source, tyre: { tyreType, euGrade, ... },
+   *   conditions: { speedKmh, surfaceType, waterDepthMm, ...calculate() inputs },
+   *   measured: { metric: 'braking'|'total', distanceM } }
+   *
+   * @param {Array} tests - Reference stops
+   * @param {Object} options - { baseline: { engineVersion, predictions: { id: distanceM } } }
+   * @returns {Object} - Per-test error, RMSE overall/by surface/by tyre type/by
+   *   calibration cell ('era' or 'wet.summer'...),
+   *   drift against the baseline predictions (null without a baseline)
+   */
+  runCalibrationSuite(tests, options = {}) {
+    const { baseline = null } = options;
+
+    const results = tests.map(test => {
+      const tyre = test.tyre || {};
+      const params = { ...test.conditions, _isComparisonCalc: true };
+      if (tyre.tyreType) params.tyreType = tyre.tyreType;
+      if (tyre.euGrade) params.euGrade = tyre.euGrade;
+
+      const result = this.calculate(params);
+      const metric = test.measured.metric === 'total' ? 'total' : 'braking';
+      const predictedM = metric === 'total' ? result.totalStoppingDistanceM : result.brakingDistanceM;
+      const measuredM = test.measured.distanceM;
+      const surface = this.surfaceRegistry.resolve(params.surfaceType || 'ASPHALT_STD');
+
+      return {
+        id: test.id,
+        source: test.source,
+        surfaceType: surface || params.surfaceType,
+        tyreType: result.factors.calibration.tyreType || params.tyreType || 'summer',
+        // 'era': vehicleYear replaced the modern calibration (and any profile)
+        calibration: result.factors.calibration.impact === 'era-adjusted'
+          ? 'era'
+          : `${result.factors.calibration.surfaceCondition}.${result.factors.calibration.tyreType}`,
+        metric,
+        measuredM,
+        predictedM,
+        errorM: this._round(predictedM - measuredM, 1),
+        errorPct: this._round(((predictedM - measuredM) / measuredM) * 100, 1)
+      };
+    });
+
+    const rmse = (rows) => this._round(
+      Math.sqrt(rows.reduce((sum, r) => sum + (r.predictedM - r.measuredM) ** 2, 0) / rows.length), 2);
+    const groupRmse = (key) => {
+      const groups = {};
+      results.forEach(r => { (groups[r[key]] = groups[r[key]] || []).push(r); });
+      return Object.fromEntries(Object.entries(groups).map(([name, rows]) => [name, { count: rows.length, rmseM: rmse(rows) }]));
+    };
+
+    let drift = null;
+    if (baseline && baseline.predictions) {
+      const changed = results
+        .filter(r => baseline.predictions[r.id] !== undefined)
+        .map(r => ({ id: r.id, previousM: baseline.predictions[r.id], currentM: r.predictedM, deltaM: this._round(r.predictedM - baseline.predictions[r.id], 1) }))
+        .filter(d => Math.abs(d.deltaM) >= 0.1);
+      drift = {
+        fromVersion: baseline.engineVersion || null,
+        toVersion: UltimateBrakingPhysics.VERSION,
+        changed,
+        maxDeltaM: changed.reduce((max, d) => Math.max(max, Math.abs(d.deltaM)), 0),
+        newTests: results.filter(r => baseline.predictions[r.id] === undefined).map(r => r.id)
+      };
+    }
+
+    return {
+      engineVersion: UltimateBrakingPhysics.VERSION,
+      count: results.length,
+      results,
+      rmseM: results.length > 0 ? rmse(results) : null,
+      meanAbsErrorPct: results.length > 0
+        ? this._round(results.reduce((sum, r) => sum + Math.abs(r.errorPct), 0) / results.length, 1)
+        : null,
+      bySurface: groupRmse('surfaceType'),
+      byTyreType: groupRmse('tyreType'),
+      byCalibration: groupRmse('calibration'),
+      drift
+    };
+  }
+
+  /**
+   * Apply a locally fitted calibration profile (see fitCalibrationProfile())
+   *
+   * Profile: { name, calibration: { 'wet.summer': 1.08, ... },
+   *   surfaces: { CHIPSEAL: { peak, slide }, ... } }
+   * calibration entries scale the built-in _getRealWorldCalibration()
+   * multiplier for that surface condition (dry/wet/snow/ice) and tyre type;
+   * surfaces entries replace the registry peak/slide for this engine only.
+   *
+   * @param {Object} profile - Calibration profile
+   * @returns {Object} - The profile now in use
+   */
+  loadCalibrationProfile(profile) {
+    const { calibration = {}, surfaces = {} } = profile || {};
+    Object.entries(calibration).forEach(([cell, multiplier]) => {
+      if (!/^(dry|wet|snow|ice)\.(summer|winter|allseason)$/.test(cell)) {
+        throw new Error(`Calibration profile: unknown cell "${cell}" (expected e.g. 'wet.summer')`);
+      }
+      if (typeof multiplier !== 'number' || !(multiplier > 0)) {
+        throw new Error(`Calibration profile: multiplier for ${cell} must be a positive number`);
+      }
+    });
+    Object.entries(surfaces).forEach(([key, values]) => {
+      if (!this.surfaceRegistry.resolve(key)) {
+        throw new Error(`Calibration profile: unknown surface "${key}"`);
+      }
+      if (!(values.peak > 0) || !(values.slide > 0) || values.slide > values.peak) {
+        throw new Error(`Calibration profile: ${key} needs 0 < slide <= peak`);
+      }
+    });
+
+    // Fresh table so aliases pick up the fitted values and clearing restores the registry
+    this.surfaces = this.surfaceRegistry.getPhysicsTable();
+    Object.entries(surfaces).forEach(([key, values]) => {
+      const surface = this.surfaces[this.surfaceRegistry.resolve(key)];
+      surface.peak = values.peak;
+      surface.slide = values.slide;
+    });
+    this._slipCurveCache = {};
+    this.calibrationProfile = { ...profile, calibration, surfaces };
+    return this.calibrationProfile;
+  }
+
+  /**
+   * Back to the built-in calibration and registry surfaces
+   */
+  clearCalibrationProfile() {
+    this.surfaces = this.surfaceRegistry.getPhysicsTable();
+    this._slipCurveCache = {};
+    this.calibrationProfile = null;
+  }
+
+  /**
+   * Fit a calibration profile to measured stops by least squares
+   *
+   * Parameters (each a multiplier, searched in log space 0.5-2×):
+   * - one per dry/wet/snow/ice × tyre type cell present in the stops
+   * - per surface: peak (ABS/threshold stops) and slide (locked-wheel stops);
+   *   with no locked stops slide scales with peak so the slip curve keeps its shape
+   * Cyclic coordinate descent with a golden-section line search minimises
+   * Σ(predicted − measured)². A tiny ridge term keeps parameters the data
+   * cannot separate (a surface only tested in one condition) near 1.
+   * Pre-modern vehicles (vehicleYear era targets) skip the calibration cells.
+   *
+   * @param {Array} stops - Same format as runCalibrationSuite() tests
+   * @param {Object} options - { name, fitSurfaces, fitCalibration, rounds }
+   * @returns {Object} - { profile, parameters, before, after, results }
+   */
+  fitCalibrationProfile(stops, options = {}) {
+    const {
+      name = 'Local calibration',
+      fitSurfaces = true,
+      fitCalibration = true,
+      rounds = 4
+    } = options;
+
+    const previousProfile = this.calibrationProfile;
+    this.clearCalibrationProfile();
+    const before = this.runCalibrationSuite(stops);
+
+    // ─────────────────────────────────────────────────────────────
+    // PARAMETERS PRESENT IN THE DATA
+    // ─────────────────────────────────────────────────────────────
+    const parameters = [];
+    const cells = new Set();
+    const surfaceModes = {};
+    stops.forEach(stop => {
+      const tyre = stop.tyre || {};
+      const params = { ...stop.conditions, _isComparisonCalc: true };
+      if (tyre.tyreType) params.tyreType = tyre.tyreType;
+      const result = this.calculate(params);
+      if (result.factors.calibration.impact !== 'era-adjusted') {
+        cells.add(`${result.factors.calibration.surfaceCondition}.${result.factors.calibration.tyreType}`);
+      }
+      const key = this.surfaceRegistry.resolve(params.surfaceType || 'ASPHALT_STD') || 'ASPHALT_STD';
+      surfaceModes[key] = surfaceModes[key] || { peak: false, slide: false };
+      surfaceModes[key][result.factors.surface.type === 'slide' ? 'slide' : 'peak'] = true;
+    });
+    if (fitCalibration) {
+      [...cells].sort().forEach(cell => parameters.push({ name: `calibration.${cell}`, kind: 'calibration', cell, value: 1 }));
+    }
+    if (fitSurfaces) {
+      Object.entries(surfaceModes).forEach(([key, modes]) => {
+        if (modes.peak) parameters.push({ name: `surfaces.${key}.peak`, kind: 'peak', key, value: 1 });
+        if (modes.slide) parameters.push({ name: `surfaces.${key}.slide`, kind: 'slide', key, value: 1 });
+      });
+    }
+
+    const toProfile = () => {
+      const profile = { name, calibration: {}, surfaces: {} };
+      parameters.forEach(p => {
+        if (p.kind === 'calibration') {
+          profile.calibration[p.cell] = this._round(p.value, 4);
+          return;
+        }
+        const registry = this.surfaceRegistry.get(p.key);
+        const entry = profile.surfaces[p.key] || (profile.surfaces[p.key] = { peak: registry.peak, slide: registry.slide });
+        const peakScale = (parameters.find(q => q.kind === 'peak' && q.key === p.key) || { value: 1 }).value;
+        const slideParam = parameters.find(q => q.kind === 'slide' && q.key === p.key);
+        entry.peak = this._round(registry.peak * peakScale, 3);
+        entry.slide = this._round(Math.min(registry.slide * (slideParam ? slideParam.value : peakScale), entry.peak), 3);
+      });
+      return profile;
+    };
+
+    // ─────────────────────────────────────────────────────────────
+    // LEAST SQUARES (coordinate descent, golden section in log space)
+    // ─────────────────────────────────────────────────────────────
+    const meanMeasured = stops.reduce((sum, s) => sum + s.measured.distanceM, 0) / Math.max(1, stops.length);
+    const ridge = 1e-3 * stops.length * meanMeasured * meanMeasured;
+    const objective = () => {
+      this.loadCalibrationProfile(toProfile());
+      const sse = this.runCalibrationSuite(stops).results
+        .reduce((sum, r) => sum + (r.predictedM - r.measuredM) ** 2, 0);
+      return sse + ridge * parameters.reduce((sum, p) => sum + Math.log(p.value) ** 2, 0);
+    };
+
+    const phi = (Math.sqrt(5) - 1) / 2;
+    for (let round = 0; round < rounds && parameters.length > 0 && stops.length > 0; round++) {
+      parameters.forEach(p => {
+        const at = (logValue) => { p.value = Math.exp(logValue); return objective(); };
+        let a = Math.log(0.5);
+        let b = Math.log(2);
+        let c = b - phi * (b - a);
+        let d = a + phi * (b - a);
+        let fc = at(c);
+        let fd = at(d);
+        for (let i = 0; i < 30; i++) {
+          if (fc < fd) {
+            b = d; d = c; fd = fc;
+            c = b - phi * (b - a);
+            fc = at(c);
+          } else {
+            a = c; c = d; fc = fd;
+            d = a + phi * (b - a);
+            fd = at(d);
+          }
+        }
+        p.value = Math.exp((a + b) / 2);
+      });
+    }
+
+    const profile = toProfile();
+    this.loadCalibrationProfile(profile);
+    const after = this.runCalibrationSuite(stops);
+
+    if (previousProfile) this.loadCalibrationProfile(previousProfile);
+    else this.clearCalibrationProfile();
+
+    return {
+      profile: { ...profile, engineVersion: UltimateBrakingPhysics.VERSION, fittedFrom: stops.length },
+      parameters: parameters.map(p => ({ name: p.name, multiplier: this._round(p.value, 4) })),
+      before: { rmseM: before.rmseM, meanAbsErrorPct: before.meanAbsErrorPct },
+      after: { rmseM: after.rmseM, meanAbsErrorPct: after.meanAbsErrorPct },
+      results: after.results
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // MONTE CARLO UNCERTAINTY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Distribution of stopping distances around one scenario
+   *
+   * Each sample varies reaction time (log-normal), μ (normal scatter),
+   * tyre pressure (normal) and water depth (log-normal, wet roads only)
+   * within this.uncertaintyRanges, then runs calculate(). Seeded, so the
+   * same seed always gives the same distribution.
+   *
+   * @param {Object} params - Same inputs as calculate()
+   * @param {Object} options - { samples, seed, thresholdsM | thresholdsFt }
+   * @returns {Object} - Percentiles for total/braking distance and stop probabilities
+   */
+  calculateDistribution(params, options = {}) {
+    const {
+      samples = 1000,
+      seed = 1,
+      thresholdsM = []               // Distances to report P(stop within) for
+    } = this._fieldsToMetric(options, this.optionUnitFields);
+    const {
+      reactionTimeSigma, reactionTimeMinS, reactionTimeMaxS,
+      muScatterSd, pressureSdPsi, waterDepthSigma
+    } = this.uncertaintyRanges;
+
+    params = this.toMetric(params);
+    const random = this._createRandom(seed);
+    const nominal = this.calculate({ ...params, _isComparisonCalc: true });
+    const nominalReactionS = this.getReactionTime(params).seconds;
+    const nominalPsi = params.actualPsi || params.recommendedPsi || 32;
+    const nominalWaterMm = nominal.inputs.waterDepthMm;
+
+    const totals = [];
+    const brakings = [];
+    let stoppedCount = 0;
+    const count = Math.max(1, Math.round(samples));
+
+    for (let i = 0; i < count; i++) {
+      const sample = {
+        ...params,
+        reactionTimeSeconds: Math.min(reactionTimeMaxS, Math.max(reactionTimeMinS,
+          nominalReactionS * Math.exp(reactionTimeSigma * this._sampleNormal(random)))),
+        driverProfile: null,
+        impairments: null,
+        actualPsi: Math.max(10, nominalPsi + pressureSdPsi * this._sampleNormal(random)),
+        _muScatter: Math.max(0.5, 1 + muScatterSd * this._sampleNormal(random)),
+        _isComparisonCalc: true
+      };
+      if (nominalWaterMm > 0) {
+        sample.waterDepthMm = nominalWaterMm * Math.exp(waterDepthSigma * this._sampleNormal(random));
+        sample.weatherPreset = null;
+      }
+
+      const result = this.calculate(sample);
+      if (result.canStop) stoppedCount++;
+      totals.push(result.totalStoppingDistanceM);
+      brakings.push(result.brakingDistanceM);
+    }
+
+    totals.sort((a, b) => a - b);
+    brakings.sort((a, b) => a - b);
+
+    const output = {
+      samples: count,
+      seed,
+      nominalTotalM: nominal.totalStoppingDistanceM,
+      totalStoppingDistanceM: this._summariseSamples(totals),
+      brakingDistanceM: this._summariseSamples(brakings),
+      canStopProbability: this._round(stoppedCount / count, 3),
+      stopProbabilities: (Array.isArray(thresholdsM) ? thresholdsM : [thresholdsM]).map(distanceM => ({
+        distanceM: this._round(distanceM, 2),
+        probability: this.getStopProbability(totals, distanceM)
+      }))
+    };
+    if (params.units === 'imperial') {
+      output.imperial = {
+        ...this._toImperialFields(output, this.outputUnitFields.calculateDistribution),
+        stopProbabilities: output.stopProbabilities.map(({ distanceM, probability }) => ({
+          distanceFt: this._round(this.convertUnit(distanceM, 'distance', 'imperial'), 1),
+          probability
+        }))
+      };
+    }
+    return output;
+  }
+
+  /**
+   * Share of sorted sample distances at or below a distance
+   */
+  getStopProbability(sortedDistancesM, distanceM) {
+    if (!sortedDistancesM || sortedDistancesM.length === 0) return 0;
+    let lo = 0;
+    let hi = sortedDistancesM.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sortedDistancesM[mid] <= distanceM) lo = mid + 1;
+      else hi = mid;
+    }
+    return this._round(lo / sortedDistancesM.length, 3);
+  }
+
+  /**
+   * Mean, spread and percentiles of sorted sample values
+   */
+  _summariseSamples(sorted) {
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / n;
+    const percentile = (p) => {
+      const index = (n - 1) * p;
+      const lower = Math.floor(index);
+      const upper = Math.min(n - 1, lower + 1);
+      return this._round(sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower), 1);
+    };
+
+    return {
+      mean: this._round(mean, 1),
+      stdDev: this._round(Math.sqrt(variance), 1),
+      min: sorted[0],
+      max: sorted[n - 1],
+      p5: percentile(0.05),
+      p10: percentile(0.10),
+      p25: percentile(0.25),
+      p50: percentile(0.50),
+      p75: percentile(0.75),
+      p90: percentile(0.90),
+      p95: percentile(0.95),
+      sortedM: sorted
+    };
+  }
+
+  /**
+   * Seeded PRNG (mulberry32) - repeatable sample sets
+   */
+  _createRandom(seed) {
+    let state = (seed >>> 0) || 1;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Standard normal sample (Box-Muller)
+   */
+  _sampleNormal(random) {
+    const u1 = Math.max(1e-12, random());
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BRAKE THERMAL MODEL (fade derived from the drive)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Fade level (0-10) for a front disc temperature
+   */
+  getFadeLevelForTemp(brakeTempC) {
+    const { fadeOnsetC, degreesPerFadeLevel } = this.brakeThermal;
+    return Math.max(0, Math.min(10, (brakeTempC - fadeOnsetC) / degreesPerFadeLevel));
+  }
+
+  /**
+   * Disc temperature matching a fade level (inverse of getFadeLevelForTemp)
+   * Level 0 = brakes at ambient temperature
+   */
+  getBrakeTempForFadeLevel(fadeLevel, ambientTempC = 20) {
+    if (fadeLevel <= 0) return ambientTempC;
+    const { fadeOnsetC, degreesPerFadeLevel } = this.brakeThermal;
+    return fadeOnsetC + Math.min(10, fadeLevel) * degreesPerFadeLevel;
+  }
+
+  /**
+   * Advance the disc temperature through one driving event
+   *
+   *   'stop'    - { fromSpeedKmh, toSpeedKmh, massKg }: ½m(v1² - v2²) into the discs
+   *   'descent' - { dropM, distanceM, speedKmh, massKg }: held at constant speed,
+   *               potential energy not taken by rolling + drag goes into the discs
+   *               while airflow cools them
+   *   'cool'    - { durationS, speedKmh }: driving (or parked) without braking
+   *
+   * @param {number|null} brakeTempC - Current disc temperature (null = ambient)
+   * @param {Object} event - Event type and inputs (all take ambientTempC)
+   * @returns {Object} - New temperature, energy absorbed and resulting fade
+   */
+  updateBrakeTemperature(brakeTempC, event = {}) {
+    const { type = 'stop', massKg = 1500, ambientTempC = 20 } = event;
+    const { discMassKg, specificHeatJkgK, frontEnergyShare } = this.brakeThermal;
+    const heatCapacity = discMassKg * specificHeatJkgK;
+
+    let tempC = brakeTempC !== null && brakeTempC !== undefined ? brakeTempC : ambientTempC;
+    let energyJ = 0;
+
+    if (type === 'stop') {
+      const { fromSpeedKmh = 100, toSpeedKmh = 0 } = event;
+      const v1 = fromSpeedKmh / 3.6;
+      const v2 = Math.max(0, toSpeedKmh) / 3.6;
+      energyJ = 0.5 * massKg * Math.max(0, v1 * v1 - v2 * v2);
+      tempC += (energyJ * frontEnergyShare) / heatCapacity;
+    } else if (type === 'descent') {
+      const { dropM = 0, distanceM = 1000, speedKmh = 60 } = event;
+      const Crr = event.rollingResistanceCoef || this.fuelGradeRRC['C'];
+      const v = Math.max(1, speedKmh / 3.6);
+      const durationS = distanceM / v;
+      const { airDensity, defaultCd, defaultFrontalArea } = this.airDrag;
+      const dragForceN = 0.5 * airDensity * defaultCd * defaultFrontalArea * v * v;
+      energyJ = Math.max(0, massKg * this.g * dropM - (Crr * massKg * this.g + dragForceN) * distanceM);
+      tempC = this._coolBrakes(tempC, durationS, v, ambientTempC, (energyJ * frontEnergyShare) / durationS);
+    } else if (type === 'cool') {
+      const { durationS = 60, speedKmh = 0 } = event;
+      tempC = this._coolBrakes(tempC, durationS, speedKmh / 3.6, ambientTempC, 0);
+    }
+
+    const fade = this._getBrakeFadeFactor(this.getFadeLevelForTemp(tempC), tempC);
+    return {
+      type,
+      brakeTempC: this._round(tempC, 1),
+      energyKJ: this._round(energyJ / 1000, 1),
+      fadeLevel: fade.fadeLevel,
+      fadeFactor: fade.value,
+      status: fade.status
+    };
+  }
+
+  /**
+   * Newton cooling with optional constant heat input:
+   *   T(t) = Ta + Pτ/C + (T0 - Ta - Pτ/C)·e^(-t/τ),  τ = τ_still / (1 + v/v_ref)
+   */
+  _coolBrakes(tempC, durationS, speedMs, ambientTempC, heatInputW = 0) {
+    const { discMassKg, specificHeatJkgK, stillAirTimeConstantS, airflowRefMs } = this.brakeThermal;
+    const tau = stillAirTimeConstantS / (1 + Math.max(0, speedMs) / airflowRefMs);
+    const equilibriumRise = (heatInputW * tau) / (discMassKg * specificHeatJkgK);
+    const target = ambientTempC + equilibriumRise;
+    return target + (tempC - target) * Math.exp(-Math.max(0, durationS) / tau);
+  }
+
+  /**
+   * Chain several emergency stops and show fade building up
+   *
+   * Each stop runs calculate() with the current disc temperature, then heats
+   * the discs with the stop's energy. Between stops the car drives on for
+   * intervalS (cooling in the airflow) or descends descentDropM (heating).
+   * An unbraked trailer (towedMassKg) adds its energy to the car's brakes.
+   *
+   * @param {Object} params - Same inputs as calculate()
+   * @param {Object} options - { stops, intervalS, cruiseSpeedKmh, descentDropM, towedMassKg, startTempC }
+   * @returns {Object} - Per-stop distances + temperatures and a fade summary
+   */
+  simulateRepeatedStops(params, options = {}) {
+    params = this.toMetric(params);
+    const speedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+    const ambientTempC = params.ambientTempC !== undefined ? params.ambientTempC : 20;
+    const {
+      stops = 6,
+      intervalS = 30,              // Driving time between stops
+      cruiseSpeedKmh = 60,         // Speed while driving between stops
+      descentDropM = 0,            // Height lost between stops (mountain descent)
+      towedMassKg = 0,             // Unbraked trailer mass
+      startTempC = params.brakeTempC !== undefined && params.brakeTempC !== null
+        ? params.brakeTempC
+        : this.getBrakeTempForFadeLevel(params.brakeFadeLevel || 0, ambientTempC)
+    } = options;
+
+    const massKg = (params.loadedMassKg || params.vehicleMassKg || 1500) + towedMassKg;
+    const results = [];
+    let tempC = startTempC;
+
+    for (let i = 0; i < stops; i++) {
+      const result = this.calculate({ ...params, speedKmh, brakeTempC: tempC, _isComparisonCalc: true });
+      const stop = {
+        stop: i + 1,
+        brakeTempBeforeC: this._round(tempC, 1),
+        fadeLevel: result.factors.brakeFade.fadeLevel,
+        fadeFactor: result.factors.brakeFade.value,
+        status: result.factors.brakeFade.status,
+        brakingDistanceM: result.brakingDistanceM,
+        totalStoppingDistanceM: result.totalStoppingDistanceM
+      };
+
+      tempC = this.updateBrakeTemperature(tempC, {
+        type: 'stop', fromSpeedKmh: speedKmh, massKg, ambientTempC
+      }).brakeTempC;
+      stop.brakeTempAfterC = tempC;
+      results.push(stop);
+
+      // Drive on to the next stop
+      if (i < stops - 1) {
+        tempC = this.updateBrakeTemperature(tempC, descentDropM > 0
+          ? { type: 'descent', dropM: descentDropM, distanceM: (cruiseSpeedKmh / 3.6) * intervalS, speedKmh: cruiseSpeedKmh, massKg, ambientTempC }
+          : { type: 'cool', durationS: intervalS, speedKmh: cruiseSpeedKmh, ambientTempC }
+        ).brakeTempC;
+      }
+    }
+
+    const first = results[0];
+    const last = results[results.length - 1];
+    const fadeOnset = results.find(stop => stop.fadeFactor < 0.95);
+
+    return {
+      stops: results,
+      peakTempC: Math.max(...results.map(stop => stop.brakeTempAfterC)),
+      finalTempC: tempC,
+      fadeOnsetStop: fadeOnset ? fadeOnset.stop : null,
+      distanceIncreasePercent: first && first.brakingDistanceM > 0
+        ? this._round(((last.brakingDistanceM - first.brakingDistanceM) / first.brakingDistanceM) * 100, 1)
+        : 0
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CUSTOM FACTORS (plugins)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Register a factor that is multiplied into μ_effective
+   *
+   * fn(resolvedParams, builtInFactors) returns { value, impact, explanation }
+   * (plus optional status, warning, icon) or just the value. resolvedParams
+   * are the calculate() inputs after defaults, weather presets and the
+   * gradient profile are applied. Registered factors appear in result.factors
+   * and, when their impact is 'severe' or 'moderate', in safety.warnings.
+   * A factor that throws or returns no positive finite value is skipped
+   * (value 1, with its error) and reported in safety.warnings.
+   *
+   * @param {string} name - Key in result.factors (e.g. 'shockAbsorbers')
+   * @param {Function} fn - Factor function
+   * @param {Object} options - { label, icon, inputs } - inputs are inputSchema
+   *   entries for the plugin's own params, so validate() knows them
+   * @returns {Object} - { name, label, inputs }
+   */
+  registerFactor(name, fn, options = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('registerFactor: name must be a non-empty string');
+    }
+    if (typeof fn !== 'function') {
+      throw new TypeError(`registerFactor: factor "${name}" must be a function`);
+    }
+    if (this.builtInFactorNames.includes(name)) {
+      throw new Error(`registerFactor: "${name}" is a built-in factor`);
+    }
+
+    const { label = name, icon = null, inputs = {} } = options;
+    const previous = this.customFactors[name];
+    Object.keys(inputs).forEach(key => {
+      const owned = previous && previous.inputs.includes(key);
+      if (this.inputSchema[key] && !owned) {
+        throw new Error(`registerFactor: input "${key}" is already defined`);
+      }
+    });
+
+    if (previous) this.unregisterFactor(name);
+    Object.assign(this.inputSchema, inputs);
+    this.customFactors[name] = { fn, label, icon, inputs: Object.keys(inputs) };
+    return { name, label, inputs: Object.keys(inputs) };
+  }
+
+  /**
+   * Remove a registered factor (and its inputSchema entries)
+   * @returns {boolean} - Whether the factor was registered
+   */
+  unregisterFactor(name) {
+    const plugin = this.customFactors[name];
+    if (!plugin) return false;
+    plugin.inputs.forEach(key => delete this.inputSchema[key]);
+    delete this.customFactors[name];
+    return true;
+  }
+
+  /**
+   * Registered factor names in the order they are applied
+   */
+  getRegisteredFactors() {
+    return Object.entries(this.customFactors).map(([name, plugin]) => ({
+      name,
+      label: plugin.label,
+      inputs: [...plugin.inputs]
+    }));
+  }
+
+  /**
+   * Run one plugin and normalise its result to the built-in factor shape
+   */
+  _getCustomFactor(name, resolvedParams, builtInFactors) {
+    const plugin = this.customFactors[name];
+    const skipped = (error) => ({
+      value: 1.0,
+      impact: 'minimal',
+      error,
+      label: plugin.label,
+      icon: plugin.icon,
+      custom: true
+    });
+
+    let returned;
+    try {
+      returned = plugin.fn(resolvedParams, builtInFactors);
+    } catch (err) {
+      return skipped(`threw: ${err && err.message ? err.message : err}`);
+    }
+    const result = typeof returned === 'number' ? { value: returned } : (returned || {});
+    const value = result.value;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      const got = typeof returned === 'number' || returned === null || returned === undefined ? returned : `{ value: ${value} }`;
+      return skipped(`returned ${got} - expected a positive number or { value, ... }`);
+    }
+
+    return {
+      ...result,
+      value,
+      impact: result.impact || (value < 0.80 ? 'severe' : value < 0.95 ? 'moderate' : value > 1.05 ? 'beneficial' : 'minimal'),
+      explanation: result.explanation || this._getFactorExplanation(name),
+      label: plugin.label,
+      icon: result.icon || plugin.icon,
+      custom: true
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // FACTOR CALCULATION METHODS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Factor 1: Surface friction from the slip-ratio force curve
+   *
+   * The operating slip depends on how the wheel is braked:
+   * - abs:       controller cycles around peak slip → peak μ
+   * - locked:    slip = 1 → sliding μ
+   * - threshold: driver holds thresholdSkill × peak slip (under-braking),
+   *              never below locked-wheel grip (see _getThresholdSlip)
+   *
+   * A slipRatio of 0 or less (free-rolling wheel) is ignored with a warning.
+   *
+   * ABS cycling losses are reported (absCycleEfficiency) but not applied:
+   * the real-world calibration was fitted to ABS-equipped test cars.
+   */
+  _getSurfaceFriction(surfaceType, hasABS, options = {}) {
+    const surface = this.surfaces[surfaceType] || this.surfaces['ASPHALT_STD'];
+    const curve = this.getSlipCurve(surfaceType);
+    const { thresholdSkill = 0.7, slipRatio = null } = options;
+
+    let mode = options.brakingMode || (hasABS ? 'abs' : 'locked');
+    const unknownBrakingMode = this.inputSchema.brakingMode.values.includes(mode) ? null : mode;
+    const slipGiven = slipRatio !== null && slipRatio !== undefined;
+    let slip;
+    if (slipGiven && slipRatio > 0) {
+      mode = 'fixed';
+      slip = Math.min(1, slipRatio);
+    } else if (mode === 'threshold') {
+      slip = this._getThresholdSlip(curve, thresholdSkill);
+    } else if (mode === 'locked') {
+      slip = 1;
+    } else {
+      mode = 'abs';
+      slip = curve.peakSlip;
+    }
+
+    const value = this._slipCurveFriction(curve, slip);
+
+    return {
+      value,
+      type: mode === 'abs' ? 'peak' : slip >= 1 ? 'slide' : 'partial',
+      brakingMode: mode,
+      slipRatio: this._round(slip, 3),
+      peakSlip: curve.peakSlip,
+      percentOfPeak: Math.round((value / surface.peak) * 100),
+      absCycleEfficiency: mode === 'abs' ? this._getAbsCycleEfficiency(surfaceType) : null,
+      unknownBrakingMode,
+      ignoredSlipRatio: slipGiven && !(slipRatio > 0) ? slipRatio : null,
+      surfaceName: surface.name,
+      impact: value < 0.5 ? 'severe' : value < 0.7 ? 'moderate' : 'minimal'
+    };
+  }
+
+  /**
+   * Factor 2: Weather/water depth
+   * Smooth piecewise function based on research
+   */
+  _getWeatherFactor(waterMm) {
+    let value;
+    let description;
+    
+    if (waterMm <= 0) {
+      value = 1.00;
+      description = 'Dry surface';
+    } else if (waterMm <= 0.2) {
+      value = 1.00 - (waterMm * 0.50);  // 1.00 → 0.90
+      description = 'Damp - minimal film';
+    } else if (waterMm <= 0.5) {
+      value = 0.90 - ((waterMm - 0.2) * 0.50);  // 0.90 → 0.75
+      description = 'Light rain';
+    } else if (waterMm <= 1.0) {
+      value = 0.75 - ((waterMm - 0.5) * 0.30);  // 0.75 → 0.60
+      description = 'Moderate rain';
+    } else if (waterMm <= 2.0) {
+      value = 0.60 - ((waterMm - 1.0) * 0.15);  // 0.60 → 0.45
+      description = 'Heavy rain';
+    } else if (waterMm <= 3.0) {
+      value = 0.45 - ((waterMm - 2.0) * 0.12);  // 0.45 → 0.33
+      description = 'Very heavy rain';
+    } else if (waterMm <= 5.0) {
+      value = 0.33 - ((waterMm - 3.0) * 0.08);  // 0.33 → 0.17
+      description = 'Standing water';
+    } else {
+      value = Math.max(0.05, 0.17 - ((waterMm - 5.0) * 0.04));
+      description = 'Flooded';
+    }
+    
+    return {
+      value: Math.max(0.05, value),
+      waterMm,
+      description,
+      impact: value < 0.5 ? 'severe' : value < 0.75 ? 'moderate' : 'minimal'
+    };
+  }
+
+  /**
+   * Factor 3: EU Wet Grip Grade
+   * Grade effect is reduced in dry conditions (40% as pronounced)
+   */
+  _getGradeFactor(grade, isDry) {
+    const gradeData = this.euGrades[grade] || this.euGrades['C'];
+    const wetFactor = gradeData.wet;
+    
+    // In dry conditions, grade differences are ~40% as pronounced
+    const value = isDry 
+      ? 1.0 + (wetFactor - 1.0) * gradeData.dryAdjust 
+      : wetFactor;
+    
+    return {
+      value,
+      grade,
+      label: gradeData.label,
+      color: gradeData.color,
+      condition: isDry ? 'dry' : 'wet',
+      impact: value < 0.85 ? 'severe' : value < 0.95 ? 'moderate' : 'minimal'
+    };
+  }
+
+  /**
+   * Factor 3: EU Wet Grip Grade (BLENDED version for smooth damp transition)
+   * Interpolates between dry and wet behavior based on dampBlend (0-1)
+   */
+  _getGradeFactorBlended(grade, dampBlend) {
+    const gradeData = this.euGrades[grade] || this.euGrades['C'];
+    const wetFactor = gradeData.wet;
+    const dryFactor = 1.0 + (wetFactor - 1.0) * gradeData.dryAdjust;
+    
+    // Blend between dry (0) and wet (1)
     const value = dryFactor + (wetFactor - dryFactor) * dampBlend;
     
     let condition;
@@ -1168,8 +3975,10 @@ class UltimateBrakingPhysics {
    * Factor 8: Temperature & Compound Type
    * Summer tyres lose grip below 7°C
    * Winter tyres lose grip above 15°C
+   * With a tread temperature, the compound's operating window replaces the
+   * ambient-air curve (a tread inside its window has full grip)
    */
-  _getTemperatureFactor(tempC, tyreType = 'summer') {
+  _getTemperatureFactor(tempC, tyreType = 'summer', treadState = null) {
     let value;
     let status;
     let optimalRange;
@@ -1241,13 +4050,92 @@ class UltimateBrakingPhysics {
         break;
     }
     
+    // Tread vs compound operating window
+    let windowFactor = 1.0;
+    if (treadState) {
+      const [windowLowC, windowHighC] = treadState.compound.operatingWindowC;
+      const treadC = treadState.treadTempC;
+      if (treadC < windowLowC) {
+        windowFactor = Math.max(0.60, 1 - treadState.compound.coldSensitivity * (windowLowC - treadC));
+      } else if (treadC > windowHighC) {
+        windowFactor = Math.max(0.85, 1 - this.tyreThermal.hotPenaltyPerC * (treadC - windowHighC));
+      }
+      value = windowFactor;
+      if (treadC < windowLowC) {
+        status = `Tread ${Math.round(treadC)}°C - below ${treadState.compound.name} window (${windowLowC}-${windowHighC}°C), tyres still cold`;
+      } else if (treadC > windowHighC) {
+        status = `Tread ${Math.round(treadC)}°C - above ${treadState.compound.name} window, compound overheating`;
+      } else {
+        status = `Tread ${Math.round(treadC)}°C - inside ${treadState.compound.name} window (${windowLowC}-${windowHighC}°C)`;
+      }
+    }
+
+    return {
+      value,
+      tempC,
+      treadTempC: treadState ? this._round(treadState.treadTempC, 1) : null,
+      operatingWindowC: treadState ? treadState.compound.operatingWindowC : null,
+      windowFactor: this._round(windowFactor, 3),
+      tyreType,
+      optimalRange,
+      status,
+      impact: value < 0.80 ? 'severe' : value < 0.95 ? 'moderate' : 'minimal'
+    };
+  }
+
+  /**
+   * Estimate tread temperature from the drive before the stop
+   *
+   * Each leg of speedHistory moves the tread towards its steady temperature:
+   *   T_target = ambient + rise₁₀₀ · (v/100)^0.8 · hysteresis · (rec/actual)^1.5
+   *   T = T_target + (T - T_target)·e^(-t/τ)
+   * Stationary legs cool back towards ambient; a wet road halves the rise.
+   *
+   * @param {Object} options - { ambientTempC, speedHistory, actualPsi, recommendedPsi,
+   *                             tyreCompound, waterDepthMm, startTreadTempC }
+   * @returns {Object} - Tread temperature and where it sits in the compound window
+   */
+  estimateTreadTemperature(options = {}) {
+    const {
+      ambientTempC = 20,
+      speedHistory = [],
+      actualPsi = null,
+      recommendedPsi = 32,
+      tyreCompound = 'touring',
+      waterDepthMm = 0,
+      startTreadTempC = null
+    } = options;
+    const {
+      riseAt100KmhC, speedExponent, warmUpTimeConstantS, coolDownTimeConstantS,
+      wetCoolingFactor, pressureExponent
+    } = this.tyreThermal;
+
+    const compound = this._getCompoundFactor(tyreCompound, waterDepthMm > 0.5);
+    const psi = actualPsi || recommendedPsi;
+    const pressureMultiplier = Math.pow(recommendedPsi / Math.max(10, psi), pressureExponent);
+    const wetMultiplier = waterDepthMm > 0 ? wetCoolingFactor : 1.0;
+
+    let treadC = startTreadTempC !== null ? startTreadTempC : ambientTempC;
+    (speedHistory || []).forEach(leg => {
+      const speedKmh = Math.max(0, leg.speedKmh || 0);
+      const durationS = Math.max(0, leg.durationS || 0);
+      const rising = speedKmh > 0;
+      const target = rising
+        ? ambientTempC + riseAt100KmhC * Math.pow(speedKmh / 100, speedExponent) *
+          compound.hysteresis * pressureMultiplier * wetMultiplier
+        : ambientTempC;
+      const tau = rising ? warmUpTimeConstantS : coolDownTimeConstantS;
+      treadC = target + (treadC - target) * Math.exp(-durationS / tau);
+    });
+
+    const [windowLowC, windowHighC] = compound.operatingWindowC;
     return {
-      value,
-      tempC,
-      tyreType,
-      optimalRange,
-      status,
-      impact: value < 0.80 ? 'severe' : value < 0.95 ? 'moderate' : 'minimal'
+      treadTempC: this._round(treadC, 1),
+      ambientTempC,
+      riseC: this._round(treadC - ambientTempC, 1),
+      operatingWindowC: compound.operatingWindowC,
+      inWindow: treadC >= windowLowC && treadC <= windowHighC,
+      belowWindowC: this._round(Math.max(0, windowLowC - treadC), 1)
     };
   }
 
@@ -1294,10 +4182,14 @@ class UltimateBrakingPhysics {
   /**
    * Factor 10: Vehicle Load
    * Theoretically mass cancels, but in practice heavier loads
-   * slightly reduce effective friction due to tyre load sensitivity
+   * slightly reduce effective friction due to tyre load sensitivity.
+   * Past the tyres' rated load (see _getTyreRating) grip falls faster.
    */
-  _getLoadFactor(loadedMassKg, referenceMassKg) {
-    if (loadedMassKg <= referenceMassKg) {
+  _getLoadFactor(loadedMassKg, referenceMassKg, tyreRating = null) {
+    const tyreOverload = tyreRating && tyreRating.overloadRatio > 0 ? tyreRating.overloadRatio : 0;
+    const overspeed = tyreRating && tyreRating.overspeedRatio > 0 ? tyreRating.overspeedRatio : 0;
+
+    if (loadedMassKg <= referenceMassKg && tyreOverload === 0 && overspeed === 0) {
       return {
         value: 1.00,
         loadedMassKg,
@@ -1308,20 +4200,94 @@ class UltimateBrakingPhysics {
     }
     
     // ~1.5% grip loss per 20% overload (tyre load sensitivity)
-    const overloadRatio = (loadedMassKg - referenceMassKg) / referenceMassKg;
-    const value = Math.max(0.85, 1.0 - (overloadRatio * 0.075));
+    const overloadRatio = Math.max(0, (loadedMassKg - referenceMassKg) / referenceMassKg);
+    let value = Math.max(0.85, 1.0 - (overloadRatio * 0.075));
     const overloadPercent = Math.round(overloadRatio * 100);
+    let status = overloadPercent > 30 ? 'Significantly overloaded' : 'Loaded';
+
+    // The larger of the overload (needs a load index) and the overspeed itself
+    const overloadLoss = tyreOverload * this.tyreRatings.overloadGripLoss;
+    const overspeedLoss = overspeed * this.tyreRatings.overspeedGripLoss;
+    if (overloadLoss > 0 && overloadLoss >= overspeedLoss) {
+      value *= Math.max(0.85, 1.0 - overloadLoss);
+      status = `Tyres ${Math.round(tyreOverload * 100)}% over rated load (${Math.round(tyreRating.cornerLoadKg)}kg on a ${Math.round(tyreRating.usableLoadKg)}kg rating)`;
+    } else if (overspeedLoss > 0) {
+      value *= Math.max(0.85, 1.0 - overspeedLoss);
+      status = `Tyres ${Math.round(overspeed * 100)}% over the ${tyreRating.speedSymbol} speed rating`;
+    }
     
     return {
       value,
       loadedMassKg,
       referenceMassKg,
       overloadPercent,
-      status: overloadPercent > 30 ? 'Significantly overloaded' : 'Loaded',
+      tyreOverloadPercent: Math.round(tyreOverload * 100),
+      status,
       impact: value < 0.95 ? 'moderate' : 'minimal'
     };
   }
 
+  /**
+   * Sidewall load index + speed symbol against the heaviest corner and speed
+   *
+   * Corner load uses the static axle split (frontWeightRatio, payloadRearShare).
+   * Above the speed rating the usable load falls with overspeed², so
+   * overspeed alone can overload a tyre. Without a load index only the
+   * overspeed is reported.
+   *
+   * @returns {Object|null} - null when neither rating is given
+   */
+  _getTyreRating(loadIndex, speedSymbol, { speedKmh, vehicleMassKg, loadedMassKg, frontWeightRatio = 0.6, payloadRearShare = 0.5 }) {
+    if (loadIndex === null && speedSymbol === null) return null;
+
+    const payloadKg = Math.max(0, loadedMassKg - vehicleMassKg);
+    const frontAxleKg = vehicleMassKg * frontWeightRatio + payloadKg * (1 - payloadRearShare);
+    const rearAxleKg = loadedMassKg - frontAxleKg;
+    const cornerLoadKg = Math.max(frontAxleKg, rearAxleKg) / 2;
+
+    const ratedLoadKg = loadIndex !== null ? (this.loadIndexKg[loadIndex] || null) : null;
+    const ratedSpeedKmh = speedSymbol !== null ? (this.speedSymbols[speedSymbol] || null) : null;
+    const speedUse = ratedSpeedKmh ? speedKmh / ratedSpeedKmh : null;
+    const usableLoadKg = ratedLoadKg !== null
+      ? ratedLoadKg / Math.pow(Math.max(1, speedUse || 0), 2)
+      : null;
+
+    return {
+      loadIndex,
+      speedSymbol,
+      cornerLoadKg,
+      ratedLoadKg,
+      usableLoadKg,
+      ratedSpeedKmh,
+      loadUse: ratedLoadKg ? cornerLoadKg / ratedLoadKg : null,
+      speedUse,
+      overspeedRatio: speedUse !== null ? Math.max(0, speedUse - 1) : null,
+      overloadRatio: usableLoadKg ? cornerLoadKg / usableLoadKg - 1 : null
+    };
+  }
+
+  /**
+   * Heat build-up vs the tyre's rated load/speed design point
+   * A missing speed symbol counts as used exactly to its limit; without a
+   * load index there is no rated load to measure the build-up against.
+   */
+  _getHeatFailureRisk(tyreRating) {
+    if (!tyreRating) {
+      return { level: 'NONE', stress: null, note: 'No load index or speed symbol given' };
+    }
+    if (tyreRating.loadUse === null) {
+      return { level: 'NONE', stress: null, note: 'No load index given - heat build-up not rated' };
+    }
+
+    const { loadExponent, speedExponent, minSpeedUse, heatLevels } = this.tyreRatings;
+    const loadUse = tyreRating.loadUse;
+    const speedUse = tyreRating.speedUse !== null ? Math.max(minSpeedUse, tyreRating.speedUse) : 1.0;
+    const stress = Math.pow(loadUse, loadExponent) * Math.pow(speedUse, speedExponent);
+    const { level } = heatLevels.find(band => stress <= band.max);
+
+    return { level, stress, loadUse, speedUse };
+  }
+
   /**
    * Factor 11: Road Slope/Gradient
    * Uphill = +1 (helps braking), Downhill = -1 (hurts braking)
@@ -1354,7 +4320,7 @@ class UltimateBrakingPhysics {
    * Repeated or sustained braking heats brake components, reducing effectiveness
    * Scale 0-10: 0 = cold brakes, 10 = severely faded
    */
-  _getBrakeFadeFactor(fadeLevel) {
+  _getBrakeFadeFactor(fadeLevel, brakeTempC = null) {
     const level = Math.max(0, Math.min(10, fadeLevel));
     
     // Brake fade follows exponential decay pattern
@@ -1386,7 +4352,8 @@ class UltimateBrakingPhysics {
     
     return {
       value,
-      fadeLevel: level,
+      fadeLevel: this._round(level, 1),
+      brakeTempC: brakeTempC !== null ? Math.round(brakeTempC) : null,
       status,
       gripLossPercent: Math.round((1 - value) * 100),
       impact: value < 0.80 ? 'severe' : value < 0.95 ? 'moderate' : 'minimal'
@@ -1403,43 +4370,64 @@ class UltimateBrakingPhysics {
         dry: 0.92,
         wet: 0.88,
         name: 'Economy/Budget',
-        description: 'Harder compound, longer life, less grip'
+        description: 'Harder compound, longer life, less grip',
+        operatingWindowC: [5, 75],
+        coldSensitivity: 0.0015,
+        hysteresis: 0.8
       },
       'touring': {
         dry: 1.00,
         wet: 1.00,
         name: 'Touring/Standard',
-        description: 'Balanced performance and longevity'
+        description: 'Balanced performance and longevity',
+        operatingWindowC: [10, 80],
+        coldSensitivity: 0.002,
+        hysteresis: 1.0
       },
       'performance': {
         dry: 1.06,
         wet: 1.04,
         name: 'Performance',
-        description: 'Softer compound, better grip, faster wear'
+        description: 'Softer compound, better grip, faster wear',
+        operatingWindowC: [20, 90],
+        coldSensitivity: 0.003,
+        hysteresis: 1.15
       },
       'uhp': {
         dry: 1.12,
         wet: 1.06,
         name: 'Ultra High Performance',
-        description: 'Maximum dry grip, good wet performance'
+        description: 'Maximum dry grip, good wet performance',
+        operatingWindowC: [30, 95],
+        coldSensitivity: 0.004,
+        hysteresis: 1.3
       },
       'track': {
         dry: 1.25,
         wet: 0.85,  // Track tyres often poor in wet!
         name: 'Track/Semi-Slick',
-        description: 'Extreme dry grip, minimal tread for wet'
+        description: 'Extreme dry grip, minimal tread for wet',
+        operatingWindowC: [55, 110],
+        coldSensitivity: 0.006,
+        hysteresis: 1.5
       },
       'mud': {
         dry: 0.85,
         wet: 0.95,
         name: 'Mud Terrain',
-        description: 'Aggressive tread, less road contact'
+        description: 'Aggressive tread, less road contact',
+        operatingWindowC: [5, 75],
+        coldSensitivity: 0.0015,
+        hysteresis: 1.1
       },
       'at': {
         dry: 0.90,
         wet: 0.92,
         name: 'All Terrain',
-        description: 'Compromise for on/off road use'
+        description: 'Compromise for on/off road use',
+        operatingWindowC: [5, 75],
+        coldSensitivity: 0.0015,
+        hysteresis: 1.0
       }
     };
     
@@ -1451,6 +4439,9 @@ class UltimateBrakingPhysics {
       compound,
       name: data.name,
       description: data.description,
+      operatingWindowC: data.operatingWindowC,   // Tread temperature for full grip
+      coldSensitivity: data.coldSensitivity,     // Grip loss per °C below the window
+      hysteresis: data.hysteresis,               // Relative heat build-up when rolling
       condition: isWet ? 'wet' : 'dry',
       impact: value < 0.90 ? 'moderate' : 'minimal'
     };
@@ -1558,6 +4549,367 @@ class UltimateBrakingPhysics {
     };
   }
 
+  /**
+   * Factor 18: Axle load transfer + brake bias
+   *
+   * Braking at a (in g) moves load forward: ΔN/mg = a·h/L
+   * Front limit:  β·a   ≤ μf·(ψf + a·h/L)   →  a ≤ μf·ψf / (β - μf·h/L)
+   * Rear limit:   (1-β)·a ≤ μr·(ψr - a·h/L) →  a ≤ μr·ψr / ((1-β) + μr·h/L)
+   *
+   * ABS (or brakeBias = null, ideal EBD proportioning) lets both axles
+   * saturate: a = (μf·ψf + μr·ψr) / (1 - (μf - μr)·h/L)
+   * Without ABS a fixed bias stops at the first axle to lock.
+   *
+   * Value is the achievable decel relative to a point mass with uniform μ,
+   * so it is exactly 1.0 for equal grip and ideal proportioning.
+   */
+  _getAxleLoadFactor(options) {
+    const {
+      μ,
+      wheelbaseM,
+      cgHeightM,
+      frontWeightRatio = 0.6,
+      brakeBias = null,
+      hasABS = true,
+      rearGrip = 1.0,
+      vehicleMassKg,
+      loadedMassKg,
+      payloadRearShare = 0.5
+    } = options;
+
+    if (!wheelbaseM || !cgHeightM || !(μ > 0)) {
+      return {
+        value: 1.0,
+        enabled: false,
+        status: 'Point-mass model (no wheelbase / CG height given)',
+        impact: 'minimal'
+      };
+    }
+
+    // Static axle loads including payload placement
+    const payloadKg = Math.max(0, loadedMassKg - vehicleMassKg);
+    const totalKg = vehicleMassKg + payloadKg;
+    const frontStaticKg = vehicleMassKg * frontWeightRatio + payloadKg * (1 - payloadRearShare);
+    const ψf = frontStaticKg / totalKg;
+    const ψr = 1 - ψf;
+    const hL = cgHeightM / wheelbaseM;
+
+    const μf = μ;
+    const μr = μ * rearGrip;
+
+    // Decel (in g) when each axle reaches its grip limit for a given bias
+    const frontLimit = (β) => (β - μf * hL) > 0 ? (μf * ψf) / (β - μf * hL) : Infinity;
+    const rearLimit = (β) => (μr * ψr) / ((1 - β) + μr * hL);
+
+    // Both axles saturated (ABS / ideal proportioning)
+    const aBoth = (μf * ψf + μr * ψr) / (1 - (μf - μr) * hL);
+    const idealBias = (μf * (ψf + aBoth * hL)) / aBoth;
+
+    const bias = brakeBias !== null ? Math.max(0.3, Math.min(0.9, brakeBias)) : idealBias;
+    const aFront = frontLimit(bias);
+    const aRear = rearLimit(bias);
+
+    let aAchieved;
+    if (hasABS || brakeBias === null) {
+      aAchieved = aBoth;
+    } else {
+      aAchieved = Math.min(aFront, aRear, aBoth);
+    }
+
+    let saturatesFirst;
+    if (Math.abs(aFront - aRear) / Math.min(aFront, aRear) < 0.01) saturatesFirst = 'both';
+    else saturatesFirst = aFront < aRear ? 'front' : 'rear';
+
+    // Axle loads at the achieved deceleration
+    const transferKg = totalKg * aAchieved * hL;
+    const frontDynamicKg = frontStaticKg + transferKg;
+    const rearDynamicKg = totalKg - frontDynamicKg;
+
+    // Friction used on each axle at the achieved deceleration (1.0 = at limit)
+    const frontUse = (bias * aAchieved * totalKg) / (μf * Math.max(1, frontDynamicKg));
+    const rearUse = ((1 - bias) * aAchieved * totalKg) / (μr * Math.max(1, rearDynamicKg));
+
+    const value = aAchieved / μ;
+
+    let status;
+    if (saturatesFirst === 'rear') {
+      status = hasABS ? 'Rear axle saturates first - ABS holds it' : 'Rear wheels lock first - spin risk!';
+    } else if (saturatesFirst === 'front') {
+      status = 'Front axle saturates first (stable)';
+    } else {
+      status = 'Balanced - both axles saturate together';
+    }
+
+    return {
+      value,
+      enabled: true,
+      brakeBias: this._round(bias, 3),
+      clampedBrakeBias: brakeBias !== null && brakeBias !== bias ? brakeBias : null,   // Requested bias outside 0.3-0.9
+      idealBias: this._round(idealBias, 3),
+      saturatesFirst,
+      frontLimitG: this._round(Math.min(aFront, 9.99), 3),
+      rearLimitG: this._round(Math.min(aRear, 9.99), 3),
+      frontStaticKg: Math.round(frontStaticKg),
+      rearStaticKg: Math.round(totalKg - frontStaticKg),
+      frontDynamicKg: Math.round(frontDynamicKg),
+      rearDynamicKg: Math.round(rearDynamicKg),
+      transferKg: Math.round(transferKg),
+      gripUsed: this._round(aAchieved / aBoth, 3),   // Share of grip the bias lets you use
+      frontUtilisation: this._round(Math.min(1, frontUse), 2),
+      rearUtilisation: this._round(Math.min(1, rearUse), 2),
+      rearGrip: this._round(rearGrip, 3),
+      status,
+      impact: value < 0.85 ? 'severe' : value < 0.97 ? 'moderate' : 'minimal'
+    };
+  }
+
+  /**
+   * Braking while following a curve (friction ellipse)
+   *
+   *   (ax / μg)² + (ay / μy·g)² ≤ 1,   ay = v² / R
+   *   ax(v) = g·(μ·cosθ·√(1 - u²) + sinθ),   u = v² / (R·μy·g)
+   *
+   * Lateral demand falls as the car slows, so the distance is integrated:
+   *   d = ∫ v / ax(v) dv   (flat road: d = R·μy/(2μ) · asin(u0))
+   * If u0 ≥ 1 the tyres cannot hold the line even without braking.
+   */
+  _getCurveBraking(speedMs, radiusM, μ, ellipseRatio, slopeRad) {
+    const μy = μ * (ellipseRatio || 1.0);
+    const lateralG = (speedMs * speedMs) / (radiusM * this.g);
+    const u0 = lateralG / μy;
+    const cosSlope = Math.cos(slopeRad);
+    const sinSlope = Math.sin(slopeRad);
+    const straightDecel = this.g * (μ * cosSlope + sinSlope);
+
+    const decelAt = (v) => {
+      const u = (v * v) / (radiusM * this.g * μy);
+      return this.g * (μ * cosSlope * Math.sqrt(Math.max(0, 1 - u * u)) + sinSlope);
+    };
+
+    const canHoldCurve = u0 < 1;
+    const remainingDecelerationMs2 = canHoldCurve ? decelAt(speedMs) : 0;
+
+    // Midpoint integration in speed - fine steps near entry where ax is smallest
+    let brakingDistanceM = null;
+    let canStopInCurve = canHoldCurve;
+    if (canHoldCurve) {
+      const steps = 400;
+      const dv = speedMs / steps;
+      brakingDistanceM = 0;
+      for (let i = 0; i < steps; i++) {
+        const v = (i + 0.5) * dv;
+        const a = decelAt(v);
+        if (a <= 0) {
+          canStopInCurve = false;
+          brakingDistanceM = null;
+          break;
+        }
+        brakingDistanceM += (v / a) * dv;
+      }
+    }
+
+    return {
+      lateralG,
+      lateralUtilisation: u0,
+      remainingDecelerationMs2,
+      canHoldCurve,
+      canStopInCurve,
+      brakingDistanceM,
+      straightLineDistanceM: straightDecel > 0 ? (speedMs * speedMs) / (2 * straightDecel) : null,
+      maxCurveSpeedKmh: Math.sqrt(μy * this.g * radiusM) * 3.6
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SLIP-RATIO TYRE FORCE MODEL (Pacejka "magic formula")
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Magic formula fitted to a surface's peak/slide friction
+   *
+   *   μ(κ) = D · sin(C · atan(Bκ - E(Bκ - atan(Bκ))))
+   *
+   * D = peak μ, B places the peak at peakSlip, C is solved so μ(1) = slide.
+   * E = 0 keeps the post-peak fall-off monotonic.
+   *
+   * @param {string} surfaceType - Key into this.surfaces
+   * @returns {Object} - { B, C, D, E, peakSlip, slide }
+   */
+  getSlipCurve(surfaceType) {
+    const key = this.surfaces[surfaceType] ? surfaceType : 'ASPHALT_STD';
+    if (this._slipCurveCache[key]) return this._slipCurveCache[key];
+
+    const surface = this.surfaces[key];
+    const peakSlip = surface.peakSlip || 0.12;
+    const target = surface.slide / surface.peak;
+
+    // Peak sits where C·atan(B·κp) = π/2, so B follows from C.
+    // μ(1)/D falls as C rises - bisect C in (1, 2) to hit the slide ratio
+    const bFor = (C) => Math.tan(Math.PI / (2 * C)) / peakSlip;
+    let lo = 1.01;
+    let hi = 1.99;
+    for (let i = 0; i < 50; i++) {
+      const C = (lo + hi) / 2;
+      const ratio = Math.sin(C * Math.atan(bFor(C)));
+      if (ratio > target) lo = C;
+      else hi = C;
+    }
+    const C = (lo + hi) / 2;
+
+    const curve = {
+      B: bFor(C),
+      C,
+      D: surface.peak,
+      E: 0,
+      peakSlip,
+      slide: surface.slide
+    };
+    this._slipCurveCache[key] = curve;
+    return curve;
+  }
+
+  /**
+   * Friction coefficient at a given longitudinal slip ratio (0 = rolling, 1 = locked)
+   */
+  getFrictionAtSlip(surfaceType, slipRatio) {
+    return this._slipCurveFriction(this.getSlipCurve(surfaceType), slipRatio);
+  }
+
+  _slipCurveFriction(curve, slipRatio) {
+    const Bk = curve.B * Math.max(0, Math.min(1, slipRatio));
+    return curve.D * Math.sin(curve.C * Math.atan(Bk - curve.E * (Bk - Math.atan(Bk))));
+  }
+
+  /**
+   * Slip a threshold-braking driver holds: thresholdSkill × peak slip, or full
+   * slip when that gives less grip than locking the wheels (poor technique
+   * ends up sliding, not rolling with the brakes barely on)
+   */
+  _getThresholdSlip(curve, thresholdSkill) {
+    const slip = curve.peakSlip * Math.max(0, Math.min(1, thresholdSkill));
+    return this._slipCurveFriction(curve, slip) < this._slipCurveFriction(curve, 1) ? 1 : slip;
+  }
+
+  /**
+   * Simulate one braked wheel (quarter car) through the slip curve
+   *
+   * Modes:
+   * - abs:       bang-bang controller dumps/re-applies around peak slip (pulsing)
+   * - locked:    pedal stamped, torque far above grip - wheel locks
+   * - threshold: driver holds the torque that settles at thresholdSkill × peak
+   *              slip - the same operating point calculate() uses (locked-wheel
+   *              grip for a skill too low to beat it)
+   *
+   * @param {string} surfaceType - Key into this.surfaces
+   * @param {Object} options - { mode, speedKmh, massKg, durationS, dt, thresholdSkill }
+   * @returns {Object} - Time series of slip, μ, brake torque plus cycle stats
+   */
+  simulateWheelSlip(surfaceType, options = {}) {
+    const {
+      mode = 'abs',
+      speedKmh = 80,
+      massKg = 1500,
+      durationS = 1.0,
+      dt = 0.0005,
+      thresholdSkill = 0.7,
+      sampleEveryS = 0.005
+    } = options;
+
+    if (!this.inputSchema.brakingMode.values.includes(mode)) {
+      throw new Error(`simulateWheelSlip: unknown mode "${mode}" (expected ${this.inputSchema.brakingMode.values.join(', ')})`);
+    }
+
+    const curve = this.getSlipCurve(surfaceType);
+    const { inertiaKgM2: J, rollingRadiusM: r } = this.wheelDynamics;
+    const abs = this.absController;
+
+    const cornerMass = massKg / 4;
+    const Fz = cornerMass * this.g;
+    const peakTorque = curve.D * Fz * r;
+    // Threshold: torque that holds the target slip while the wheel decelerates
+    // with the car (grip torque + J × wheel deceleration)
+    const thresholdSlip = this._getThresholdSlip(curve, thresholdSkill);
+    const thresholdTorque = this._slipCurveFriction(curve, thresholdSlip) * Fz * (r + J * (1 - thresholdSlip) / (cornerMass * r));
+    const applyRate = peakTorque / abs.applyTimeS;
+    const releaseRate = applyRate * abs.releaseRateMultiplier;
+
+    let v = speedKmh / 3.6;
+    let ω = v / r;
+    let torque = 0;
+    let valve = 'apply';
+    let cycles = 0;
+    let nextSample = 0;
+
+    // Averages skip the initial pressure build-up
+    const settleS = abs.applyTimeS * 2;
+    let sumMu = 0;
+    let sumSlip = 0;
+    let n = 0;
+
+    const series = { time: [], slipRatio: [], μ: [], brakeTorqueNm: [], speedKmh: [] };
+
+    for (let t = 0; t < durationS && v > 0.5; t += dt) {
+      const slip = Math.max(0, Math.min(1, (v - ω * r) / v));
+      const μ = this._slipCurveFriction(curve, slip);
+      const Fx = μ * Fz;
+
+      if (mode === 'abs') {
+        if (valve === 'apply' && slip > curve.peakSlip * abs.releaseAbovePeak) {
+          valve = 'release';
+          cycles++;
+        } else if (valve === 'release' && slip < curve.peakSlip * abs.applyBelowPeak) {
+          valve = 'apply';
+        }
+        torque = Math.max(0, torque + (valve === 'apply' ? applyRate : -releaseRate) * dt);
+      } else if (mode === 'locked') {
+        torque = peakTorque * 3;
+      } else {
+        torque = Math.min(torque + applyRate * dt, thresholdTorque);
+      }
+
+      ω = Math.max(0, ω + ((Fx * r - torque) / J) * dt);
+      v -= (Fx / cornerMass) * dt;
+
+      if (t >= settleS) {
+        sumMu += μ;
+        sumSlip += slip;
+        n++;
+      }
+      if (t >= nextSample) {
+        series.time.push(this._round(t, 4));
+        series.slipRatio.push(this._round(slip, 4));
+        series.μ.push(this._round(μ, 4));
+        series.brakeTorqueNm.push(Math.round(torque));
+        series.speedKmh.push(this._round(v * 3.6, 2));
+        nextSample += sampleEveryS;
+      }
+    }
+
+    const meanMu = n > 0 ? sumMu / n : 0;
+    return {
+      mode,
+      surfaceType,
+      curve,
+      ...series,
+      cycles,
+      cycleHz: this._round(cycles / durationS, 1),
+      meanMu: this._round(meanMu, 4),
+      meanSlipRatio: this._round(n > 0 ? sumSlip / n : 0, 3),
+      efficiency: this._round(meanMu / curve.D, 3)   // Fraction of peak grip used
+    };
+  }
+
+  /**
+   * ABS pulsing efficiency (mean μ / peak μ), cached per surface
+   */
+  _getAbsCycleEfficiency(surfaceType) {
+    const curve = this.getSlipCurve(surfaceType);
+    if (curve.absEfficiency === undefined) {
+      curve.absEfficiency = this.simulateWheelSlip(surfaceType, { mode: 'abs' }).efficiency;
+    }
+    return curve.absEfficiency;
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // HYDROPLANING CALCULATION (NASA Formula - NOW ACTUALLY IMPLEMENTED)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -1749,13 +5101,67 @@ class UltimateBrakingPhysics {
     return Math.round(safeSpeedMs * 3.6);  // Convert to km/h
   }
 
+  /**
+   * Highest speed that holds the curve and stops within targetDistanceM
+   * Curve braking distance rises with entry speed, so bisect on it.
+   */
+  _calculateCurveSafeSpeed(μ_effective, slopeRad, radiusM, ellipseRatio, targetDistanceM) {
+    const holds = (speedMs) => {
+      const curve = this._getCurveBraking(speedMs, radiusM, μ_effective, ellipseRatio, slopeRad);
+      return curve.canHoldCurve && curve.canStopInCurve && curve.brakingDistanceM <= targetDistanceM;
+    };
+
+    let low = 0;
+    let high = (this._getCurveBraking(0, radiusM, μ_effective, ellipseRatio, slopeRad).maxCurveSpeedKmh / 3.6) * 0.9999;
+    if (holds(high)) return Math.round(high * 3.6);
+    for (let i = 0; i < 30; i++) {
+      const mid = (low + high) / 2;
+      if (holds(mid)) low = mid; else high = mid;
+    }
+    return Math.round(low * 3.6);
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // WARNING GENERATION
   // ═══════════════════════════════════════════════════════════════════════════
   
-  _generateWarnings(params, factors, hydroplaning, canStopWithBrakes = true, rawDeceleration = 1, rollingPhysics = null) {
+  _generateWarnings(params, factors, hydroplaning, canStopWithBrakes = true, rawDeceleration = 1, rollingPhysics = null, curve = null, heatFailure = null) {
     const warnings = [];
 
+    // Curve warnings: lateral + braking demand vs available grip
+    if (curve) {
+      const speedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+      if (curve.lostAtM !== undefined) {
+        warnings.push({
+          severity: 'critical',
+          factor: 'curve',
+          message: `${Math.round(curve.lostAtM)}m into the stop the curve needs more grip than the tyres have - the car leaves the curve`,
+          icon: '↪️'
+        });
+      } else if (!curve.canHoldCurve) {
+        warnings.push({
+          severity: 'critical',
+          factor: 'curve',
+          message: `Curve needs ${Math.round(curve.lateralUtilisation * 100)}% of available grip at ${speedKmh} km/h - tyres cannot hold the line (max ~${Math.round(curve.maxCurveSpeedKmh)} km/h)`,
+          icon: '↪️'
+        });
+      } else if (!curve.canStopInCurve) {
+        warnings.push({
+          severity: 'critical',
+          factor: 'curve',
+          message: 'Cornering + downhill use up the grip - braking cannot slow the car while holding the curve',
+          icon: '↪️'
+        });
+      } else if (curve.lateralUtilisation > 0.5) {
+        warnings.push({
+          severity: curve.lateralUtilisation > 0.8 ? 'critical' : 'warning',
+          factor: 'curve',
+          message: `Cornering uses ${Math.round(curve.lateralUtilisation * 100)}% of grip - only ${(curve.remainingDecelerationMs2 / this.g).toFixed(2)}g left for braking, stop is ${Math.round(curve.brakingDistanceM - curve.straightLineDistanceM)}m longer than straight`,
+          icon: '↪️'
+        });
+      }
+    }
+
     // CRITICAL: Cannot stop with brakes warning (highest priority)
     if (!canStopWithBrakes && rollingPhysics) {
       if (rollingPhysics.canStopEventually) {
@@ -1837,6 +5243,24 @@ class UltimateBrakingPhysics {
       });
     }
     
+    // Braking mode typo - falls back to ABS
+    if (factors.surface.unknownBrakingMode) {
+      warnings.push({
+        severity: 'warning',
+        factor: 'surface',
+        message: `Unknown brakingMode '${factors.surface.unknownBrakingMode}' - using ABS (expected ${this.inputSchema.brakingMode.values.join(', ')})`,
+        icon: '⚠️'
+      });
+    }
+    if (factors.surface.ignoredSlipRatio !== null) {
+      warnings.push({
+        severity: 'warning',
+        factor: 'surface',
+        message: `slipRatio ${factors.surface.ignoredSlipRatio} ignored - a free-rolling wheel makes no braking force (using ${factors.surface.brakingMode})`,
+        icon: '⚠️'
+      });
+    }
+
     // Pressure warnings
     if (factors.pressure.value < 0.88) {
       warnings.push({
@@ -1864,6 +5288,34 @@ class UltimateBrakingPhysics {
       });
     }
     
+    // Load index / speed symbol warnings
+    if (factors.load.tyreOverloadPercent > 0) {
+      warnings.push({
+        severity: factors.load.tyreOverloadPercent > 20 ? 'critical' : 'warning',
+        factor: 'load',
+        message: `${factors.load.status} - load index ${params.loadIndex} is too low for this load`,
+        icon: '⚖️'
+      });
+    }
+    const ratedSpeedKmh = params.speedSymbol ? this.speedSymbols[params.speedSymbol] : undefined;
+    const speedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+    if (ratedSpeedKmh && speedKmh > ratedSpeedKmh) {
+      warnings.push({
+        severity: 'critical',
+        factor: 'speedRating',
+        message: `${speedKmh} km/h is above the ${params.speedSymbol} speed rating (${ratedSpeedKmh} km/h)`,
+        icon: '🚨'
+      });
+    }
+    if (heatFailure && heatFailure.level !== 'NONE') {
+      warnings.push({
+        severity: heatFailure.level === 'ELEVATED' ? 'warning' : 'critical',
+        factor: 'heat',
+        message: `Tyre heat-failure risk ${heatFailure.level} - ${Math.round(heatFailure.stress * 100)}% of the rated load/speed heat build-up (blowout / tread separation)`,
+        icon: '🔥'
+      });
+    }
+
     // Width warning (wet only)
     if (factors.width.value < 0.90 && factors.weather.value < 0.90) {
       warnings.push({
@@ -1901,6 +5353,127 @@ class UltimateBrakingPhysics {
       });
     }
     
+    // Surface patch warnings (grip drop mid-stop)
+    if (params._segmentPath) {
+      params._segmentPath.segments
+        .filter(seg => seg.entrySpeedKmh > 0 && seg.μ_effective < params.μ_effective * 0.6)
+        .forEach(seg => {
+          warnings.push({
+            severity: seg.μ_effective < params.μ_effective * 0.3 ? 'critical' : 'warning',
+            factor: 'surface_segment',
+            message: `${(this.surfaces[seg.surfaceType] || {}).name || seg.surfaceType}${seg.waterDepthMm >= this.STANDING_WATER_THRESHOLD_MM ? ` (${seg.waterDepthMm}mm standing water)` : ''} at ${seg.startM}m: grip drops to μ ${seg.μ_effective.toFixed(2)} while braking at ${Math.round(seg.entrySpeedKmh)} km/h`,
+            icon: '🚧'
+          });
+        });
+    }
+
+    // Impaired reaction - reactionDistanceM grows with every added tenth of a second
+    const reaction = this.getReactionTime(params);
+    if (reaction.modifiers.length > 0 && reaction.seconds > reaction.baseS * 1.15) {
+      const speedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+      const extraM = ((reaction.seconds - reaction.baseS) * speedKmh) / 3.6;
+      warnings.push({
+        severity: reaction.seconds > reaction.baseS * 1.4 ? 'critical' : 'warning',
+        factor: 'reaction',
+        message: `${reaction.modifiers.map(m => m.name).join(' + ')}: reaction ${reaction.seconds.toFixed(1)}s - ${Math.round(extraM)}m further before the brakes even start`,
+        icon: '⏱️'
+      });
+    }
+
+    // Gradient profile: the grade can steepen after the brake point
+    if (params._gradientPath) {
+      const path = params._gradientPath;
+      const startSpeedKmh = params.speedKmh !== undefined ? params.speedKmh : 100;
+      if (path.brakeFailure && path.brakeFailure.atM > 0) {
+        warnings.push({
+          severity: 'critical',
+          factor: 'gradient',
+          message: `Grade steepens to ${Math.abs(path.brakeFailure.slopeDegrees)}° at ${Math.round(path.brakeFailure.atM)}m - brakes can no longer hold the car on this descent`,
+          icon: '⛰️'
+        });
+      }
+      if (path.maxSpeedKmh > startSpeedKmh + 1) {
+        warnings.push({
+          severity: 'critical',
+          factor: 'gradient',
+          message: `Car speeds up to ${Math.round(path.maxSpeedKmh)} km/h on the descent before it slows`,
+          icon: '📈'
+        });
+      }
+      if (path.steepestDescentDegrees < -8 && factors.slope.slopeDegrees >= -8) {
+        warnings.push({
+          severity: 'warning',
+          factor: 'slope',
+          message: `Steep downhill ahead (${Math.abs(path.steepestDescentDegrees)}°) within the stopping distance`,
+          icon: '⛰️'
+        });
+      }
+    }
+
+    // Axle balance warnings
+    if (factors.axle && factors.axle.enabled) {
+      if (factors.axle.clampedBrakeBias !== null) {
+        warnings.push({
+          severity: 'warning',
+          factor: 'axle',
+          message: `brakeBias ${factors.axle.clampedBrakeBias} is outside the modelled 0.3-0.9 range - using ${factors.axle.brakeBias}`,
+          icon: '⚠️'
+        });
+      }
+      if (factors.axle.saturatesFirst === 'rear' && params.hasABS === false) {
+        warnings.push({
+          severity: 'critical',
+          factor: 'axle',
+          message: `Rear wheels lock before the fronts (bias ${Math.round(factors.axle.brakeBias * 100)}% front) - the car can spin under hard braking`,
+          icon: '🔄'
+        });
+      } else if (factors.axle.saturatesFirst === 'rear') {
+        warnings.push({
+          severity: 'warning',
+          factor: 'axle',
+          message: `Rear axle runs out of grip first - ${factors.axle.rearGrip < 0.95 ? 'worn rear tyres' : 'load and bias'} limit braking stability`,
+          icon: '🔄'
+        });
+      }
+      if (factors.axle.gripUsed < 0.95) {
+        warnings.push({
+          severity: 'warning',
+          factor: 'axle',
+          message: `Brake bias wastes ${Math.round((1 - factors.axle.gripUsed) * 100)}% of available grip (front ${factors.axle.frontDynamicKg}kg / rear ${factors.axle.rearDynamicKg}kg under braking)`,
+          icon: '⚖️'
+        });
+      }
+      if (factors.axle.rearGrip < 0.90) {
+        warnings.push({
+          severity: 'info',
+          factor: 'axle',
+          message: `Rear pair has ${Math.round((1 - factors.axle.rearGrip) * 100)}% less grip than the fronts - replace tyres in pairs, best tyres on the rear`,
+          icon: 'ℹ️'
+        });
+      }
+    }
+
+    // Custom factor warnings (registerFactor() plugins)
+    Object.keys(this.customFactors).forEach(name => {
+      const factor = factors[name];
+      if (factor && factor.error) {
+        warnings.push({
+          severity: 'warning',
+          factor: name,
+          message: `${factor.label} skipped - it ${factor.error}`,
+          icon: '⚠️'
+        });
+        return;
+      }
+      if (!factor || (factor.impact !== 'severe' && factor.impact !== 'moderate')) return;
+      warnings.push({
+        severity: factor.impact === 'severe' ? 'critical' : 'warning',
+        factor: name,
+        message: factor.warning || `${factor.label} reduces grip by ${Math.round((1 - factor.value) * 100)}%`,
+        icon: factor.icon || '⚠️'
+      });
+    });
+
     // Combined factor warning
     const combinedFactor = factors.age.value * factors.tread.value * factors.pressure.value;
     if (combinedFactor < 0.60) {
@@ -2250,11 +5823,12 @@ class UltimateBrakingPhysics {
       width: "COUNTER-INTUITIVE: Wide tyres grip better DRY but WORSE WET! Narrow tyres cut through water like a knife. A 285mm tyre can have 16% less wet grip than 205mm.",
       temperature: "Rubber compounds have optimal temperature ranges. Summer tyres harden below 7°C, losing 30%+ grip. Winter tyres soften above 15°C. Using wrong compound is dangerous.",
       speed: "Friction coefficient decreases at higher speeds as the tyre has less time to establish grip. Wet surfaces are more affected - about 15% grip loss from 50-150km/h.",
-      load: "Theoretically weight cancels out, but heavy loads slightly reduce effective grip due to tyre load sensitivity. More significant effect is on brake system heat buildup.",
+      load: "Theoretically weight cancels out, but heavy loads slightly reduce effective grip due to tyre load sensitivity. More significant effect is on brake system heat buildup. Beyond the tyres' load-index rating grip falls faster and the tyres themselves overheat.",
       slope: "Physics helps on uphill (gravity assists braking) but HURTS on downhill (gravity fights braking). A 10% grade adds ~10% to stopping distance going downhill.",
       brakeFade: "Repeated hard braking heats brake components, causing 'fade'. Brake fluid can boil, pads glaze over. Mountain descents and track driving are high risk. Allow brakes to cool.",
       compound: "Tyre compound type significantly affects grip. Economy tyres trade grip for longevity. Performance/UHP tyres have softer, grippier rubber. Track tyres excel dry but struggle wet.",
       camber: "Road banking (camber) affects weight distribution across tyres. Crowned roads aid drainage. Off-camber corners (leaning away from turn) reduce effective grip significantly.",
+      axle: "Braking pitches weight onto the front axle, so the fronts do most of the work. Brake bias splits force between axles - if one pair runs out of grip first (worn rears, a loaded ute tray) the car cannot use all the grip it has, and rear lock-up can spin it.",
       downforce: "High-speed aerodynamic downforce pushes the car onto the road, increasing tyre loading and grip. Only significant on sports/race cars above 100km/h. Can add 20%+ grip at 200km/h."
     };
     return explanations[factorName] || "This factor affects braking distance.";
@@ -2273,12 +5847,17 @@ class UltimateBrakingPhysics {
    * Get all available surface types
    */
   getSurfaceTypes() {
-    return Object.entries(this.surfaces).map(([code, data]) => ({
-      code,
-      name: data.name,
-      peakFriction: data.peak,
-      slideFriction: data.slide
-    }));
+    return this.surfaceRegistry.keys().map(code => {
+      const data = this.surfaceRegistry.get(code);
+      return {
+        code,
+        name: data.name,
+        label: data.label,
+        icon: data.icon,
+        peakFriction: data.peak,
+        slideFriction: data.slide
+      };
+    });
   }
   
   /**
@@ -2314,15 +5893,19 @@ class UltimateBrakingPhysics {
    * Factor 16: Real-World Calibration
    *
    * BACKGROUND:
-   * Validation against 285 real-world tyre tests (ADAC, AutoBild, TCS, EVO,
-   * Sport Auto, Continental, Michelin, etc.) revealed that the physics model's
+   * Comparison with published tyre tests (ADAC, AutoBild, TCS, EVO, Sport
+   * Auto, Continental, Michelin, etc.) showed that the physics model's
    * theoretical friction coefficients are systematically conservative compared
    * to actual measured braking distances from professional tyre tests.
    *
    * This calibration factor adjusts μ_effective to match real-world test data
    * while preserving all the relative relationships between factors.
    *
-   * CALIBRATION DATA (from 285 validated tests):
+   * The multipliers were set by hand; the test records behind them are not in
+   * the repo, and data/calibration-tests.json (tools/calibration-report.js)
+   * holds only era-adjusted stops, so nothing here is regression-tested yet.
+   *
+   * CALIBRATION TARGETS (typical published results):
    * - Dry summer tyres at 100km/h: Real tests show 33-40m, model predicts ~50m
    * - Wet summer tyres at 80km/h: Real tests show 28-35m, model predicts ~46m
    * - Winter tyres on dry: Penalty too harsh in model
@@ -2405,21 +5988,27 @@ class UltimateBrakingPhysics {
     };
   }
 
-  _getRealWorldCalibration(surfaceType, waterMm, tyreType, euGrade, speedKmh) {
+  _getRealWorldCalibration(surfaceType, waterMm, tyreType, euGrade, speedKmh, winterCertification = null) {
     // Determine surface conditions
-    const isIce = surfaceType && surfaceType.toLowerCase().includes('ice');
-    const isSnow = surfaceType && surfaceType.toLowerCase().includes('snow');
+    const surface = this.surfaceRegistry.get(surfaceType);
+    const isIce = surface !== null && surface.traction === 'ice';
+    const isSnow = surface !== null && surface.traction === 'snow';
     const isWet = waterMm > 0.3;  // Anything above damp
     const isDry = !isIce && !isSnow && !isWet;
 
     // Normalize tyre type
     const tyre = (tyreType || 'summer').toLowerCase();
 
+    // Sidewall winter marking (M+S / 3PMSF / ice grip) - can raise the tyreType row on snow and ice, never lower it
+    const winterGrip = winterCertification
+      ? this.tyreCategories.getWinterGrip(winterCertification, tyre === 'winter')
+      : null;
+
     let factor = 1.0;
     let reason = 'No calibration applied';
 
     // Apply calibration based on condition + tyre type combination
-    // These factors were derived from analysis of 285 real-world tests
+    // Factors set by hand against published tyre test results (see above)
 
     if (isIce) {
       // Ice calibration - validated against Swedish Körkortonline formula
@@ -2442,6 +6031,13 @@ class UltimateBrakingPhysics {
         factor = 1.00;  // No adjustment - base surface μ is accurate
         reason = 'Summer tyre ice (base physics μ=0.10)';
       }
+
+      // Ice grip index on top of the winter row
+      const certFactor = winterGrip && winterGrip.ice > 1.0 ? 1.50 * winterGrip.ice : 0;
+      if (certFactor > factor) {
+        factor = certFactor;
+        reason = `${winterGrip.name} ice calibration (winter × ice grip index ${winterGrip.ice})`;
+      }
     } else if (isSnow) {
       // Snow calibration adjusted based on GPT 500+ test results
       // Tests showed model was producing distances ~30% too long
@@ -2456,6 +6052,16 @@ class UltimateBrakingPhysics {
         factor = 1.0;
         reason = 'Summer tyre snow (no calibration - poor performance expected)';
       }
+
+      // Certified snow traction between the summer (1.0) and 3PMSF winter (1.60) rows
+      if (winterGrip) {
+        const { summer, winter } = this.winterSnowGrip;
+        const certFactor = 1.0 + 0.60 * (winterGrip.snow - summer) / (winter - summer);
+        if (certFactor > factor) {
+          factor = certFactor;
+          reason = `${winterGrip.code} snow calibration (${Math.round(winterGrip.snow * 100)}% of 3PMSF minimum traction)`;
+        }
+      }
     } else if (isWet) {
       if (tyre === 'winter') {
         // Winter tyres are surprisingly good in wet
@@ -2513,11 +6119,21 @@ class UltimateBrakingPhysics {
       }
     }
 
+    // Loaded profile scales the built-in multiplier for this condition + tyre cell
+    const surfaceCondition = isIce ? 'ice' : isSnow ? 'snow' : isWet ? 'wet' : 'dry';
+    const profile = this.calibrationProfile;
+    const profileMultiplier = profile && profile.calibration ? profile.calibration[`${surfaceCondition}.${tyre}`] : undefined;
+    if (profileMultiplier !== undefined) {
+      factor *= profileMultiplier;
+      reason += ` × ${profileMultiplier} (${profile.name || 'local profile'})`;
+    }
+
     return {
       value: factor,
       reason,
-      surfaceCondition: isIce ? 'ice' : isSnow ? 'snow' : isWet ? 'wet' : 'dry',
+      surfaceCondition,
       tyreType: tyre,
+      winterCertification: winterGrip ? winterGrip.code : null,
       impact: factor > 1.5 ? 'significant' : factor > 1.2 ? 'moderate' : 'minimal'
     };
   }
@@ -2527,6 +6143,9 @@ class UltimateBrakingPhysics {
 // EXPORT
 // ═══════════════════════════════════════════════════════════════════════════════
 
+UltimateBrakingPhysics.VERSION = '3.6.0';
+UltimateBrakingPhysics.BrakingInputError = BrakingInputError;
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = UltimateBrakingPhysics;
 }
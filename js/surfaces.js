@@ -0,0 +1,179 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ROAD SURFACE REGISTRY v1.0.0
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * One list of road surfaces shared by the physics engine, the game and the
+ * What-If page. Load it before physics.js and tyre-categories.js.
+ *
+ * Each surface carries:
+ *   - Physics: peak/slide friction (dry, standard tyre), slip at peak,
+ *     rolling resistance multiplier (1.0 = standard asphalt)
+ *   - Traction class: which TyreCategoriesSourced modifier applies
+ *     (asphalt, gravel, mud, snow, ice) - snow/ice also pick the winter
+ *     calibration in the engine
+ *   - UI: label, icon, short description, group
+ *
+ * Older game keys (CONCRETE, GRAVEL, ICE...) are aliases of a registry
+ * surface, so every surface a player can pick runs the engine's physics.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const SurfaceRegistry = (function() {
+  'use strict';
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SURFACES
+  // peak/slide/peakSlip from the engine's original table; rolling from the
+  // engine's rolling resistance multipliers
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const SURFACES = {
+    // ASPHALT VARIANTS
+    'ASPHALT_ROUGH':   { peak: 0.90, slide: 0.75, peakSlip: 0.12, rolling: 1.1,  traction: 'asphalt', group: 'paved', name: 'Rough Textured Asphalt', label: 'Rough Asphalt', icon: '🛣️', desc: 'Coarse chip, high texture' },
+    'ASPHALT_NEW':     { peak: 0.85, slide: 0.70, peakSlip: 0.12, rolling: 1.0,  traction: 'asphalt', group: 'paved', name: 'New Asphalt', label: 'New Asphalt', icon: '🛣️', desc: 'Fresh, smooth asphalt' },
+    'ASPHALT_STD':     { peak: 0.80, slide: 0.65, peakSlip: 0.12, rolling: 1.0,  traction: 'asphalt', group: 'paved', name: 'Standard Asphalt', label: 'Asphalt', icon: '🛣️', desc: 'Standard road surface' },
+    'ASPHALT_WORN':    { peak: 0.72, slide: 0.58, peakSlip: 0.12, rolling: 0.95, traction: 'asphalt', group: 'paved', name: 'Worn/Polished Asphalt', label: 'Worn Asphalt', icon: '🛣️', desc: 'Aged, polished surface' },
+    'ASPHALT_SMOOTH':  { peak: 0.65, slide: 0.52, peakSlip: 0.12, rolling: 0.90, traction: 'asphalt', group: 'paved', name: 'Smooth Asphalt', label: 'Smooth Asphalt', icon: '🛣️', desc: 'Low-texture surface' },
+
+    // CONCRETE VARIANTS
+    'CONCRETE_ROUGH':  { peak: 0.85, slide: 0.70, peakSlip: 0.12, rolling: 1.15, traction: 'asphalt', group: 'paved', name: 'Textured Concrete', label: 'Grooved Concrete', icon: '🏗️', desc: 'Rain-channeling grooves' },
+    'CONCRETE_STD':    { peak: 0.78, slide: 0.62, peakSlip: 0.12, rolling: 1.05, traction: 'asphalt', group: 'paved', name: 'Standard Concrete', label: 'Concrete', icon: '🏗️', desc: 'Highway/bridge surface' },
+    'CONCRETE_SMOOTH': { peak: 0.70, slide: 0.55, peakSlip: 0.12, rolling: 0.95, traction: 'asphalt', group: 'paved', name: 'Smooth Concrete', label: 'Smooth Concrete', icon: '🏗️', desc: 'Polished slab' },
+
+    // OTHER SEALED SURFACES
+    'CHIPSEAL':        { peak: 0.82, slide: 0.68, peakSlip: 0.12, rolling: 1.1,  traction: 'asphalt', group: 'paved', name: 'Chip Seal', label: 'Chip Seal', icon: '🛣️', desc: 'Sealed rural road' },
+    'COBBLESTONE':     { peak: 0.60, slide: 0.45, peakSlip: 0.10, rolling: 1.3,  traction: 'asphalt', group: 'paved', name: 'Cobblestone', label: 'Cobblestone', icon: '🧱', desc: 'Historic paving' },
+    'BRICK':           { peak: 0.68, slide: 0.54, peakSlip: 0.12, rolling: 1.25, traction: 'asphalt', group: 'paved', name: 'Brick Paving', label: 'Brick Paving', icon: '🧱', desc: 'Decorative paving' },
+
+    // UNSEALED SURFACES
+    'GRAVEL_PACKED':   { peak: 0.60, slide: 0.55, peakSlip: 0.25, rolling: 1.5,  traction: 'gravel', group: 'unsealed', name: 'Packed Gravel', label: 'Compact Gravel', icon: '🪨', desc: 'Well-maintained gravel' },
+    'GRAVEL_LOOSE':    { peak: 0.40, slide: 0.35, peakSlip: 0.25, rolling: 2.5,  traction: 'gravel', group: 'unsealed', name: 'Loose Gravel', label: 'Loose Gravel', icon: '🪨', desc: 'Typical gravel road' },
+    'DIRT_DRY':        { peak: 0.65, slide: 0.55, peakSlip: 0.25, rolling: 1.4,  traction: 'gravel', group: 'unsealed', name: 'Dry Packed Dirt', label: 'Hard-Packed Dirt', icon: '🌍', desc: 'Dry, compacted earth' },
+    'DIRT_LOOSE':      { peak: 0.45, slide: 0.40, peakSlip: 0.25, rolling: 2.0,  traction: 'gravel', group: 'unsealed', name: 'Loose Dirt', label: 'Loose Dirt', icon: '🌍', desc: 'Soft, loose earth' },
+    'SAND':            { peak: 0.30, slide: 0.25, peakSlip: 0.25, rolling: 3.0,  traction: 'gravel', group: 'unsealed', name: 'Sand', label: 'Sand', icon: '🏖️', desc: 'Loose beach sand' },
+    'SAND_HARD':       { peak: 0.45, slide: 0.38, peakSlip: 0.20, rolling: 2.0,  traction: 'gravel', group: 'unsealed', name: 'Hard Wet Sand', label: 'Hard Sand', icon: '🏖️', desc: 'Wet beach sand' },
+    'SAND_SOFT':       { peak: 0.22, slide: 0.18, peakSlip: 0.25, rolling: 4.0,  traction: 'gravel', group: 'unsealed', name: 'Soft Deep Sand', label: 'Soft Sand', icon: '🏖️', desc: 'Deep, dry sand' },
+    'GRASS_DRY':       { peak: 0.45, slide: 0.40, peakSlip: 0.18, rolling: 1.8,  traction: 'gravel', group: 'unsealed', name: 'Dry Grass', label: 'Dry Grass', icon: '🌿', desc: 'Short, dry grass' },
+    'GRASS_WET':       { peak: 0.35, slide: 0.30, peakSlip: 0.18, rolling: 2.0,  traction: 'mud', group: 'unsealed', name: 'Wet Grass', label: 'Wet Grass', icon: '🌿', desc: 'Dew/rain soaked' },
+    'MUD_LIGHT':       { peak: 0.32, slide: 0.26, peakSlip: 0.25, rolling: 2.8,  traction: 'mud', group: 'unsealed', name: 'Light Mud', label: 'Light Mud', icon: '🟤', desc: 'Shallow mud' },
+    'MUD':             { peak: 0.25, slide: 0.20, peakSlip: 0.25, rolling: 3.5,  traction: 'mud', group: 'unsealed', name: 'Mud', label: 'Mud', icon: '🟤', desc: 'Standard mud' },
+    'MUD_DEEP':        { peak: 0.18, slide: 0.14, peakSlip: 0.25, rolling: 4.5,  traction: 'mud', group: 'unsealed', name: 'Deep Mud', label: 'Deep Mud', icon: '🟤', desc: 'Wheel-sucking mud' },
+
+    // WINTER SURFACES
+    'SNOW_LIGHT':      { peak: 0.35, slide: 0.30, peakSlip: 0.20, rolling: 1.3,  traction: 'snow', group: 'winter', name: 'Light Snow', label: 'Light Snow', icon: '🌨️', desc: 'Fresh dusting' },
+    'SNOW_PACKED':     { peak: 0.28, slide: 0.22, peakSlip: 0.20, rolling: 1.2,  traction: 'snow', group: 'winter', name: 'Packed Snow', label: 'Packed Snow', icon: '🌨️', desc: 'Compressed snow' },
+    'SNOW_DEEP':       { peak: 0.18, slide: 0.15, peakSlip: 0.20, rolling: 2.0,  traction: 'snow', group: 'winter', name: 'Deep Fresh Snow', label: 'Deep Snow', icon: '❄️', desc: 'Unplowed snow' },
+    'SLUSH':           { peak: 0.20, slide: 0.16, peakSlip: 0.15, rolling: 2.2,  traction: 'snow', group: 'winter', name: 'Slush', label: 'Slush', icon: '🌊', desc: 'Melting snow/water' },
+    'ICE_ROUGH':       { peak: 0.20, slide: 0.15, peakSlip: 0.06, rolling: 1.0,  traction: 'ice', group: 'winter', name: 'Rough Ice', label: 'Rough Ice', icon: '🧊', desc: 'Frozen ruts' },
+    'ICE_SMOOTH':      { peak: 0.10, slide: 0.07, peakSlip: 0.06, rolling: 0.8,  traction: 'ice', group: 'winter', name: 'Smooth/Black Ice', label: 'Ice', icon: '🧊', desc: 'Sheet or black ice' },
+    'ICE_WET':         { peak: 0.05, slide: 0.03, peakSlip: 0.06, rolling: 0.7,  traction: 'ice', group: 'winter', name: 'Wet Ice (melting)', label: 'Wet Ice', icon: '🧊', desc: 'Melting ice' },
+    'ICE_SNOW':        { peak: 0.08, slide: 0.05, peakSlip: 0.06, rolling: 1.1,  traction: 'ice', group: 'winter', name: 'Snow over Ice', label: 'Snow over Ice', icon: '❄️', desc: 'Ice hidden under snow' },
+
+    // ROAD FURNITURE & CONTAMINANTS (short patches - see surfaceSegments)
+    'PAINTED_LINES':   { peak: 0.50, slide: 0.42, peakSlip: 0.10, rolling: 1.0,  traction: 'asphalt', group: 'special', name: 'Painted Road Markings', label: 'Road Markings', icon: '🎨', desc: 'Paint on asphalt' },
+    'METAL_PLATE':     { peak: 0.45, slide: 0.38, peakSlip: 0.10, rolling: 0.95, traction: 'asphalt', group: 'special', name: 'Manhole Cover / Metal Plate', label: 'Metal Plate', icon: '🔩', desc: 'Manhole covers, bridge grating' },
+    'METAL_WET':       { peak: 0.28, slide: 0.22, peakSlip: 0.10, rolling: 0.95, traction: 'asphalt', group: 'special', name: 'Wet Metal Plate', label: 'Wet Metal', icon: '🔩', desc: 'Slippery when wet' },
+    'LEAVES_WET':      { peak: 0.35, slide: 0.28, peakSlip: 0.12, rolling: 1.2,  traction: 'asphalt', group: 'special', name: 'Wet Leaves', label: 'Wet Leaves', icon: '🍂', desc: 'Autumn hazard' },
+    'OIL_SPILL':       { peak: 0.15, slide: 0.12, peakSlip: 0.08, rolling: 1.0,  traction: 'asphalt', group: 'special', name: 'Oil/Diesel Spill', label: 'Oil/Diesel Spill', icon: '🛢️', desc: 'Extremely slippery' }
+  };
+
+  // Older game keys → registry surface (same physics the game already used)
+  const ALIASES = {
+    'ASPHALT_OLD':      'ASPHALT_WORN',
+    'CONCRETE':         'CONCRETE_STD',
+    'CONCRETE_GROOVED': 'CONCRETE_ROUGH',
+    'GRAVEL_COMPACT':   'GRAVEL_PACKED',
+    'GRAVEL':           'GRAVEL_LOOSE',
+    'DIRT_HARD':        'DIRT_DRY',
+    'DIRT':             'DIRT_LOOSE',
+    'GRASS':            'GRASS_DRY',
+    'SNOW':             'SNOW_PACKED',
+    'ICE':              'ICE_SMOOTH',
+    'BLACK_ICE':        'ICE_SMOOTH',
+    'METAL_DRY':        'METAL_PLATE',
+    'MANHOLE':          'METAL_PLATE'
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOOKUPS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Registry key for a surface or alias (null when unknown)
+   */
+  function resolve(key) {
+    if (SURFACES[key]) return key;
+    return ALIASES[key] || null;
+  }
+
+  /**
+   * Full surface entry (with its registry key) or null
+   */
+  function get(key) {
+    const resolved = resolve(key);
+    return resolved ? { key: resolved, ...SURFACES[resolved] } : null;
+  }
+
+  /**
+   * Registry keys (aliases excluded)
+   */
+  function keys() {
+    return Object.keys(SURFACES);
+  }
+
+  /**
+   * Build a table keyed by surface AND alias so either key looks up directly
+   */
+  function buildTable(pick) {
+    const table = {};
+    keys().forEach(key => { table[key] = pick(SURFACES[key], key); });
+    Object.keys(ALIASES).forEach(alias => { table[alias] = table[ALIASES[alias]]; });
+    return table;
+  }
+
+  /**
+   * TyreCategoriesSourced modifier key ('asphalt_wet', 'gravel', 'ice'...)
+   */
+  function getTractionModifierKey(key, isWet = false) {
+    const surface = get(key);
+    const traction = surface ? surface.traction : 'asphalt';
+    if (traction === 'asphalt') return isWet ? 'asphalt_wet' : 'asphalt_dry';
+    return traction;
+  }
+
+  return {
+    SURFACES,
+    ALIASES,
+    resolve,
+    get,
+    keys,
+    getTractionModifierKey,
+
+    // Engine friction table: { peak, slide, peakSlip, name }
+    getPhysicsTable: () => buildTable(s => ({ peak: s.peak, slide: s.slide, peakSlip: s.peakSlip, name: s.name })),
+
+    // Engine rolling resistance multipliers
+    getRollingTable: () => buildTable(s => s.rolling),
+
+    // UI table: labels/icons plus the physics numbers the game's own models use
+    getUiTable: () => buildTable((s, key) => ({
+      key,
+      label: s.label,
+      icon: s.icon,
+      desc: s.desc,
+      group: s.group,
+      peak: s.peak,
+      rolling: s.rolling
+    }))
+  };
+
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurfaceRegistry;
+}
+if (typeof window !== 'undefined') {
+  window.SurfaceRegistry = SurfaceRegistry;
+}
@@ -0,0 +1,623 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TYRE PRODUCT CATALOG v1.0.0
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Real tyre products from proposed_additions.csv - brand, pattern, size,
+ * product number, service class (C1 passenger, C2 van, C3 truck) and the EU
+ * label: fuel efficiency, wet grip, noise and snow marking.
+ *
+ * Products are indexed by size, brand and pattern, and toPhysicsParams()
+ * turns a product into the tyre inputs of UltimateBrakingPhysics.calculate(),
+ * so customers can test the tyre they are actually buying.
+ *
+ *   Browser: const catalog = await TyreCatalog.load('proposed_additions.csv');
+ *   Node:    const catalog = TyreCatalog.fromCSV(fs.readFileSync(csvPath, 'utf8'));
+ *
+ *   catalog.find({ size: '205/55R16', wetGrip: 'A' });
+ *   physics.calculate({ speedKmh: 100, weatherPreset: 'RAIN', ...catalog.toPhysicsParams(product) });
+ *
+ * A product is one brand + product number. Rows later in the file replace
+ * earlier rows for the same product (UPDATE_GRADES rows come last); rows
+ * validateChangeSet() rejects are left out.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+class TyreCatalog {
+  constructor(products = []) {
+    this.products = new Map();   // `${BRAND}|${productNumber}` → product
+    this.rejectedRows = [];      // fromCSV() rows left out by validateChangeSet()
+    this.bySize = new Map();     // '205/55R16' → Set of product ids
+    this.byBrand = new Map();    // 'PIRELLI' → Set of product ids
+    this.byPattern = new Map();  // 'PIRELLI|CINTURATO P7' → Set of product ids
+
+    products.forEach(product => this.add(product));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOADING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Fetch and index the catalog CSV (browser)
+   * @param {string} url - CSV location, relative to the page
+   * @returns {Promise<TyreCatalog>}
+   */
+  static async load(url = 'proposed_additions.csv') {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Tyre catalog not found at ${url} (HTTP ${response.status})`);
+    }
+    return TyreCatalog.fromCSV(await response.text());
+  }
+
+  /**
+   * Build a catalog from CSV text
+   *
+   * The rows go through validateChangeSet() first and rejected rows (bad
+   * size, grades or noise, conflicting rows) are left out - they are listed
+   * in catalog.rejectedRows. Grade updates of products the file does not
+   * list are kept: the catalog they update is not shipped.
+   */
+  static fromCSV(csv) {
+    const rows = TyreCatalog.parseCSV(csv);
+    const report = new TyreCatalog().validateChangeSet(rows, { unknownProducts: 'warning' });
+    const rejected = new Set(report.rows.filter(r => r.status === 'error').map(r => r.line));
+
+    const catalog = new TyreCatalog(rows.filter(row => !rejected.has(row.line)).map(row => TyreCatalog.toProduct(row)));
+    catalog.rejectedRows = report.rows.filter(r => r.status === 'error');
+    return catalog;
+  }
+
+  /**
+   * CSV text → raw rows with camelCase keys, values trimmed but not validated
+   * @returns {Object[]} - [{ line, additionType, brand, pattern, size, productNumber, ... }]
+   */
+  static parseCSV(csv) {
+    const lines = csv.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const header = TyreCatalog._splitCSVLine(lines[0]).map(name => TyreCatalog.COLUMNS[name.trim()] || name.trim());
+    const missing = Object.values(TyreCatalog.COLUMNS).filter(key => !header.includes(key));
+    if (missing.length > 0) {
+      throw new Error(`Catalog CSV is missing column(s): ${missing.join(', ')}`);
+    }
+
+    const rows = [];
+    lines.slice(1).forEach((text, index) => {
+      if (text.trim() === '') return;
+      const row = { line: index + 2 };
+      TyreCatalog._splitCSVLine(text).forEach((cell, i) => {
+        if (header[i]) row[header[i]] = cell.replace(/\s+/g, ' ').trim();
+      });
+      rows.push(row);
+    });
+    return rows;
+  }
+
+  /**
+   * Split one CSV line, honouring "quoted, values"
+   */
+  static _splitCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"' && quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else if (ch === ',' && !quoted) {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell);
+    return cells;
+  }
+
+  /**
+   * Raw CSV row → catalog product
+   */
+  static toProduct(row) {
+    const size = TyreCatalog.parseSizeKey(row.size);
+    const snow = /^(yes|y|true|1)$/i.test(row.snow || '');
+    const tyreType = TyreCatalog.classifyTyreType(row.pattern, snow);
+    return {
+      id: `${row.brand.toUpperCase()}|${row.productNumber}`,
+      brand: row.brand.toUpperCase(),
+      pattern: row.pattern,
+      size: row.size,
+      sizeKey: size ? size.key : null,
+      widthMm: size ? size.widthMm : null,
+      aspectRatio: size ? size.aspectRatio : null,
+      rimInches: size ? size.rimInches : null,
+      loadIndex: size ? size.parsed.loadIndex : null,
+      speedSymbol: size ? size.parsed.speedSymbol : null,
+      productNumber: row.productNumber,
+      serviceClass: (row.serviceClass || '').toUpperCase(),
+      fuelGrade: (row.fuelGrade || '').toUpperCase(),
+      wetGrip: (row.wetGrip || '').toUpperCase(),
+      noiseDb: row.noiseDb === '' || row.noiseDb === undefined ? null : Number(row.noiseDb),
+      snow,
+      tyreType,
+      winterCertification: TyreCatalog.classifyWinterCertification(tyreType, snow),
+      additionType: row.additionType
+    };
+  }
+
+  /**
+   * '215/60R16C 103/101 T' → { key: '215/60R16', widthMm: 215, aspectRatio: 60, rimInches: 16, parsed }
+   * The index key drops prefixes, suffixes and ZR so every spelling of a size
+   * finds the same products; parsed is the full TyreSize.parse() result
+   */
+  static parseSizeKey(size) {
+    const parsed = TyreCatalog._sizeParser().parse(String(size || ''));
+    if (!parsed) return null;
+    return {
+      key: parsed.format === 'flotation'
+        ? `${parsed.overallDiameterIn}X${parsed.widthIn}R${parsed.rimInches}`
+        : `${parsed.widthMm}/${parsed.aspectRatio}R${parsed.rimInches}`,
+      widthMm: parsed.widthMm,
+      aspectRatio: parsed.aspectRatio,
+      rimInches: parsed.rimInches,
+      parsed
+    };
+  }
+
+  static _sizeParser() {
+    return typeof TyreSize !== 'undefined' ? TyreSize : require('./tyre-size.js');
+  }
+
+  /**
+   * Engine tyreType from the pattern name and snow marking
+   *
+   * Winter pattern names win, then all-season/all-weather names. A snow-marked
+   * tyre with neither (e.g. 'SETULA W RACE S360') is a winter tyre.
+   */
+  static classifyTyreType(pattern, snow) {
+    if (TyreCatalog.WINTER_PATTERN.test(pattern)) return 'winter';
+    if (TyreCatalog.ALLSEASON_PATTERN.test(pattern)) return 'allseason';
+    return snow ? 'winter' : 'summer';
+  }
+
+  /**
+   * Engine winterCertification from the snow marking
+   *
+   * The 'Snow Tyre' column is the EU label's severe-snow (3PMSF) pictogram.
+   * Winter and all-season patterns without it are taken as M+S only;
+   * summer tyres carry no winter marking. The engine never lets a marking
+   * lower the grip of the tyreType itself.
+   */
+  static classifyWinterCertification(tyreType, snow) {
+    if (snow) return '3PMSF';
+    return tyreType === 'summer' ? null : 'MS';
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INDEX
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Add a product, replacing an earlier entry with the same id
+   */
+  add(product) {
+    if (this.products.has(product.id)) this.remove(product.id);
+    this.products.set(product.id, product);
+    if (product.sizeKey) this._index(this.bySize, product.sizeKey, product.id);
+    this._index(this.byBrand, product.brand, product.id);
+    this._index(this.byPattern, `${product.brand}|${product.pattern.toUpperCase()}`, product.id);
+    return product;
+  }
+
+  remove(id) {
+    const product = this.products.get(id);
+    if (!product) return false;
+    this.products.delete(id);
+    this._unindex(this.bySize, product.sizeKey, id);
+    this._unindex(this.byBrand, product.brand, id);
+    this._unindex(this.byPattern, `${product.brand}|${product.pattern.toUpperCase()}`, id);
+    return true;
+  }
+
+  _index(map, key, id) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(id);
+  }
+
+  _unindex(map, key, id) {
+    const ids = map.get(key);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) map.delete(key);
+  }
+
+  get size() {
+    return this.products.size;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // QUERIES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Find products: find({ size: '205/55R16', wetGrip: 'A' })
+   *
+   * @param {Object} query
+   * @param {string} query.size - Any spelling of the size ('205/55 R16 91V', 'P205/55R16')
+   * @param {string} query.brand - Case-insensitive
+   * @param {string} query.pattern - Case-insensitive, needs brand
+   * @param {string|string[]} query.wetGrip - Grade letter(s)
+   * @param {string|string[]} query.fuelGrade - Grade letter(s)
+   * @param {string} query.minWetGrip - This grade or better
+   * @param {number} query.maxNoiseDb
+   * @param {string} query.serviceClass - C1, C2 or C3
+   * @param {string} query.tyreType - summer, allseason or winter
+   * @param {boolean} query.snow - Snow-marked tyres only (or non-snow with false)
+   * @returns {Object[]} - Products, best wet grip first
+   */
+  find(query = {}) {
+    const candidates = [];
+    if (query.size) {
+      const size = TyreCatalog.parseSizeKey(query.size);
+      candidates.push(size ? this.bySize.get(size.key) : null);
+    }
+    if (query.brand && query.pattern) {
+      candidates.push(this.byPattern.get(`${query.brand.toUpperCase()}|${query.pattern.toUpperCase()}`));
+    } else if (query.brand) {
+      candidates.push(this.byBrand.get(query.brand.toUpperCase()));
+    }
+    if (candidates.some(ids => !ids)) return [];
+
+    // Walk the smallest index, check the rest as filters
+    const ids = candidates.length > 0
+      ? candidates.reduce((smallest, set) => (set.size < smallest.size ? set : smallest))
+      : this.products.keys();
+
+    const oneOf = (value, wanted) => wanted === undefined || [].concat(wanted).map(v => String(v).toUpperCase()).includes(value);
+    const sizeKey = query.size ? TyreCatalog.parseSizeKey(query.size).key : null;
+    const results = [];
+    for (const id of ids) {
+      const p = this.products.get(id);
+      if (sizeKey && p.sizeKey !== sizeKey) continue;
+      if (query.brand && p.brand !== query.brand.toUpperCase()) continue;
+      if (query.pattern && p.pattern.toUpperCase() !== query.pattern.toUpperCase()) continue;
+      if (!oneOf(p.wetGrip, query.wetGrip) || !oneOf(p.fuelGrade, query.fuelGrade)) continue;
+      if (!oneOf(p.serviceClass, query.serviceClass)) continue;
+      if (query.minWetGrip && !(p.wetGrip && p.wetGrip <= query.minWetGrip.toUpperCase())) continue;
+      if (query.maxNoiseDb !== undefined && !(p.noiseDb <= query.maxNoiseDb)) continue;
+      if (query.tyreType && p.tyreType !== query.tyreType) continue;
+      if (query.snow !== undefined && p.snow !== query.snow) continue;
+      results.push(p);
+    }
+
+    return results.sort((a, b) =>
+      a.wetGrip.localeCompare(b.wetGrip) ||
+      a.brand.localeCompare(b.brand) ||
+      a.pattern.localeCompare(b.pattern) ||
+      a.size.localeCompare(b.size));
+  }
+
+  /**
+   * @param {string} id - `${BRAND}|${productNumber}`, or a brand with productNumber as 2nd argument
+   */
+  get(id, productNumber) {
+    return this.products.get(productNumber !== undefined ? `${String(id).toUpperCase()}|${productNumber}` : id) || null;
+  }
+
+  getSizes() {
+    return [...this.bySize.keys()].sort();
+  }
+
+  getBrands() {
+    return [...this.byBrand.keys()].sort();
+  }
+
+  getPatterns(brand) {
+    const prefix = `${String(brand).toUpperCase()}|`;
+    return [...this.byPattern.keys()]
+      .filter(key => key.startsWith(prefix))
+      .map(key => this.products.get(this.byPattern.get(key).values().next().value).pattern)
+      .sort();
+  }
+
+  /**
+   * Product → tyre inputs for UltimateBrakingPhysics.calculate()
+   * @returns {Object} - { euGrade, fuelGrade, tyreWidthMm, tyreType, winterCertification, loadIndex, speedSymbol }
+   */
+  toPhysicsParams(product) {
+    const params = { tyreType: product.tyreType };
+    if (/^[A-E]$/.test(product.wetGrip)) params.euGrade = product.wetGrip;
+    if (/^[A-E]$/.test(product.fuelGrade)) params.fuelGrade = product.fuelGrade;
+    if (product.widthMm) params.tyreWidthMm = product.widthMm;
+    if (product.loadIndex) params.loadIndex = product.loadIndex;
+    if (product.speedSymbol) params.speedSymbol = product.speedSymbol;
+    if (product.winterCertification) params.winterCertification = product.winterCertification;
+    return params;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CHANGE SETS (NEW_PATTERN / NEW_SIZE / UPDATE_GRADES rows)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Check change-set rows against this catalog and build the diff that applies them
+   *
+   * Each row is checked on its own (size, grade letters, noise, service class),
+   * then against the catalog and the rows before it: products that already
+   * exist, duplicate rows, NEW_SIZE for an unknown pattern, updates of unknown
+   * products and conflicting grade updates. Rows with errors stay out of the diff.
+   *
+   * @param {Object[]} rows - TyreCatalog.parseCSV() rows
+   * @param {Object} options
+   * @param {string[]} options.grades - Valid EU grade letters (default A-E, the engine's EU classes)
+   * @param {string} options.unknownProducts - 'error' (default) or 'warning' when the current
+   *   catalog is not available and updates of products outside it cannot be checked
+   * @returns {Object} - { valid, rows: [{ line, id, additionType, status, errors, warnings }], diff: { add, update }, summary }
+   */
+  validateChangeSet(rows, options = {}) {
+    const grades = options.grades || TyreCatalog.EU_GRADES;
+    const unknownProducts = options.unknownProducts || 'error';
+    const checked = rows.map(row => this._checkChangeRow(row, grades));
+
+    // Grade updates that disagree with each other cannot be ordered - reject all of them
+    const updatesById = new Map();
+    checked.forEach(entry => {
+      if (entry.additionType !== 'UPDATE_GRADES' || entry.errors.length > 0) return;
+      if (!updatesById.has(entry.id)) updatesById.set(entry.id, []);
+      updatesById.get(entry.id).push(entry);
+    });
+    updatesById.forEach(entries => {
+      const versions = new Set(entries.map(e => TyreCatalog._gradeSignature(e.product)));
+      if (versions.size < 2) return;
+      const lines = entries.map(e => e.line).join(', ');
+      entries.forEach(e => e.errors.push({
+        code: 'CONFLICTING_UPDATE', path: 'wetGrip', value: e.row.wetGrip,
+        message: `${e.id} has conflicting grade updates on lines ${lines}`
+      }));
+    });
+
+    const added = new Map();     // id → entry
+    const updated = new Map();   // id → entry
+    const add = [];
+    const update = [];
+    const catalogPatterns = new Set(this.byPattern.keys());
+
+    checked.forEach(entry => {
+      if (entry.errors.length > 0) return;
+      const { id, product } = entry;
+      const existing = this.products.get(id);
+      const warn = (code, path, message) => entry.warnings.push({ code, path, value: entry.row[path], message });
+      const fail = (code, path, message) => entry.errors.push({ code, path, value: entry.row[path], message });
+
+      if (entry.additionType === 'UPDATE_GRADES') {
+        const base = added.has(id) ? added.get(id).product : existing;
+        if (!base && unknownProducts === 'warning') {
+          warn('UNKNOWN_PRODUCT', 'productNumber', `${id} is not in this change set - grades not compared`);
+          entry.skipped = true;
+          return;
+        }
+        if (!base) {
+          fail('UNKNOWN_PRODUCT', 'productNumber', `${id} is not in the catalog or this change set - nothing to update`);
+          return;
+        }
+        if (updated.has(id)) {
+          warn('DUPLICATE_ROW', 'productNumber', `Same grade update as line ${updated.get(id).line}`);
+          entry.skipped = true;
+          return;
+        }
+        const from = {};
+        const to = {};
+        TyreCatalog.GRADE_FIELDS.forEach(field => {
+          if (product[field] !== base[field]) {
+            from[field] = base[field];
+            to[field] = product[field];
+          }
+        });
+        if (Object.keys(to).length === 0) {
+          warn('NO_CHANGE', 'wetGrip', `${id} already has these grades`);
+          entry.skipped = true;
+          return;
+        }
+        updated.set(id, entry);
+        update.push({ id, line: entry.line, from, to });
+        return;
+      }
+
+      if (added.has(id)) {
+        const first = added.get(id);
+        if (TyreCatalog._productSignature(first.product) === TyreCatalog._productSignature(product)) {
+          warn('DUPLICATE_ROW', 'productNumber', `Same product as line ${first.line}`);
+          entry.skipped = true;
+        } else {
+          fail('CONFLICTING_ROWS', 'productNumber', `${id} differs from line ${first.line}`);
+        }
+        return;
+      }
+      if (existing) {
+        fail('ALREADY_IN_CATALOG', 'productNumber', `${id} is already in the catalog - use UPDATE_GRADES to change its grades`);
+        return;
+      }
+      if (entry.additionType === 'NEW_PATTERN' && catalogPatterns.has(entry.patternKey)) {
+        warn('PATTERN_EXISTS', 'pattern', `${product.brand} ${product.pattern} is already in the catalog - expected NEW_SIZE`);
+      }
+      if (entry.additionType === 'NEW_SIZE' && !catalogPatterns.has(entry.patternKey) &&
+          ![...added.values()].some(e => e.patternKey === entry.patternKey)) {
+        warn('UNKNOWN_PATTERN', 'pattern', `${product.brand} ${product.pattern} is not in the catalog - expected NEW_PATTERN`);
+      }
+      added.set(id, entry);
+      add.push(product);
+    });
+
+    const results = checked.map(entry => ({
+      line: entry.line,
+      id: entry.id,
+      additionType: entry.additionType,
+      status: entry.errors.length > 0 ? 'error' : entry.skipped ? 'skipped' : entry.warnings.length > 0 ? 'warning' : 'ok',
+      errors: entry.errors,
+      warnings: entry.warnings
+    }));
+
+    return {
+      valid: results.every(r => r.status !== 'error'),
+      rows: results,
+      diff: { add, update },
+      summary: TyreCatalog._summariseChangeSet(results, add, update)
+    };
+  }
+
+  /**
+   * Apply a validateChangeSet() diff: adds first, then grade updates
+   * @returns {Object} - { added, updated, missing }
+   */
+  applyChangeSet(diff) {
+    let updated = 0;
+    const missing = [];
+    diff.add.forEach(product => this.add(product));
+    diff.update.forEach(change => {
+      const product = this.products.get(change.id);
+      if (!product) {
+        missing.push(change.id);
+        return;
+      }
+      const next = { ...product, ...change.to, additionType: 'UPDATE_GRADES' };
+      next.tyreType = TyreCatalog.classifyTyreType(next.pattern, next.snow);
+      next.winterCertification = TyreCatalog.classifyWinterCertification(next.tyreType, next.snow);
+      this.add(next);
+      updated++;
+    });
+    return { added: diff.add.length, updated, missing };
+  }
+
+  /**
+   * Row-level checks that need no catalog: fields, size, grades, noise, service class
+   */
+  _checkChangeRow(row, grades) {
+    const errors = [];
+    const warnings = [];
+    const fail = (code, path, message) => errors.push({ code, path, value: row[path], message });
+
+    if (!TyreCatalog.ADDITION_TYPES.includes(row.additionType)) {
+      fail('INVALID_ADDITION_TYPE', 'additionType', `Addition type '${row.additionType || ''}' is not one of ${TyreCatalog.ADDITION_TYPES.join(', ')}`);
+    }
+    ['brand', 'pattern', 'size', 'productNumber'].forEach(field => {
+      if (!row[field]) fail('MISSING_FIELD', field, `${field} is empty`);
+    });
+
+    const size = row.size ? TyreCatalog.parseSizeKey(row.size) : null;
+    if (row.size && !size) {
+      fail('INVALID_SIZE', 'size', `'${row.size}' is not a tyre size`);
+    } else if (size && size.parsed.format === 'metric' && (size.widthMm % 5 !== 0 || size.aspectRatio % 5 !== 0)) {
+      fail('INVALID_SIZE', 'size', `'${row.size}' has a width or aspect ratio that is not a multiple of 5`);
+    } else if (size && (size.parsed.loadCapacityKg === null || size.parsed.maxSpeedKmh === null)) {
+      warnings.push({ code: 'NO_SERVICE_DESCRIPTION', path: 'size', value: row.size, message: `'${row.size}' has no readable load index and speed symbol` });
+    }
+
+    ['wetGrip', 'fuelGrade'].forEach(field => {
+      const grade = (row[field] || '').toUpperCase();
+      if (!grades.includes(grade)) {
+        fail('INVALID_GRADE', field, `${field} '${row[field] || ''}' is not an EU grade (${grades.join(', ')})`);
+      }
+    });
+
+    const [minDb, maxDb] = TyreCatalog.NOISE_RANGE_DB;
+    if (!/^\d+$/.test(row.noiseDb || '')) {
+      fail('INVALID_NOISE', 'noiseDb', `Noise '${row.noiseDb || ''}' is not a whole number of dB`);
+    } else if (Number(row.noiseDb) < minDb || Number(row.noiseDb) > maxDb) {
+      errors.push({ code: 'OUT_OF_RANGE', path: 'noiseDb', value: row.noiseDb, min: minDb, max: maxDb, message: `Noise ${row.noiseDb} dB is outside ${minDb} to ${maxDb} dB` });
+    }
+
+    const serviceClass = (row.serviceClass || '').toUpperCase();
+    if (!TyreCatalog.SERVICE_CLASSES.includes(serviceClass)) {
+      fail('INVALID_SERVICE_CLASS', 'serviceClass', `Service class '${row.serviceClass || ''}' is not C1, C2 or C3`);
+    } else if (serviceClass === 'C1' && size && size.parsed.commercial) {
+      warnings.push({ code: 'SERVICE_CLASS_MISMATCH', path: 'serviceClass', value: row.serviceClass, message: `'${row.size}' is a commercial (C) size but is marked C1` });
+    }
+
+    if (!/^(yes|no)$/i.test(row.snow || '')) {
+      fail('INVALID_VALUE', 'snow', `Snow tyre '${row.snow || ''}' is not Yes or No`);
+    }
+
+    const product = errors.some(e => e.code === 'MISSING_FIELD') ? null : TyreCatalog.toProduct(row);
+    return {
+      line: row.line,
+      row,
+      additionType: row.additionType,
+      id: product ? product.id : null,
+      patternKey: product ? `${product.brand}|${product.pattern.toUpperCase()}` : null,
+      product,
+      errors,
+      warnings,
+      skipped: false
+    };
+  }
+
+  static _gradeSignature(product) {
+    return TyreCatalog.GRADE_FIELDS.map(field => product[field]).join('|');
+  }
+
+  static _productSignature(product) {
+    return [product.pattern, product.size, product.serviceClass, TyreCatalog._gradeSignature(product)].join('|');
+  }
+
+  static _summariseChangeSet(results, add, update) {
+    const summary = { rows: results.length, ok: 0, warning: 0, skipped: 0, error: 0, add: add.length, update: update.length, byType: {}, issues: {} };
+    results.forEach(r => {
+      summary[r.status]++;
+      const type = r.additionType || '(none)';
+      if (!summary.byType[type]) summary.byType[type] = { rows: 0, error: 0 };
+      summary.byType[type].rows++;
+      if (r.status === 'error') summary.byType[type].error++;
+      r.errors.concat(r.warnings).forEach(issue => {
+        summary.issues[issue.code] = (summary.issues[issue.code] || 0) + 1;
+      });
+    });
+    return summary;
+  }
+}
+
+// CSV header → product field
+TyreCatalog.COLUMNS = {
+  'Addition Type': 'additionType',
+  'Brand': 'brand',
+  'Pattern': 'pattern',
+  'Size': 'size',
+  'Product Number': 'productNumber',
+  'Service Class': 'serviceClass',
+  'Fuel Efficiency': 'fuelGrade',
+  'Wet Grip': 'wetGrip',
+  'Noise (dB)': 'noiseDb',
+  'Snow Tyre': 'snow'
+};
+
+// Change-set rows (see validateChangeSet)
+TyreCatalog.ADDITION_TYPES = ['NEW_PATTERN', 'NEW_SIZE', 'UPDATE_GRADES'];
+
+// EU label classes A-E - the engine's euGrades without the non-EU 'F'
+TyreCatalog.EU_GRADES = ['A', 'B', 'C', 'D', 'E'];
+
+// C1 passenger, C2 light commercial, C3 truck (EU 2020/740)
+TyreCatalog.SERVICE_CLASSES = ['C1', 'C2', 'C3'];
+
+// Plausible labelled rolling noise; EU limit values run 70-77 dB by class and width
+TyreCatalog.NOISE_RANGE_DB = [60, 80];
+
+// Label fields an UPDATE_GRADES row may change
+TyreCatalog.GRADE_FIELDS = ['fuelGrade', 'wetGrip', 'noiseDb', 'snow'];
+
+// Pattern names that mark a winter tyre ('ICE KNIGHT', 'Winter Xpro 888', 'FREEZE S1'...)
+TyreCatalog.WINTER_PATTERN = /WINTER|\bICE|SNOW|NORD|ALPIN|FREEZ|FROST|POLAR|ARCTIC|BLIZZ|HAKKA|SIBIR|STUD|GLACI|TUNDRA/i;
+
+// All-season, all-weather and snow-rated all-terrain names ('SF-983 AS', 'ECOBLUE 4S', 'ROCK A/S ONE',
+// 'SeasonX', 'GEOLANDAR CV4S'...). Checked against data/allseason-lines.json by tools/tyre-type-check.js
+TyreCatalog.ALLSEASON_PATTERN = /ALL[- ]?(SEASON|WEATHER|CLIMATE|YEAR|TERRAIN)|SEASON|4S\b|\bA\/?S\b|QUATRAC|CROSSCLIMATE|\bA\/T|\bX\/T/i;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TyreCatalog;
+}
+if (typeof window !== 'undefined') {
+  window.TyreCatalog = TyreCatalog;
+}
@@ -100,6 +100,9 @@
 const TyreCategoriesSourced = (function() {
   'use strict';
 
+  // Shared surface list (js/surfaces.js - loaded before this file)
+  const surfaceRegistry = typeof SurfaceRegistry !== 'undefined' ? SurfaceRegistry : require('./surfaces.js');
+
   // ═══════════════════════════════════════════════════════════════════════════
   // SECTION 1: BASELINE FRICTION COEFFICIENTS
   // Source: Wong (1993) Table from p.26, Bosch (1996) p.335
@@ -987,51 +990,84 @@ const TyreCategoriesSourced = (function() {
     return PATTERN_DIRECTIONS['SYMMETRICAL'];
   }
 
+  /**
+   * Get winter certification by code or sidewall marking
+   * @param {string} input - 'MS', 'M+S', '3PMSF', 'ICE_GRIP'...
+   * @returns {Object|null} Certification data or null if not found
+   */
+  function getWinterCertification(input) {
+    if (!input) return null;
+
+    const normalised = input.toUpperCase().replace(/[-\s+_]/g, '');
+
+    const aliases = {
+      'MS': 'MS',
+      'MUDANDSNOW': 'MS',
+      '3PMSF': '3PMSF',
+      'SNOWFLAKE': '3PMSF',
+      'ICEGRIP': 'ICE_GRIP',
+      'ICE': 'ICE_GRIP'
+    };
+
+    return aliases[normalised] ? WINTER_CERTIFICATIONS[aliases[normalised]] : null;
+  }
+
+  /**
+   * Snow and ice grip implied by a winter certification
+   *
+   * snow - relative to a tyre that just passes 3PMSF (traction index 110).
+   *   3PMSF uses the middle of the typical range for the tyre kind; M+S is
+   *   its estimated share of 3PMSF traction. Ice grip tyres also carry 3PMSF.
+   * ice - relative to the reference tyre; only the ice grip symbol is tested on ice.
+   *
+   * @param {string} certification - Certification code or marking
+   * @param {boolean} winterCompound - Dedicated winter tyre (vs all-weather)
+   * @returns {Object|null} { code, name, snow, ice, source } or null if not found
+   */
+  function getWinterGrip(certification, winterCompound = false) {
+    const cert = getWinterCertification(certification);
+    if (!cert) return null;
+
+    const threePeak = WINTER_CERTIFICATIONS['3PMSF'];
+    const range = threePeak.typicalRanges[winterCompound || cert.code === 'ICE_GRIP' ? 'winter' : 'allWeather'];
+    const threePeakSnow = ((range.min + range.max) / 2) / threePeak.requirements.minimumTractionIndex;
+
+    return {
+      code: cert.code,
+      name: cert.name,
+      snow: cert.code === 'M+S' ? cert.estimatedSnowPerformance : threePeakSnow,
+      ice: cert.iceTractionIndex || 1.0,
+      source: cert.source
+    };
+  }
+
   /**
    * Calculate combined modifier for physics engine
    * @param {string} terrainCategory - Category code
    * @param {string} patternDirection - Pattern code
-   * @param {string} surfaceType - Surface from physics.js
+   * @param {string} surfaceType - Surface registry key or alias (js/surfaces.js)
    * @param {boolean} isWet - Whether surface is wet
+   * @param {string} winterCertification - Optional 'MS', '3PMSF' or 'ICE_GRIP' marking
    * @returns {Object} Combined modifiers with citation
    */
-  function getCombinedModifier(terrainCategory, patternDirection, surfaceType, isWet = false) {
+  function getCombinedModifier(terrainCategory, patternDirection, surfaceType, isWet = false, winterCertification = null) {
     const category = getTerrainCategory(terrainCategory);
     const pattern = getPatternDirection(patternDirection);
 
-    // Map physics.js surface types to our modifier keys
-    const surfaceMapping = {
-      'ASPHALT_ROUGH':    isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'ASPHALT_NEW':      isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'ASPHALT_STD':      isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'ASPHALT_WORN':     isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'ASPHALT_SMOOTH':   isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'CONCRETE_ROUGH':   isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'CONCRETE_STD':     isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'CONCRETE_SMOOTH':  isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'CHIPSEAL':         isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'COBBLESTONE':      isWet ? 'asphalt_wet' : 'asphalt_dry',
-      'GRAVEL_PACKED':    'gravel',
-      'GRAVEL_LOOSE':     'gravel',
-      'DIRT_DRY':         'gravel',
-      'DIRT_LOOSE':       'gravel',
-      'SAND':             'gravel',
-      'GRASS_DRY':        'gravel',
-      'GRASS_WET':        'mud',
-      'MUD':              'mud',
-      'SNOW_LIGHT':       'snow',
-      'SNOW_PACKED':      'snow',
-      'SNOW_DEEP':        'snow',
-      'ICE_ROUGH':        'ice',
-      'ICE_SMOOTH':       'ice',
-      'ICE_WET':          'ice',
-      'ICE_SNOW':         'ice'
-    };
-
-    const modifierKey = surfaceMapping[surfaceType] || 'asphalt_dry';
+    // Surface registry traction class → our modifier keys (aliases resolve too)
+    const modifierKey = surfaceRegistry.getTractionModifierKey(surfaceType, isWet);
 
     // Get terrain modifier
-    const terrainMod = category.modifiers[modifierKey] || 1.0;
+    let terrainMod = category.modifiers[modifierKey] || 1.0;
+
+    // A winter marking can raise the category's snow estimate to certified
+    // traction (never lower it); the ice grip index scales the category's ice grip
+    const winterGrip = getWinterGrip(winterCertification, category.code === 'WINTER');
+    if (winterGrip && modifierKey === 'snow') {
+      terrainMod = Math.max(terrainMod, winterGrip.snow);
+    } else if (winterGrip && modifierKey === 'ice') {
+      terrainMod *= winterGrip.ice;
+    }
 
     // Get pattern modifier (wet/dry grip)
     let patternMod = 1.0;
@@ -1047,7 +1083,8 @@ const TyreCategoriesSourced = (function() {
       combinedModifier: terrainMod * patternMod,
       terrainSource: category.testData?.source || 'Research composite',
       patternSource: pattern.source,
-      notes: `${category.name} (${terrainMod.toFixed(2)}) x ${pattern.name} (${patternMod.toFixed(2)})`
+      winterCertification: winterGrip ? winterGrip.code : null,
+      notes: `${category.name}${winterGrip ? ` ${winterGrip.code}` : ''} (${terrainMod.toFixed(2)}) x ${pattern.name} (${patternMod.toFixed(2)})`
     };
   }
 
@@ -1118,6 +1155,8 @@ const TyreCategoriesSourced = (function() {
     // Helper functions
     getTerrainCategory,
     getPatternDirection,
+    getWinterCertification,
+    getWinterGrip,
     getCombinedModifier,
     getBoschFriction,
 
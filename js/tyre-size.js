@@ -0,0 +1,276 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TYRE SIDEWALL SIZE PARSER v1.0.0
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Reads the size and service description moulded on a tyre sidewall, as
+ * written on labels and in the product catalog:
+ *
+ *   205/55R16 91V              passenger, load index 91 (615 kg), V (240 km/h)
+ *   245/40ZR18 97Y XL          ZR construction, extra load
+ *   P215/70R16 99T             P-metric (US passenger)
+ *   LT265/70R17 121/118S       light truck, single/dual load index
+ *   215/60R16C 103/101 T       van (C = commercial)
+ *   235/65R16C 10PR 121/119 R  ply rating
+ *   315/80R22.5 156/150 L 154/150 M   truck, alternate service description
+ *   31x10.50R15LT 109Q         flotation (inches)
+ *   155R13 (155/80R13) 84N     aspect ratio given in brackets
+ *   235/35ZR19 (91Y)           bracketed service description (ZR, above the
+ *                              symbol's speed - limit set by the tyre maker)
+ *   265/70R17 121/118S LT      LT suffix written as a separate word
+ *
+ * Load index → kg and speed symbol → km/h from ISO 4000-1 / ETRTO.
+ * Maximum (new) tread depth is typical for the category, not a standard.
+ *
+ * Load it before physics.js and game.js.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+const TyreSize = (function() {
+  'use strict';
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LOAD INDEX → MAXIMUM LOAD PER TYRE (kg) - ISO 4000-1 / ETRTO
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const LOAD_INDEX_KG = {
+    50: 190, 51: 195, 52: 200, 53: 206, 54: 212, 55: 218, 56: 224, 57: 230, 58: 236, 59: 243,
+    60: 250, 61: 257, 62: 265, 63: 272, 64: 280, 65: 290, 66: 300, 67: 307, 68: 315, 69: 325,
+    70: 335, 71: 345, 72: 355, 73: 365, 74: 375, 75: 387, 76: 400, 77: 412, 78: 425, 79: 437,
+    80: 450, 81: 462, 82: 475, 83: 487, 84: 500, 85: 515, 86: 530, 87: 545, 88: 560, 89: 580,
+    90: 600, 91: 615, 92: 630, 93: 650, 94: 670, 95: 690, 96: 710, 97: 730, 98: 750, 99: 775,
+    100: 800, 101: 825, 102: 850, 103: 875, 104: 900, 105: 925, 106: 950, 107: 975, 108: 1000, 109: 1030,
+    110: 1060, 111: 1090, 112: 1120, 113: 1150, 114: 1180, 115: 1215, 116: 1250, 117: 1285, 118: 1320, 119: 1360,
+    120: 1400, 121: 1450, 122: 1500, 123: 1550, 124: 1600, 125: 1650, 126: 1700, 127: 1750, 128: 1800, 129: 1850,
+    130: 1900, 131: 1950, 132: 2000, 133: 2060, 134: 2120, 135: 2180, 136: 2240, 137: 2300, 138: 2360, 139: 2430,
+    140: 2500, 141: 2575, 142: 2650, 143: 2725, 144: 2800, 145: 2900, 146: 3000, 147: 3075, 148: 3150, 149: 3250,
+    150: 3350, 151: 3450, 152: 3550, 153: 3650, 154: 3750, 155: 3875, 156: 4000, 157: 4125, 158: 4250, 159: 4375,
+    160: 4500, 161: 4625, 162: 4750, 163: 4875, 164: 5000, 165: 5150, 166: 5300, 167: 5450, 168: 5600, 169: 5800,
+    170: 6000
+  };
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SPEED SYMBOL → MAXIMUM SPEED (km/h)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const SPEED_SYMBOL_KMH = {
+    'A1': 5, 'A2': 10, 'A3': 15, 'A4': 20, 'A5': 25, 'A6': 30, 'A7': 35, 'A8': 40,
+    'B': 50, 'C': 60, 'D': 65, 'E': 70, 'F': 80, 'G': 90, 'J': 100, 'K': 110,
+    'L': 120, 'M': 130, 'N': 140, 'P': 150, 'Q': 160, 'R': 170, 'S': 180, 'T': 190,
+    'U': 200, 'H': 210, 'V': 240, 'W': 270, 'Y': 300,
+    '(Y)': 300   // above 300 km/h - limit set by the tyre maker
+  };
+
+  // ZR with no service description: rated above 240 km/h
+  const ZR_MIN_SPEED_KMH = 240;
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CATEGORIES - typical new tread depth
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  const CATEGORIES = {
+    passenger:  { label: 'Passenger', minTreadMm: 0 },
+    van:        { label: 'Van / light commercial (C)', minTreadMm: 10 },
+    lightTruck: { label: 'Light truck / 4WD (LT)', minTreadMm: 12 },
+    truck:      { label: 'Truck / bus', minTreadMm: 16 }
+  };
+
+  const RUN_FLAT_MARKERS = ['RFT', 'ROF', 'RSC', 'SSR', 'ZP', 'DSST', 'EMT', 'RUNFLAT'];
+  const EXTRA_LOAD_MARKERS = ['XL', 'RF', 'REINF', 'REINFORCED'];
+
+  // Width-based new tread depth, as the game has always used for passenger sizes
+  function treadDepthForWidth(widthMm) {
+    if (widthMm < 165) return 7;   // Small/trailer tyres
+    if (widthMm < 195) return 8;   // Standard passenger
+    if (widthMm < 225) return 9;   // Larger passenger
+    if (widthMm < 255) return 10;  // Performance/SUV
+    if (widthMm < 285) return 12;  // Large SUV/4WD
+    return 16;                     // Truck/off-road tyres
+  }
+
+  function loadCapacityKg(index) {
+    return index === null ? null : (LOAD_INDEX_KG[index] || null);
+  }
+
+  function speedKmh(symbol) {
+    return symbol === null ? null : (SPEED_SYMBOL_KMH[symbol] || null);
+  }
+
+  /**
+   * '121/118 S' → { loadIndex: 121, dualLoadIndex: 118, speedSymbol: 'S', ... }
+   * A bracketed symbol keeps its own entry ('(Y)') or else its plain rating
+   */
+  function serviceDescription(loadIndex, dualLoadIndex, symbol) {
+    const speedSymbol = symbol && !SPEED_SYMBOL_KMH[symbol] ? symbol.replace(/[()]/g, '') : symbol;
+    const single = parseInt(loadIndex, 10);
+    const dual = dualLoadIndex ? parseInt(dualLoadIndex, 10) : null;
+    return {
+      loadIndex: single,
+      dualLoadIndex: dual,
+      loadCapacityKg: loadCapacityKg(single),
+      dualLoadCapacityKg: loadCapacityKg(dual),
+      speedSymbol,
+      maxSpeedKmh: speedKmh(speedSymbol)
+    };
+  }
+
+  // Size designations (the part before the service description)
+  const METRIC_SIZE = /^(P|LT|HL|T|ST)?(\d{3})\/(\d{2,3})(ZR|R|RF|D|B|-)(\d{2}(?:\.\d)?)(LT|CP|C)?/;
+  const NO_ASPECT_SIZE = /^(\d{3})(R)(\d{2})(C)?/;
+  const FLOTATION_SIZE = /^(LT)?(\d{2}(?:\.\d)?)X(\d{1,2}(?:\.\d{1,2})?)(R|D|B|-)(\d{2}(?:\.\d)?)(LT|C)?/;
+  const SPEED_SYMBOL = 'A[1-8]|[B-HJ-NP-WY]';
+  const SERVICE = new RegExp(`^(\\d{2,3})(?:\\/(\\d{2,3}))?\\s*(\\((?:${SPEED_SYMBOL})\\)|${SPEED_SYMBOL})(?=\\s|$)`);
+  // '(91Y)' - the whole service description in brackets
+  const BRACKETED_SERVICE = new RegExp(`\\((\\d{2,3}(?:\\/\\d{2,3})?)\\s*(${SPEED_SYMBOL})\\)`, 'g');
+
+  /**
+   * Parse a sidewall size
+   * @param {string} input - e.g. '245/40R18 97 H XL'
+   * @returns {Object|null} - null when no size designation is found, or a
+   *   load index is not in LOAD_INDEX_KG
+   */
+  function parse(input) {
+    if (typeof input !== 'string') return null;
+
+    // Cyrillic С (seen in catalog data) → C, drop spacing noise
+    let text = input.toUpperCase().replace(/С/g, 'C').replace(/\s+/g, ' ').trim();
+
+    // '155R13 (155/80R13)' - the bracketed size carries the aspect ratio
+    const bracketed = text.match(/\(\s*(\d{3}\/\d{2,3}\s?Z?R\s?\d{2}(?:\.\d)?C?)\s*\)/);
+    if (bracketed) text = text.replace(bracketed[0], ' ').replace(/^(\d{3})R(\d{2})C?/, bracketed[1].replace(/\s/g, '')).replace(/\s+/g, ' ').trim();
+
+    // Tolerate a space before R or a split C suffix: '205/55 R16', '225/70R15 C 112/110 R'
+    text = text.replace(/^([A-Z]{0,2}\d{3}\/\d{2,3}) ?(Z?R) ?(\d{2}(?:\.\d)?)( C\b)?/, (m, a, r, rim, c) => `${a}${r}${rim}${c ? 'C' : ''}`);
+
+    let size = null;
+    let match = text.match(METRIC_SIZE);
+    if (match) {
+      size = {
+        format: 'metric',
+        prefix: match[1] || null,
+        widthMm: parseInt(match[2], 10),
+        aspectRatio: parseInt(match[3], 10),
+        construction: match[4] === '-' ? 'D' : match[4],
+        rimInches: parseFloat(match[5]),
+        suffix: match[6] || null
+      };
+    } else if ((match = text.match(NO_ASPECT_SIZE))) {
+      // Older metric sizes with no aspect ratio are 82 series
+      size = {
+        format: 'metric',
+        prefix: null,
+        widthMm: parseInt(match[1], 10),
+        aspectRatio: 82,
+        construction: 'R',
+        rimInches: parseFloat(match[3]),
+        suffix: match[4] || null
+      };
+    } else if ((match = text.match(FLOTATION_SIZE))) {
+      const diameterIn = parseFloat(match[2]);
+      const widthIn = parseFloat(match[3]);
+      const rimInches = parseFloat(match[5]);
+      size = {
+        format: 'flotation',
+        prefix: match[1] || null,
+        overallDiameterIn: diameterIn,
+        widthIn,
+        widthMm: Math.round(widthIn * 25.4),
+        aspectRatio: Math.round(((diameterIn - rimInches) / 2) / widthIn * 100),
+        construction: match[4] === '-' ? 'D' : match[4],
+        rimInches,
+        suffix: match[6] || null
+      };
+    }
+    if (!size || size.widthMm <= 0 || size.rimInches <= 0) return null;
+
+    let rest = text.slice(match[0].length).replace(/^-/, ' ').trim();
+
+    // Markers can sit anywhere after the size: '225/55R16 XL 99 H XL'
+    const words = rest.split(' ');
+    const has = markers => words.some(word => markers.includes(word));
+    const extraLoad = has(EXTRA_LOAD_MARKERS);
+    const runFlat = has(RUN_FLAT_MARKERS) || size.construction === 'RF';
+    // '265/70R17 121/118S LT' - the LT suffix as a separate word
+    if (has(['LT']) && !size.suffix) size.suffix = 'LT';
+    const ply = rest.match(/\b(\d{1,2})\s?PR\b/);
+    rest = words.filter(word => !EXTRA_LOAD_MARKERS.includes(word) && !RUN_FLAT_MARKERS.includes(word) && word !== 'LT' && !/^\d{1,2}PR$/.test(word)).join(' ');
+    rest = rest.replace(BRACKETED_SERVICE, '$1 ($2)');
+    if (ply) rest = rest.replace(ply[0], ' ').replace(/\s+/g, ' ').trim();
+
+    // One or more service descriptions: '112/110 R 121/120 R', '158 L 160 K'
+    const services = [];
+    let serviceMatch;
+    while ((serviceMatch = rest.match(SERVICE))) {
+      const service = serviceDescription(serviceMatch[1], serviceMatch[2], serviceMatch[3]);
+      // '205/55R16 300V' - no such load index
+      if (service.loadCapacityKg === null || (service.dualLoadIndex !== null && service.dualLoadCapacityKg === null)) return null;
+      services.push(service);
+      rest = rest.slice(serviceMatch[0].length).trim();
+    }
+    const primary = services[0] || serviceDescription(null, null, null);
+    if (!services[0]) {
+      primary.loadIndex = null;
+      primary.speedSymbol = null;
+      primary.maxSpeedKmh = size.construction === 'ZR' ? ZR_MIN_SPEED_KMH : null;
+    }
+
+    const commercial = size.suffix === 'C' || size.suffix === 'CP';
+    const lightTruck = size.prefix === 'LT' || size.suffix === 'LT' || (size.format === 'flotation' && !commercial);
+    // Truck rims are 17.5/19.5/22.5; a load index this high is never a car tyre
+    const truck = !commercial && !lightTruck && (/\.5$/.test(String(size.rimInches)) || primary.loadIndex >= 125);
+    // A dual load index without C/LT is still a light commercial tyre ('185/85R16 105/103 N')
+    const category = truck ? 'truck' : lightTruck ? 'lightTruck' : (commercial || primary.dualLoadIndex !== null) ? 'van' : 'passenger';
+
+    const designation = size.format === 'flotation'
+      ? `${size.prefix || ''}${size.overallDiameterIn}X${size.widthIn}${size.construction}${size.rimInches}${size.suffix || ''}`
+      : `${size.prefix || ''}${size.widthMm}/${size.aspectRatio}${size.construction}${size.rimInches}${size.suffix || ''}`;
+
+    return {
+      input,
+      size: designation,
+      ...size,
+      category,
+      categoryLabel: CATEGORIES[category].label,
+      commercial,
+      extraLoad,
+      runFlat,
+      plyRating: ply ? parseInt(ply[1], 10) : null,
+      loadIndex: primary.loadIndex,
+      dualLoadIndex: primary.dualLoadIndex,
+      loadCapacityKg: primary.loadCapacityKg,
+      dualLoadCapacityKg: primary.dualLoadCapacityKg,
+      speedSymbol: primary.speedSymbol,
+      maxSpeedKmh: primary.maxSpeedKmh,
+      alternateService: services.slice(1),
+      maxTreadDepthMm: Math.max(treadDepthForWidth(size.widthMm), CATEGORIES[category].minTreadMm)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  return {
+    VERSION: '1.0.0',
+    LOAD_INDEX_KG,
+    SPEED_SYMBOL_KMH,
+    CATEGORIES,
+
+    parse,
+
+    // Load index → kg per tyre (null if unknown)
+    loadCapacityKg: index => loadCapacityKg(parseInt(index, 10)),
+
+    // Speed symbol → km/h (null if unknown)
+    maxSpeedKmh: symbol => speedKmh(String(symbol).toUpperCase())
+  };
+
+})();
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TyreSize;
+}
+if (typeof window !== 'undefined') {
+  window.TyreSize = TyreSize;
+}
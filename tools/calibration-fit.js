@@ -0,0 +1,103 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CALIBRATION FIT - tune the engine to local braking test data
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Reads a CSV of measured stops, fits the calibration multipliers and surface
+ * peak/slide values by least squares (fitCalibrationProfile()) and writes a
+ * profile for physics.loadCalibrationProfile().
+ *
+ * CSV header (one stop per row, column order free):
+ *   speedKmh,surfaceType,waterDepthMm,tyreType,distanceM
+ * Optional columns: euGrade, treadDepthMm, tyreAgeYears, ambientTempC,
+ *   hasABS (true/false), metric (braking|total), reactionTimeSeconds, id, source
+ * Short names are accepted too: speed, surface, water, tyre, distance.
+ *
+ * Usage:
+ *   node tools/calibration-fit.js stops.csv --name "NZ chipseal day" --out profile.json
+ *   node tools/calibration-fit.js stops.csv --no-surfaces    # calibration cells only
+ */
+
+const fs = require('fs');
+const UltimateBrakingPhysics = require('../js/physics.js');
+
+const COLUMN_ALIASES = {
+  speed: 'speedKmh', speed_kmh: 'speedKmh',
+  surface: 'surfaceType', surface_type: 'surfaceType',
+  water: 'waterDepthMm', water_mm: 'waterDepthMm',
+  tyre: 'tyreType', tyre_type: 'tyreType',
+  distance: 'distanceM', distance_m: 'distanceM',
+  grade: 'euGrade', eu_grade: 'euGrade',
+  abs: 'hasABS'
+};
+const NUMERIC = ['speedKmh', 'waterDepthMm', 'distanceM', 'treadDepthMm', 'tyreAgeYears', 'ambientTempC', 'reactionTimeSeconds'];
+const CONDITIONS = ['speedKmh', 'surfaceType', 'waterDepthMm', 'treadDepthMm', 'tyreAgeYears', 'ambientTempC', 'hasABS', 'reactionTimeSeconds'];
+const REQUIRED = ['speedKmh', 'surfaceType', 'tyreType', 'distanceM'];
+
+/**
+ * CSV rows → runCalibrationSuite() stops
+ */
+function parseStops(csv) {
+  const lines = csv.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+  const header = lines[0].split(',').map(h => {
+    const name = h.trim();
+    return COLUMN_ALIASES[name.toLowerCase()] || name;
+  });
+  const missing = REQUIRED.filter(col => !header.includes(col));
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return lines.slice(1).map((line, index) => {
+    const row = {};
+    line.split(',').forEach((cell, i) => {
+      const value = cell.trim();
+      if (value === '' || !header[i]) return;
+      if (NUMERIC.includes(header[i])) row[header[i]] = Number(value);
+      else if (header[i] === 'hasABS') row.hasABS = !/^(false|no|0)$/i.test(value);
+      else row[header[i]] = value;
+    });
+    if (REQUIRED.some(col => row[col] === undefined || Number.isNaN(row[col]))) {
+      throw new Error(`CSV line ${index + 2}: needs ${REQUIRED.join(', ')}`);
+    }
+
+    const conditions = { waterDepthMm: 0 };
+    CONDITIONS.forEach(col => { if (row[col] !== undefined) conditions[col] = row[col]; });
+    conditions.surfaceType = row.surfaceType.toUpperCase();
+    return {
+      id: row.id || `ROW-${index + 1}`,
+      source: row.source || 'local test',
+      tyre: { tyreType: row.tyreType.toLowerCase(), euGrade: row.euGrade || null },
+      conditions,
+      measured: { metric: row.metric === 'total' ? 'total' : 'braking', distanceM: row.distanceM }
+    };
+  });
+}
+
+const args = process.argv.slice(2);
+const csvPath = args.find((arg, i) => !arg.startsWith('--') && !['--name', '--out'].includes(args[i - 1]));
+if (!csvPath) {
+  console.error('Usage: node tools/calibration-fit.js stops.csv [--name "Profile name"] [--out profile.json] [--no-surfaces]');
+  process.exit(1);
+}
+const option = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+const stops = parseStops(fs.readFileSync(csvPath, 'utf8'));
+const physics = new UltimateBrakingPhysics();
+const fit = physics.fitCalibrationProfile(stops, {
+  name: option('--name'),
+  fitSurfaces: !args.includes('--no-surfaces')
+});
+
+console.log(`Fitted ${fit.parameters.length} parameters to ${stops.length} stops`);
+fit.parameters.forEach(p => console.log(`  ${p.name.padEnd(34)} × ${p.multiplier}`));
+console.log(`RMSE ${fit.before.rmseM} m → ${fit.after.rmseM} m, mean absolute error ${fit.before.meanAbsErrorPct}% → ${fit.after.meanAbsErrorPct}%`);
+
+const json = JSON.stringify(fit.profile, null, 2) + '\n';
+const outPath = option('--out');
+if (outPath) {
+  fs.writeFileSync(outPath, json);
+  console.log(`Profile written to ${outPath} - load with physics.loadCalibrationProfile()`);
+} else {
+  console.log(json);
+}
@@ -0,0 +1,85 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CALIBRATION REGRESSION REPORT
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs data/calibration-tests.json through the physics engine and prints
+ * per-test error, RMSE by surface and tyre type, and drift against the
+ * predictions saved in data/calibration-baseline.json.
+ *
+ * Coverage is only as wide as the data: tests with a pre-modern vehicleYear
+ * take the era model and never reach _getRealWorldCalibration() or a
+ * --profile. The report lists which calibration cells the tests exercise.
+ *
+ * Usage:
+ *   node tools/calibration-report.js                  # report + drift
+ *   node tools/calibration-report.js --json           # raw report
+ *   node tools/calibration-report.js --update-baseline
+ *   node tools/calibration-report.js --profile profile.json   # with a fitted profile
+ *
+ * Update the baseline only after reviewing a physics change - the next run
+ * then reports drift relative to the new engine version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const UltimateBrakingPhysics = require('../js/physics.js');
+
+const TESTS_PATH = path.join(__dirname, '..', 'data', 'calibration-tests.json');
+const BASELINE_PATH = path.join(__dirname, '..', 'data', 'calibration-baseline.json');
+
+const args = process.argv.slice(2);
+const { tests } = JSON.parse(fs.readFileSync(TESTS_PATH, 'utf8'));
+const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : null;
+
+const physics = new UltimateBrakingPhysics();
+if (args.includes('--profile')) {
+  physics.loadCalibrationProfile(JSON.parse(fs.readFileSync(args[args.indexOf('--profile') + 1], 'utf8')));
+}
+const report = physics.runCalibrationSuite(tests, { baseline });
+
+if (args.includes('--update-baseline')) {
+  const predictions = Object.fromEntries(report.results.map(r => [r.id, r.predictedM]));
+  fs.writeFileSync(BASELINE_PATH, JSON.stringify({ engineVersion: report.engineVersion, predictions }, null, 2) + '\n');
+  console.log(`Baseline written for engine v${report.engineVersion} (${report.count} tests)`);
+  process.exit(0);
+}
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+const pad = (value, width) => String(value).padEnd(width);
+const padL = (value, width) => String(value).padStart(width);
+
+console.log(`Calibration report - engine v${report.engineVersion}, ${report.count} tests`);
+console.log('─'.repeat(78));
+console.log(`${pad('Test', 18)}${pad('Surface', 14)}${pad('Tyre', 10)}${padL('Measured', 10)}${padL('Model', 9)}${padL('Error', 9)}${padL('%', 8)}`);
+report.results.forEach(r => {
+  console.log(`${pad(r.id, 18)}${pad(r.surfaceType, 14)}${pad(r.tyreType, 10)}${padL(r.measuredM, 10)}${padL(r.predictedM, 9)}${padL(r.errorM, 9)}${padL(r.errorPct, 8)}`);
+});
+console.log('─'.repeat(78));
+console.log(`RMSE ${report.rmseM} m, mean absolute error ${report.meanAbsErrorPct}%`);
+Object.entries(report.bySurface).forEach(([name, g]) => console.log(`  surface ${pad(name, 14)} n=${pad(g.count, 4)} RMSE ${g.rmseM} m`));
+Object.entries(report.byTyreType).forEach(([name, g]) => console.log(`  tyre    ${pad(name, 14)} n=${pad(g.count, 4)} RMSE ${g.rmseM} m`));
+
+// What the tests actually check
+const modernCells = Object.keys(report.byCalibration).filter(cell => cell !== 'era');
+const eraCount = report.byCalibration.era ? report.byCalibration.era.count : 0;
+console.log(`\nCoverage: ${eraCount} era-adjusted test(s), ${report.count - eraCount} on the modern calibration`);
+console.log(modernCells.length > 0
+  ? `  modern calibration cells checked: ${modernCells.join(', ')} - all other surface/tyre cells are untested`
+  : '  no test reaches the modern calibration - its multipliers are not checked by this report');
+if (args.includes('--profile') && modernCells.length === 0) {
+  console.log('  --profile has no effect: the profile scales the modern calibration only');
+}
+
+if (!report.drift) {
+  console.log('\nNo baseline - run with --update-baseline to record one');
+} else {
+  const { drift } = report;
+  console.log(`\nDrift v${drift.fromVersion} → v${drift.toVersion}: ${drift.changed.length} changed, max ${drift.maxDeltaM} m`);
+  drift.changed.forEach(d => console.log(`  ${pad(d.id, 18)}${padL(d.previousM, 8)} → ${padL(d.currentM, 8)} (${d.deltaM > 0 ? '+' : ''}${d.deltaM} m)`));
+  if (drift.newTests.length > 0) console.log(`  Not in baseline: ${drift.newTests.join(', ')}`);
+}
@@ -0,0 +1,80 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CATALOG CHANGE-SET VALIDATOR
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Checks NEW_PATTERN / NEW_SIZE / UPDATE_GRADES rows (proposed_additions.csv
+ * format) before they reach the catalog, and writes the diff that applies the
+ * valid rows (catalog.applyChangeSet()).
+ *
+ * Grade letters are the engine's EU classes (euGrades with isEU).
+ *
+ * The current catalog is --catalog. The repo ships none (the game builds its
+ * catalog from the change set itself), so by default UPDATE_GRADES rows for
+ * products the change set does not list are row-checked and skipped, not rejected.
+ *
+ * Usage:
+ *   node tools/catalog-validate.js                                # proposed_additions.csv, no current catalog
+ *   node tools/catalog-validate.js changes.csv --catalog current.csv --out diff.json
+ *   node tools/catalog-validate.js changes.csv --json             # full row-by-row report
+ *   node tools/catalog-validate.js changes.csv --errors 50        # list up to 50 rejected rows
+ *
+ * Exits with code 1 when any row has an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TyreCatalog = require('../js/tyre-catalog.js');
+const UltimateBrakingPhysics = require('../js/physics.js');
+
+const args = process.argv.slice(2);
+const valueFlags = ['--catalog', '--out', '--errors'];
+const option = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+const changesPath = args.find((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1])) ||
+  path.join(__dirname, '..', 'proposed_additions.csv');
+
+const physics = new UltimateBrakingPhysics();
+const grades = Object.keys(physics.euGrades).filter(grade => physics.euGrades[grade].isEU);
+
+const catalog = option('--catalog')
+  ? TyreCatalog.fromCSV(fs.readFileSync(option('--catalog'), 'utf8'))
+  : new TyreCatalog();
+const rows = TyreCatalog.parseCSV(fs.readFileSync(changesPath, 'utf8'));
+const report = catalog.validateChangeSet(rows, { grades, unknownProducts: option('--catalog') ? 'error' : 'warning' });
+
+if (option('--out')) {
+  fs.writeFileSync(option('--out'), JSON.stringify(report.diff, null, 2) + '\n');
+}
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(report.valid ? 0 : 1);
+}
+
+const { summary } = report;
+const pad = (value, width) => String(value).padEnd(width);
+
+console.log(`Change set ${path.basename(changesPath)} against ${option('--catalog') ? path.basename(option('--catalog')) : 'no current catalog'} (${catalog.size} products)`);
+console.log('─'.repeat(78));
+console.log(`${summary.rows} rows: ${summary.ok} ok, ${summary.warning} with warnings, ${summary.skipped} skipped, ${summary.error} rejected`);
+Object.entries(summary.byType).forEach(([type, t]) => console.log(`  ${pad(type, 16)} ${pad(t.rows, 7)} rows, ${t.error} rejected`));
+console.log(`Diff: ${summary.add} products to add, ${summary.update} grade updates`);
+
+if (Object.keys(summary.issues).length > 0) {
+  console.log('\nIssues');
+  Object.entries(summary.issues)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([code, count]) => console.log(`  ${pad(code, 24)} ${count}`));
+}
+
+const limit = Number(option('--errors') || 20);
+const rejected = report.rows.filter(r => r.status === 'error');
+if (rejected.length > 0) {
+  console.log(`\nRejected rows${rejected.length > limit ? ` (first ${limit})` : ''}`);
+  rejected.slice(0, limit).forEach(r => {
+    r.errors.forEach(e => console.log(`  line ${pad(r.line, 7)} ${pad(e.code, 22)} ${e.message}`));
+  });
+}
+
+if (option('--out')) console.log(`\nDiff written to ${option('--out')} - apply with catalog.applyChangeSet()`);
+process.exit(report.valid ? 0 : 1);
@@ -0,0 +1,31 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * TYRE TYPE CLASSIFICATION CHECK
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Runs the known all-season lines in data/allseason-lines.json through
+ * TyreCatalog.classifyTyreType() with the snow marking set, and lists any
+ * that come out as something else (a missing ALLSEASON_PATTERN name makes a
+ * snow-marked all-season line a winter tyre).
+ *
+ * Usage:
+ *   node tools/tyre-type-check.js
+ *
+ * Exits with code 1 when any line is misclassified.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TyreCatalog = require('../js/tyre-catalog.js');
+
+const LINES_PATH = path.join(__dirname, '..', 'data', 'allseason-lines.json');
+
+const { lines } = JSON.parse(fs.readFileSync(LINES_PATH, 'utf8'));
+const misses = lines
+  .map(line => ({ ...line, tyreType: TyreCatalog.classifyTyreType(line.pattern, true) }))
+  .filter(line => line.tyreType !== 'allseason');
+
+console.log(`Tyre type check - ${lines.length} known all-season lines, ${misses.length} misclassified`);
+misses.forEach(line => console.log(`  ${String(line.brand).padEnd(12)}${String(line.pattern).padEnd(30)}→ ${line.tyreType}`));
+
+process.exit(misses.length > 0 ? 1 : 0);
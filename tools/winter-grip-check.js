@@ -0,0 +1,42 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * WINTER MARKING CHECK
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Stops a winter and an all-season tyre on every snow and ice surface with
+ * each winterCertification and with none, and lists any marking that makes
+ * the stop longer than the same tyre unmarked (a certification may only add
+ * to the tyreType calibration, never replace it).
+ *
+ * Usage:
+ *   node tools/winter-grip-check.js
+ *
+ * Exits with code 1 when any marking lengthens a stop.
+ */
+
+const SurfaceRegistry = require('../js/surfaces.js');
+const UltimateBrakingPhysics = require('../js/physics.js');
+
+const SPEEDS_KMH = [50, 80];
+const TYRE_TYPES = ['winter', 'allseason'];
+const MARKINGS = ['MS', '3PMSF', 'ICE_GRIP'];
+
+const physics = new UltimateBrakingPhysics();
+const surfaces = SurfaceRegistry.keys().filter(key => ['snow', 'ice'].includes(SurfaceRegistry.get(key).traction));
+const stop = params => physics.calculate({ ambientTempC: -5, ...params }).brakingDistanceM;
+
+let checked = 0;
+const failures = [];
+surfaces.forEach(surfaceType => SPEEDS_KMH.forEach(speedKmh => TYRE_TYPES.forEach(tyreType => {
+  const unmarkedM = stop({ surfaceType, speedKmh, tyreType });
+  MARKINGS.forEach(winterCertification => {
+    const markedM = stop({ surfaceType, speedKmh, tyreType, winterCertification });
+    checked++;
+    if (markedM > unmarkedM) failures.push({ surfaceType, speedKmh, tyreType, winterCertification, unmarkedM, markedM });
+  });
+})));
+
+console.log(`Winter marking check - ${surfaces.length} snow/ice surfaces, ${checked} marked stops, ${failures.length} longer than unmarked`);
+failures.forEach(f => console.log(`  ${f.surfaceType.padEnd(14)}${String(f.speedKmh).padStart(4)} km/h  ${f.tyreType.padEnd(10)}${f.winterCertification.padEnd(10)}${f.unmarkedM} m → ${f.markedM} m`));
+
+process.exit(failures.length > 0 ? 1 : 0);